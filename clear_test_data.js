@@ -31,11 +31,11 @@ const clearAndCreateTestData = async () => {
           owner: user._id,
           plantingDate: new Date('2024-03-15'),
           expectedHarvestDate: new Date('2024-08-30'),
-          lastNDVI: 0.82,
-          stressLevel: 'healthy',
-          lastStressLevel: 'healthy',
-          lastNDVIValue: 0.82,
-          lastAnalysis: new Date(),
+          lastNDVIAnalysis: {
+            stressLevel: 'healthy',
+            ndviValue: 0.82,
+            analyzedAt: new Date()
+          },
           isActive: true
         },
         {
@@ -47,11 +47,11 @@ const clearAndCreateTestData = async () => {
           owner: user._id,
           plantingDate: new Date('2024-04-01'),
           expectedHarvestDate: new Date('2024-09-15'),
-          lastNDVI: 0.38,
-          stressLevel: 'high',
-          lastStressLevel: 'high',
-          lastNDVIValue: 0.38,
-          lastAnalysis: new Date(),
+          lastNDVIAnalysis: {
+            stressLevel: 'high',
+            ndviValue: 0.38,
+            analyzedAt: new Date()
+          },
           isActive: true
         },
         {
@@ -63,11 +63,11 @@ const clearAndCreateTestData = async () => {
           owner: user._id,
           plantingDate: new Date('2024-02-20'),
           expectedHarvestDate: new Date('2024-07-25'),
-          lastNDVI: 0.12,
-          stressLevel: 'severe',
-          lastStressLevel: 'severe',
-          lastNDVIValue: 0.12,
-          lastAnalysis: new Date(),
+          lastNDVIAnalysis: {
+            stressLevel: 'severe',
+            ndviValue: 0.12,
+            analyzedAt: new Date()
+          },
           isActive: true
         },
         {
@@ -79,11 +79,11 @@ const clearAndCreateTestData = async () => {
           owner: user._id,
           plantingDate: new Date('2024-01-10'),
           expectedHarvestDate: new Date('2024-06-20'),
-          lastNDVI: 0.65,
-          stressLevel: 'moderate',
-          lastStressLevel: 'moderate',
-          lastNDVIValue: 0.65,
-          lastAnalysis: new Date(),
+          lastNDVIAnalysis: {
+            stressLevel: 'moderate',
+            ndviValue: 0.65,
+            analyzedAt: new Date()
+          },
           isActive: true
         },
         {
@@ -95,11 +95,11 @@ const clearAndCreateTestData = async () => {
           owner: user._id,
           plantingDate: new Date('2024-03-20'),
           expectedHarvestDate: new Date('2024-08-25'),
-          lastNDVI: 0.91,
-          stressLevel: 'healthy',
-          lastStressLevel: 'healthy',
-          lastNDVIValue: 0.91,
-          lastAnalysis: new Date(),
+          lastNDVIAnalysis: {
+            stressLevel: 'healthy',
+            ndviValue: 0.91,
+            analyzedAt: new Date()
+          },
           isActive: true
         }
       ];
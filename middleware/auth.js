@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 const auth = async (req, res, next) => {
   try {
@@ -13,7 +14,17 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
+
+    // Access tokens are tied to a server-side session so they can be revoked
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive() || !session.user.equals(decoded.userId)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session expired or revoked.'
+      });
+    }
+
+    const user = await User.findById(decoded.userId).select('-password');
 
     if (!user) {
       return res.status(401).json({
@@ -30,6 +41,7 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user;
+    req.session = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const Farm = require('../models/Farm');
+const Organization = require('../models/Organization');
+
+// Authorization policies; use after the auth middleware so req.user is set
+
+// Allow only users whose role is in the given list
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      error: roles.length === 1 && roles[0] === 'admin'
+        ? 'Admin access required'
+        : 'Insufficient permissions'
+    });
+  }
+  next();
+};
+
+// Allow the user named in the route parameter, or an admin
+const requireSelfOrAdmin = (param = 'userId') => (req, res, next) => {
+  const targetId = req.params[param];
+
+  if (!req.user || (req.user.role !== 'admin' && req.user._id.toString() !== targetId)) {
+    return res.status(403).json({
+      success: false,
+      error: 'You can only access your own account'
+    });
+  }
+  next();
+};
+
+// Load the farm from params/body and check the user may read, edit ('write')
+// or manage members of it. Sets req.farm and req.farmAccess for the handler.
+const authorizeFarm = (access = 'read') => async (req, res, next) => {
+  try {
+    const farmId = req.params.farmId || req.body?.farmId;
+
+    if (!farmId || !mongoose.Types.ObjectId.isValid(farmId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Farm not found'
+      });
+    }
+
+    const farm = await Farm.findById(farmId);
+    if (!farm) {
+      return res.status(404).json({
+        success: false,
+        error: 'Farm not found'
+      });
+    }
+
+    const checks = {
+      read: () => farm.canRead(req.user),
+      write: () => farm.canEdit(req.user),
+      manage: () => farm.canManageMembers(req.user)
+    };
+
+    if (!checks[access]()) {
+      return res.status(403).json({
+        success: false,
+        error: access === 'read'
+          ? 'You do not have access to this farm'
+          : 'You do not have permission to modify this farm'
+      });
+    }
+
+    req.farm = farm;
+    req.farmAccess = farm.getAccessLevel(req.user);
+    next();
+  } catch (error) {
+    console.error('Farm authorization error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during authorization.'
+    });
+  }
+};
+
+// Allow admins and the organization's own org admins. Sets req.organization.
+const authorizeOrganization = () => async (req, res, next) => {
+  try {
+    const { orgId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(orgId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found'
+      });
+    }
+
+    const isOrgAdmin = req.user.role === 'org_admin' &&
+      req.user.organization && req.user.organization.equals(orgId);
+
+    if (req.user.role !== 'admin' && !isOrgAdmin) {
+      return res.status(403).json({
+        success: false,
+        error: 'Organization admin access required'
+      });
+    }
+
+    const organization = await Organization.findById(orgId);
+    if (!organization || (!organization.isActive && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found'
+      });
+    }
+
+    req.organization = organization;
+    next();
+  } catch (error) {
+    console.error('Organization authorization error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during authorization.'
+    });
+  }
+};
+
+module.exports = {
+  requireRole,
+  requireSelfOrAdmin,
+  authorizeFarm,
+  authorizeOrganization
+};
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const NDVIData = require('../models/NDVIData');
+
+// Remove duplicate observations so the farm+date+satellite unique index can be built. Legacy
+// forecast points (`forecast: true`) are left for migrations/move_ndvi_forecasts.js, which must
+// run first: a forecast point on an observation's date would also block the index.
+const dedupeNDVIData = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const duplicates = await NDVIData.aggregate([
+      { $match: NDVIData.OBSERVED },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: { farm: '$farm', date: '$date', satellite: '$satellite' },
+          ids: { $push: '$_id' },
+          count: { $sum: 1 }
+        }
+      },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+    console.log(`🔍 Found ${duplicates.length} duplicated observations`);
+
+    // Keep the earliest stored copy of each observation
+    const redundantIds = duplicates.flatMap(group => group.ids.slice(1));
+    const { deletedCount } = await NDVIData.deleteMany({ _id: { $in: redundantIds } });
+
+    // `forecast` is not in the NDVIData schema, so query the collection directly
+    const legacyForecasts = await NDVIData.collection.countDocuments({ forecast: true });
+    if (legacyForecasts > 0) {
+      console.warn(`⚠️ Removed ${deletedCount} duplicate NDVI records; ${legacyForecasts} legacy forecast points remain, so run migrations/move_ndvi_forecasts.js and then this script again to build the NDVI indexes`);
+      return;
+    }
+
+    await NDVIData.syncIndexes();
+    console.log(`✅ Removed ${deletedCount} duplicate NDVI records and rebuilt NDVI indexes`);
+  } catch (error) {
+    console.error('❌ Error deduplicating NDVI data:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+dedupeNDVIData();
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const NDVIData = require('../models/NDVIData');
+const NDVIForecast = require('../models/NDVIForecast');
+const { normalizeStressLevel } = require('../utils/stressClassification');
+const { toDay } = require('../utils/ndviForecast');
+
+// Move forecast points written into NDVIData (flagged `forecast: true`) to the NDVIForecast
+// collection. Earlier code kept one point per farm and date, so each farm's points become one
+// legacy run.
+//
+// Run once after deploying the NDVIForecast collection: node migrations/move_ndvi_forecasts.js
+// Until then the points stay out of observed NDVI reads (NDVIData.OBSERVED) but are missing
+// from forecast accuracy and the latest forecast.
+const moveNDVIForecasts = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // `forecast` is not in the NDVIData schema, so query the collection directly
+    const legacy = await NDVIData.collection.find({ forecast: true }).toArray();
+    console.log(`🔍 Found ${legacy.length} forecast points in NDVIData`);
+
+    const points = legacy
+      .filter(point => Number.isFinite(point.ndvi))
+      .map(point => {
+        const issuedAt = point.createdAt || point.date;
+        return {
+          farm: point.farm,
+          runId: `legacy-${point.farm}`,
+          modelVersion: 'legacy',
+          method: 'linear_regression',
+          issuedAt,
+          date: point.date,
+          horizonDays: Math.max(0, toDay(point.date) - toDay(issuedAt)),
+          predictedNDVI: point.ndvi,
+          stressLevel: normalizeStressLevel(point.stressLevel) || undefined,
+          confidence: point.confidence,
+          createdAt: issuedAt
+        };
+      });
+
+    if (points.length > 0) {
+      await NDVIForecast.bulkWrite(points.map(point => ({
+        updateOne: {
+          filter: { runId: point.runId, date: point.date },
+          update: { $setOnInsert: point },
+          upsert: true
+        }
+      })), { ordered: false });
+    }
+
+    const { deletedCount } = await NDVIData.collection.deleteMany({ forecast: true });
+    console.log(`✅ Moved ${points.length} forecast points to NDVIForecast and removed ${deletedCount} from NDVIData`);
+  } catch (error) {
+    console.error('❌ Error moving NDVI forecasts:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+moveNDVIForecasts();
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const NDVIData = require('../models/NDVIData');
+const Alert = require('../models/Alert');
+const Farm = require('../models/Farm');
+const cropCalendarService = require('../services/cropCalendarService');
+const { assessAgainstCalendar } = require('../utils/cropCalendar');
+const { LEGACY_LEVELS, CURRENT_RULESET, classifyStress } = require('../utils/stressClassification');
+
+const BATCH_SIZE = 500;
+
+// Rewrite legacy labels ('none', 'moderate_stress', ...) to the shared vocabulary
+const relabel = async (collection, path) => {
+  let modified = 0;
+
+  for (const [legacy, level] of Object.entries(LEGACY_LEVELS)) {
+    const result = await collection.updateMany({ [path]: legacy }, { $set: { [path]: level } });
+    modified += result.modifiedCount;
+  }
+
+  return modified;
+};
+
+// Re-run the current ruleset (and crop calendar) over a farm's stored observations
+const reclassifyFarm = async (farm) => {
+  const calendar = await cropCalendarService.getCalendar(farm.cropType);
+  const cursor = NDVIData.find({ farm: farm._id, forecast: { $ne: true } })
+    .select('ndvi date stressLevel stressRuleset')
+    .lean()
+    .cursor();
+
+  let operations = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (operations.length > 0) {
+      const result = await NDVIData.bulkWrite(operations, { ordered: false });
+      updated += result.modifiedCount;
+      operations = [];
+    }
+  };
+
+  for await (const observation of cursor) {
+    const { stressLevel, ruleset } = classifyStress(observation.ndvi, {
+      calendarAssessment: assessAgainstCalendar(observation.ndvi, calendar, farm.plantingDate, observation.date)
+    });
+
+    if (observation.stressLevel !== stressLevel || observation.stressRuleset !== ruleset) {
+      operations.push({
+        updateOne: {
+          filter: { _id: observation._id },
+          update: { $set: { stressLevel, stressRuleset: ruleset } }
+        }
+      });
+    }
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+  return updated;
+};
+
+// Bring stored stress levels onto the shared vocabulary and the current ruleset.
+// Pass --labels-only to rewrite legacy labels without re-classifying observations.
+const normalizeStressLevels = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const ndviRelabelled = await relabel(NDVIData.collection, 'stressLevel');
+    const alertsRelabelled = await relabel(Alert.collection, 'stressLevel');
+    const farmsRelabelled = await relabel(Farm.collection, 'lastNDVIAnalysis.stressLevel');
+    console.log(`🏷️  Relabelled ${ndviRelabelled} NDVI records, ${alertsRelabelled} alerts and ${farmsRelabelled} farm analyses`);
+
+    if (process.argv.includes('--labels-only')) {
+      return;
+    }
+
+    const farms = await Farm.find().select('cropType plantingDate');
+    let reclassified = 0;
+
+    for (const farm of farms) {
+      reclassified += await reclassifyFarm(farm);
+    }
+
+    console.log(`✅ Re-classified ${reclassified} NDVI observations across ${farms.length} farms with ruleset ${CURRENT_RULESET}`);
+  } catch (error) {
+    console.error('❌ Error normalizing stress levels:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+normalizeStressLevels();
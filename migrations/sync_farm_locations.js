@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const Farm = require('../models/Farm');
+
+// Backfill the GeoJSON location point used by the 2dsphere farm index
+const syncFarmLocations = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const farms = await Farm.find({ 'location.coordinates': { $exists: false } });
+    console.log(`🔍 Found ${farms.length} farms without a location point`);
+
+    let updated = 0;
+    for (const farm of farms) {
+      // Pre-validate hook derives location from coordinates (or the boundary centroid)
+      await farm.save();
+      updated++;
+    }
+
+    await Farm.syncIndexes();
+    console.log(`✅ Synced location for ${updated} farms and rebuilt farm indexes`);
+  } catch (error) {
+    console.error('❌ Error syncing farm locations:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+syncFarmLocations();
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { STRESS_LEVELS } = require('../utils/stressClassification');
+const { ALERT_EVENTS } = require('../utils/alertPolicy');
+const { NOTIFICATION_CHANNELS } = require('./NotificationDelivery');
 
 const alertSchema = new mongoose.Schema({
   farmId: {
@@ -13,7 +16,7 @@ const alertSchema = new mongoose.Schema({
   },
   stressLevel: {
     type: String,
-    enum: ['healthy', 'low', 'moderate', 'high', 'severe'],
+    enum: STRESS_LEVELS,
     required: true
   },
   confidence: {
@@ -37,9 +40,13 @@ const alertSchema = new mongoose.Schema({
   },
   alertType: {
     type: String,
-    enum: ['sms', 'in_app', 'email'],
+    enum: NOTIFICATION_CHANNELS, // First channel other than the inbox that delivered it
     default: 'in_app'
   },
+  channels: [{
+    type: String,
+    enum: NOTIFICATION_CHANNELS // Every channel that delivered it (NotificationDelivery has each attempt)
+  }],
   status: {
     type: String,
     enum: ['pending', 'sent', 'delivered', 'failed'],
@@ -54,6 +61,14 @@ const alertSchema = new mongoose.Schema({
   message: {
     type: String
   },
+  language: {
+    type: String // Language of message, recommendations and aiAnalysis
+  },
+  event: {
+    type: String,
+    enum: ALERT_EVENTS, // Farm alert state transition that sent it (utils/alertPolicy.js)
+    default: 'opened'
+  },
   urgency: {
     type: String,
     enum: ['low', 'medium', 'high', 'critical'],
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const { DEVIATION_LEVELS } = require('../utils/cropCalendar');
+
+// Growth stage of a crop calendar: a day range after planting, the NDVI expected at its start
+// and end (linear in between) and how far below that curve counts as each stress level
+const stageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  startDay: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  endDay: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  ndvi: {
+    start: {
+      type: Number,
+      required: true,
+      min: -1,
+      max: 1,
+    },
+    end: {
+      type: Number,
+      required: true,
+      min: -1,
+      max: 1,
+    },
+  },
+  thresholds: {
+    low: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    moderate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    high: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    severe: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+}, { _id: false });
+
+// Stages must start at planting, follow each other without gaps and have increasing thresholds
+const validateStages = (stages) => {
+  if (!stages.length || stages[0].startDay !== 0) {
+    return false;
+  }
+
+  return stages.every((stage, index) => (
+    stage.endDay > stage.startDay &&
+    (index === 0 || stage.startDay === stages[index - 1].endDay) &&
+    DEVIATION_LEVELS.every((level, i) => i === 0 || stage.thresholds[level] >= stage.thresholds[DEVIATION_LEVELS[i - 1]])
+  ));
+};
+
+const cropCalendarSchema = new mongoose.Schema({
+  cropType: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: ['rice', 'corn', 'wheat', 'soybean', 'vegetables', 'fruits', 'other'],
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  perennial: {
+    type: Boolean, // Cycle repeats every season length from the planting date
+    default: false,
+  },
+  stages: {
+    type: [stageSchema],
+    validate: {
+      validator: validateStages,
+      message: 'Stages must start at day 0, be contiguous and have increasing thresholds',
+    },
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update the updatedAt field before saving
+cropCalendarSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('CropCalendar', cropCalendarSchema);
@@ -1,4 +1,53 @@
 const mongoose = require('mongoose');
+const { BOUNDARY_TYPES, calculateAreaHectares, calculateCentroid } = require('../utils/geoJSON');
+const { STRESS_LEVELS, isAtLeast } = require('../utils/stressClassification');
+
+const MEMBER_ROLES = ['owner', 'manager', 'worker', 'advisor'];
+
+// Lowest stress level each member role is alerted about unless they override it
+const MEMBER_ALERT_DEFAULTS = {
+  owner: 'moderate',
+  manager: 'moderate',
+  advisor: 'moderate',
+  worker: 'high'
+};
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: MEMBER_ROLES,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['invited', 'active', 'declined'],
+    default: 'invited',
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  invitedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  respondedAt: {
+    type: Date,
+  },
+  alertMinStressLevel: {
+    type: String,
+    enum: STRESS_LEVELS.filter(level => level !== 'healthy'),
+  },
+  muteAlerts: {
+    type: Boolean,
+    default: false,
+  },
+}, { _id: false });
 
 const farmSchema = new mongoose.Schema({
   name: {
@@ -20,6 +69,25 @@ const farmSchema = new mongoose.Schema({
       required: true,
     },
   },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined,
+    },
+  },
+  boundary: {
+    type: {
+      type: String,
+      enum: BOUNDARY_TYPES,
+    },
+    coordinates: {
+      type: Array, // GeoJSON [longitude, latitude] rings
+    },
+  },
   area: {
     type: Number, // in hectares
     required: true,
@@ -34,6 +102,15 @@ const farmSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+  },
+  members: [memberSchema],
+  assignedExperts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
   plantingDate: {
     type: Date,
     required: true,
@@ -45,6 +122,37 @@ const farmSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Snapshot of the latest stress analysis; the full history is in FarmAnalysis
+  lastNDVIAnalysis: {
+    stressLevel: {
+      type: String,
+      enum: [...STRESS_LEVELS, 'unknown'],
+    },
+    stressType: {
+      type: String,
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+    ndviValue: {
+      type: Number,
+    },
+    trend: {
+      type: Number,
+    },
+    growthStage: {
+      type: String,
+    },
+    analyzedAt: {
+      type: Date,
+    },
+    analysis: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FarmAnalysis',
+    },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -55,13 +163,260 @@ const farmSchema = new mongoose.Schema({
   },
 });
 
+// Derive centroid and area from the boundary polygon when one is set
+farmSchema.pre('validate', function(next) {
+  if (this.hasBoundary()) {
+    this.coordinates = calculateCentroid(this.boundary);
+    this.area = calculateAreaHectares(this.boundary);
+  }
+
+  // Keep the indexed GeoJSON point in sync with the lat/lng centroid
+  if (this.coordinates?.latitude != null && this.coordinates?.longitude != null) {
+    this.location = {
+      type: 'Point',
+      coordinates: [this.coordinates.longitude, this.coordinates.latitude]
+    };
+  }
+  next();
+});
+
 // Update the updatedAt field before saving
 farmSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
+// Find a member entry by user id (any status)
+farmSchema.methods.getMember = function(userId) {
+  return this.members.find(member => (member.user?._id || member.user).equals(userId));
+};
+
+farmSchema.methods.isPrimaryOwner = function(userId) {
+  const ownerId = this.owner?._id || this.owner;
+  return Boolean(ownerId && ownerId.equals(userId));
+};
+
+// Access policy: admins, owners and managers may edit; workers, advisors,
+// assigned experts and admins of the farm's organization may only read
+farmSchema.methods.getAccessLevel = function(user) {
+  if (!user) return null;
+  if (user.role === 'admin') return 'admin';
+
+  if (this.isPrimaryOwner(user._id)) return 'owner';
+
+  const member = this.getMember(user._id);
+  if (member && member.status === 'active') return member.role;
+
+  if (user.role === 'agricultural_expert' &&
+      this.assignedExperts.some(expertId => expertId.equals(user._id))) {
+    return 'expert';
+  }
+
+  const organizationId = this.organization?._id || this.organization;
+  if (user.role === 'org_admin' && organizationId && user.organization &&
+      organizationId.equals(user.organization)) {
+    return 'org_admin';
+  }
+
+  return null;
+};
+
+farmSchema.methods.canRead = function(user) {
+  return this.getAccessLevel(user) !== null;
+};
+
+farmSchema.methods.canEdit = function(user) {
+  return ['admin', 'owner', 'manager'].includes(this.getAccessLevel(user));
+};
+
+// Inviting, removing and changing member roles
+farmSchema.methods.canManageMembers = function(user) {
+  return this.canEdit(user);
+};
+
+// Primary owner plus active members who want alerts at this stress level
+farmSchema.methods.getAlertRecipients = function(stressLevel) {
+  const recipients = [{ user: this.owner?._id || this.owner, role: 'owner' }];
+
+  this.members
+    .filter(member => member.status === 'active' && !member.muteAlerts)
+    .filter(member => !this.isPrimaryOwner(member.user?._id || member.user))
+    .forEach(member => {
+      const minLevel = member.alertMinStressLevel || MEMBER_ALERT_DEFAULTS[member.role];
+      if (isAtLeast(stressLevel, minLevel)) {
+        recipients.push({ user: member.user?._id || member.user, role: member.role });
+      }
+    });
+
+  return recipients;
+};
+
+// Query filter matching the farms a user may read
+farmSchema.statics.accessFilter = function(user) {
+  if (user.role === 'admin') return {};
+
+  const conditions = [
+    { owner: user._id },
+    { members: { $elemMatch: { user: user._id, status: 'active' } } }
+  ];
+
+  if (user.role === 'agricultural_expert') {
+    conditions.push({ assignedExperts: user._id });
+  }
+
+  if (user.role === 'org_admin' && user.organization) {
+    conditions.push({ organization: user.organization });
+  }
+
+  return { $or: conditions };
+};
+
+farmSchema.methods.hasBoundary = function() {
+  return Boolean(this.boundary && this.boundary.type && this.boundary.coordinates?.length);
+};
+
+// GeoJSON geometry for satellite queries: the boundary, or the centroid as a Point
+farmSchema.methods.getGeometry = function() {
+  if (this.hasBoundary()) {
+    return {
+      type: this.boundary.type,
+      coordinates: this.boundary.coordinates
+    };
+  }
+
+  return {
+    type: 'Point',
+    coordinates: [this.coordinates.longitude, this.coordinates.latitude]
+  };
+};
+
+// Export the farm as a GeoJSON Feature
+farmSchema.methods.toGeoJSON = function() {
+  return {
+    type: 'Feature',
+    id: this._id.toString(),
+    geometry: this.getGeometry(),
+    properties: {
+      name: this.name,
+      description: this.description,
+      area: this.area,
+      cropType: this.cropType,
+      owner: this.owner?._id ? this.owner._id.toString() : this.owner?.toString(),
+      plantingDate: this.plantingDate,
+      expectedHarvestDate: this.expectedHarvestDate,
+      centroid: {
+        latitude: this.coordinates.latitude,
+        longitude: this.coordinates.longitude
+      }
+    }
+  };
+};
+
+// Search farms by location, crop type and latest stress level (paginated)
+farmSchema.statics.search = async function({
+  near,
+  maxDistanceKm,
+  within,
+  cropTypes,
+  stressLevels,
+  owner,
+  accessFilter = {},
+  page = 1,
+  limit = 20
+} = {}) {
+  const NDVIData = mongoose.model('NDVIData');
+  const match = { isActive: true };
+
+  // Keep the access filter separate so an owner filter can only narrow it
+  if (Object.keys(accessFilter).length) {
+    match.$and = [accessFilter];
+  }
+
+  if (owner) {
+    match.owner = new mongoose.Types.ObjectId(owner);
+  }
+
+  if (cropTypes?.length) {
+    match.cropType = { $in: cropTypes };
+  }
+
+  const pipeline = [];
+
+  if (near) {
+    // $geoNear must be the first stage and sorts results by distance
+    pipeline.push({
+      $geoNear: {
+        near: { type: 'Point', coordinates: [near.longitude, near.latitude] },
+        key: 'location',
+        distanceField: 'distance',
+        spherical: true,
+        query: match,
+        ...(maxDistanceKm && { maxDistance: maxDistanceKm * 1000 })
+      }
+    });
+  } else {
+    pipeline.push({ $match: match });
+  }
+
+  if (within) {
+    pipeline.push({ $match: { location: { $geoWithin: { $geometry: within } } } });
+  }
+
+  // Attach the latest observed NDVI reading to each farm
+  pipeline.push(
+    {
+      $lookup: {
+        from: NDVIData.collection.name,
+        let: { farmId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$farm', '$$farmId'] } } },
+          { $sort: { date: -1 } },
+          { $limit: 1 },
+          { $project: { _id: 0, ndvi: 1, stressLevel: 1, date: 1 } }
+        ],
+        as: 'latestNDVI'
+      }
+    },
+    { $addFields: { latestNDVI: { $arrayElemAt: ['$latestNDVI', 0] } } }
+  );
+
+  if (stressLevels?.length) {
+    pipeline.push({ $match: { 'latestNDVI.stressLevel': { $in: stressLevels } } });
+  }
+
+  if (!near) {
+    pipeline.push({ $sort: { createdAt: -1 } });
+  }
+
+  pipeline.push({
+    $facet: {
+      farms: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+      total: [{ $count: 'count' }]
+    }
+  });
+
+  const [result] = await this.aggregate(pipeline);
+  const total = result.total[0]?.count || 0;
+
+  return {
+    farms: result.farms,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
 // Create index for geospatial queries
-farmSchema.index({ 'coordinates.latitude': 1, 'coordinates.longitude': 1 });
+farmSchema.index({ location: '2dsphere' });
+farmSchema.index({ assignedExperts: 1 });
+farmSchema.index({ 'members.user': 1, 'members.status': 1 });
+farmSchema.index({ organization: 1, isActive: 1 });
+
+const Farm = mongoose.model('Farm', farmSchema);
+Farm.MEMBER_ROLES = MEMBER_ROLES;
+Farm.MEMBER_ALERT_DEFAULTS = MEMBER_ALERT_DEFAULTS;
 
-module.exports = mongoose.model('Farm', farmSchema);
\ No newline at end of file
+module.exports = Farm;
\ No newline at end of file
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { STRESS_LEVELS } = require('../utils/stressClassification');
+const { ALERT_STATUSES, ALERT_EVENTS } = require('../utils/alertPolicy');
+
+// Alert state of one farm (utils/alertPolicy.js), kept across restarts and processes so
+// cooldowns and escalations hold whichever instance analyzes the farm
+const farmAlertStateSchema = new mongoose.Schema({
+  farm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farm',
+    required: true,
+    unique: true,
+  },
+  status: {
+    type: String,
+    enum: ALERT_STATUSES,
+    required: true,
+  },
+  stressLevel: {
+    type: String,
+    enum: STRESS_LEVELS, // Latest confident analysis
+  },
+  peakStressLevel: {
+    type: String,
+    enum: STRESS_LEVELS, // Worst level since the alert opened; recovery goes to its recipients
+  },
+  lastAlertLevel: {
+    type: String,
+    enum: STRESS_LEVELS,
+  },
+  lastEvent: {
+    type: String,
+    enum: ALERT_EVENTS,
+  },
+  alertCount: {
+    type: Number, // Notifications since the alert opened
+    default: 0,
+  },
+  openedAt: {
+    type: Date,
+  },
+  escalatedAt: {
+    type: Date,
+  },
+  resolvedAt: {
+    type: Date,
+  },
+  lastAlertAt: {
+    type: Date,
+  },
+  lastAnalysisAt: {
+    type: Date,
+  },
+  revision: {
+    type: Number, // Bumped on every transition so concurrent analyses cannot both notify
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+farmAlertStateSchema.index({ status: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('FarmAlertState', farmAlertStateSchema);
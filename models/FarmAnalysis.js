@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const { STRESS_LEVELS } = require('../utils/stressClassification');
+
+// Days of analysis history kept before MongoDB removes it
+const ANALYSIS_HISTORY_DAYS = 730;
+
+// One stress analysis run of a farm: what went in, which model produced it and what came out
+const farmAnalysisSchema = new mongoose.Schema({
+  farm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farm',
+    required: true,
+  },
+  trigger: {
+    type: String,
+    enum: ['manual', 'bulk'], // bulk: queued by analyze-all-farms (scheduled or admin)
+    default: 'manual',
+  },
+  inputs: {
+    cropType: {
+      type: String,
+    },
+    plantingDate: {
+      type: Date,
+    },
+    observationsTotal: {
+      type: Number,
+    },
+    observationsUsed: {
+      type: Number,
+    },
+    observationsDropped: {
+      type: Number,
+    },
+    from: {
+      type: Date, // Oldest observation considered
+    },
+    to: {
+      type: Date, // Latest observation considered
+    },
+  },
+  model: {
+    source: {
+      type: String, // LLM client that answered ('huawei_modelarts', 'openai', 'local'), 'rules' or 'none'
+    },
+    fallbackReason: {
+      type: String, // Why the LLM did not answer, e.g. 'llm_timeout'
+    },
+    aiModel: {
+      type: String,
+    },
+    classificationMethod: {
+      type: String,
+    },
+    stressRuleset: {
+      type: String,
+    },
+    forecastModelVersion: {
+      type: String,
+    },
+    forecastRunId: {
+      type: String, // NDVIForecast run generated with this analysis
+    },
+  },
+  result: {
+    stressLevel: {
+      type: String,
+      enum: [...STRESS_LEVELS, 'unknown'],
+      required: true,
+    },
+    stressType: {
+      type: String,
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+    ndvi: {
+      type: Number,
+    },
+    averageNDVI: {
+      type: Number,
+    },
+    trend: {
+      type: Number, // NDVI change per observation
+    },
+    growthStage: {
+      type: String,
+    },
+    expectedNDVI: {
+      type: Number,
+    },
+    recommendations: [{
+      type: String,
+    }],
+    riskFactors: [{
+      type: String,
+    }],
+    summary: {
+      type: String,
+    },
+  },
+  alertsSent: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+farmAnalysisSchema.index({ farm: 1, createdAt: -1 });
+farmAnalysisSchema.index({ createdAt: 1 }, { expireAfterSeconds: ANALYSIS_HISTORY_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('FarmAnalysis', farmAnalysisSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// How well past forecasts matched the observations that followed, for one horizon bucket.
+// Rows with a farm are that farm's metrics; rows without one pool every farm of the crop type.
+const forecastAccuracySchema = new mongoose.Schema({
+  farm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farm',
+    default: null,
+  },
+  cropType: {
+    type: String,
+    required: true,
+  },
+  horizonDays: {
+    type: Number, // Upper bound of the bucket; it covers horizons above the previous bucket
+    required: true,
+  },
+  count: {
+    type: Number, // Forecast points matched to an observation
+    required: true,
+  },
+  mae: {
+    type: Number,
+  },
+  bias: {
+    type: Number, // Mean of forecast minus observed; negative means forecasts ran low
+  },
+  rmse: {
+    type: Number,
+  },
+  stressHitRate: {
+    type: Number, // Share of points whose forecast stress level matched the observed one
+  },
+  periodStart: {
+    type: Date,
+  },
+  periodEnd: {
+    type: Date,
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+forecastAccuracySchema.index({ cropType: 1, farm: 1, horizonDays: 1 }, { unique: true });
+forecastAccuracySchema.index({ farm: 1 });
+
+module.exports = mongoose.model('ForecastAccuracy', forecastAccuracySchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Days a finished background job (and its tasks) is kept
+const JOB_RETENTION_DAYS = 30;
+
+// A batch of background work (e.g. analysing many farms); progress is tracked per task
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'cancelled'],
+    default: 'queued',
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  total: {
+    type: Number,
+    default: 0,
+  },
+  processed: {
+    type: Number,
+    default: 0,
+  },
+  succeeded: {
+    type: Number,
+    default: 0,
+  },
+  failed: {
+    type: Number,
+    default: 0,
+  },
+  startedAt: {
+    type: Date,
+  },
+  finishedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+jobSchema.methods.getProgress = function() {
+  return {
+    total: this.total,
+    processed: this.processed,
+    succeeded: this.succeeded,
+    failed: this.failed,
+    percent: this.total > 0 ? Math.round((this.processed / this.total) * 100) : 100
+  };
+};
+
+jobSchema.index({ requestedBy: 1, createdAt: -1 });
+jobSchema.index({ createdAt: 1 }, { expireAfterSeconds: JOB_RETENTION_DAYS * 24 * 60 * 60 });
+
+const Job = mongoose.model('Job', jobSchema);
+Job.JOB_RETENTION_DAYS = JOB_RETENTION_DAYS;
+
+module.exports = Job;
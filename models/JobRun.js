@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Days of scheduler run history kept before MongoDB removes it
+const RUN_HISTORY_DAYS = 90;
+
+// One execution of a scheduled job
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduledJob',
+    required: true,
+  },
+  jobName: {
+    type: String,
+    required: true,
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: true,
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  instanceId: {
+    type: String,
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running',
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: {
+    type: Date,
+  },
+  durationMs: {
+    type: Number,
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  error: {
+    type: String,
+  },
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RUN_HISTORY_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
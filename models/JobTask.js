@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { JOB_RETENTION_DAYS } = require('./Job');
+
+// One unit of a background job, claimed by a worker and retried with backoff on failure
+const jobTaskSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  farm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farm',
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'succeeded', 'failed', 'cancelled'],
+    default: 'pending',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedBy: {
+    type: String, // Worker instance id
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  lastError: {
+    type: String,
+  },
+  startedAt: {
+    type: Date,
+  },
+  finishedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+jobTaskSchema.index({ status: 1, nextAttemptAt: 1 });
+jobTaskSchema.index({ status: 1, lockedUntil: 1 });
+jobTaskSchema.index({ job: 1, status: 1 });
+jobTaskSchema.index({ createdAt: 1 }, { expireAfterSeconds: JOB_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobTask', jobTaskSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { QUALITY_FLAGS } = require('../utils/ndviQuality');
+const { STRESS_LEVELS } = require('../utils/stressClassification');
 
 const ndviDataSchema = new mongoose.Schema({
   farm: {
@@ -16,6 +18,29 @@ const ndviDataSchema = new mongoose.Schema({
     min: -1,
     max: 1,
   },
+  // Other vegetation indices of the same scene (NDRE only where the sensor has a red-edge band)
+  indices: {
+    evi: {
+      type: Number,
+      min: -1,
+      max: 2.5,
+    },
+    ndwi: {
+      type: Number,
+      min: -1,
+      max: 1,
+    },
+    ndre: {
+      type: Number,
+      min: -1,
+      max: 1,
+    },
+    savi: {
+      type: Number,
+      min: -1.5,
+      max: 1.5,
+    },
+  },
   coordinates: {
     type: String, // "longitude,latitude"
     required: true,
@@ -26,6 +51,27 @@ const ndviDataSchema = new mongoose.Schema({
     max: 100,
     default: 0,
   },
+  quality: {
+    shadow: {
+      type: Number, // % of the field under cloud shadow
+      min: 0,
+      max: 100,
+    },
+    haze: {
+      type: Number, // % of the field under haze / thin cirrus
+      min: 0,
+      max: 100,
+    },
+    coverage: {
+      type: Number, // Share (0-1) of the field with valid, unmasked pixels
+      min: 0,
+      max: 1,
+    },
+    flags: [{
+      type: String,
+      enum: QUALITY_FLAGS,
+    }],
+  },
   satellite: {
     type: String,
     enum: ['Landsat-8', 'Landsat-9', 'Sentinel-2', 'MODIS'],
@@ -33,8 +79,11 @@ const ndviDataSchema = new mongoose.Schema({
   },
   stressLevel: {
     type: String,
-    enum: ['none', 'low', 'moderate', 'high', 'severe'],
-    default: 'none',
+    enum: STRESS_LEVELS,
+    default: 'healthy',
+  },
+  stressRuleset: {
+    type: String, // utils/stressClassification ruleset version that produced stressLevel
   },
   aiAnalysis: {
     predictedYield: {
@@ -60,5 +109,13 @@ const ndviDataSchema = new mongoose.Schema({
 // Create compound index for efficient queries
 ndviDataSchema.index({ farm: 1, date: -1 });
 ndviDataSchema.index({ date: -1 });
+// One observation per farm, acquisition date and satellite
+ndviDataSchema.index({ farm: 1, date: 1, satellite: 1 }, { unique: true });
+
+const NDVIData = mongoose.model('NDVIData', ndviDataSchema);
+
+// Forecast points were once stored here flagged `forecast: true` (not in the schema). Every read
+// of observed NDVI excludes them until migrations/move_ndvi_forecasts.js has moved them out.
+NDVIData.OBSERVED = { forecast: { $ne: true } };
 
-module.exports = mongoose.model('NDVIData', ndviDataSchema);
\ No newline at end of file
+module.exports = NDVIData;
\ No newline at end of file
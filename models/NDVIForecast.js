@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { STRESS_LEVELS } = require('../utils/stressClassification');
+
+// Days of forecast runs kept before MongoDB removes them
+const FORECAST_RETENTION_DAYS = 365;
+
+// One forecast point of a forecast run. Observed NDVI lives in NDVIData; forecasts are kept
+// apart so they never mix with observations, and every run is kept so accuracy can be scored
+// per horizon.
+const ndviForecastSchema = new mongoose.Schema({
+  farm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farm',
+    required: true,
+  },
+  runId: {
+    type: String, // Shared by every point of one forecast run
+    required: true,
+  },
+  modelVersion: {
+    type: String,
+    required: true,
+  },
+  method: {
+    type: String, // e.g. 'phenology_damped_trend', 'damped_trend'
+  },
+  issuedAt: {
+    type: Date,
+    required: true,
+  },
+  date: {
+    type: Date, // Day the point forecasts
+    required: true,
+  },
+  horizonDays: {
+    type: Number, // Days from issue to `date`
+    required: true,
+    min: 0,
+  },
+  predictedNDVI: {
+    type: Number,
+    required: true,
+    min: -1,
+    max: 1,
+  },
+  lower80: {
+    type: Number,
+  },
+  upper80: {
+    type: Number,
+  },
+  lower95: {
+    type: Number,
+  },
+  upper95: {
+    type: Number,
+  },
+  expectedNDVI: {
+    type: Number, // Crop calendar curve on `date`, when the farm has one
+  },
+  stressLevel: {
+    type: String,
+    enum: STRESS_LEVELS,
+  },
+  growthStage: {
+    type: String,
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ndviForecastSchema.index({ farm: 1, issuedAt: -1 });
+ndviForecastSchema.index({ farm: 1, date: 1 });
+ndviForecastSchema.index({ runId: 1, date: 1 }, { unique: true });
+ndviForecastSchema.index({ issuedAt: 1 }, { expireAfterSeconds: FORECAST_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('NDVIForecast', ndviForecastSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_CHANNELS = ['sms', 'email', 'push', 'in_app'];
+
+// One attempt to deliver an alert over one channel (services/notificationDispatcher.js)
+const notificationDeliverySchema = new mongoose.Schema({
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert',
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  farm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farm',
+  },
+  channel: {
+    type: String,
+    enum: NOTIFICATION_CHANNELS,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true,
+  },
+  urgency: {
+    type: String,
+  },
+  fallback: {
+    type: Boolean, // Tried because none of the urgency's primary channels delivered
+    default: false,
+  },
+  providerMessageId: {
+    type: String,
+  },
+  error: {
+    type: String,
+  },
+  sentAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+notificationDeliverySchema.index({ alert: 1, createdAt: 1 });
+notificationDeliverySchema.index({ user: 1, createdAt: -1 });
+notificationDeliverySchema.index({ channel: 1, status: 1, createdAt: -1 });
+
+const NotificationDelivery = mongoose.model('NotificationDelivery', notificationDeliverySchema);
+NotificationDelivery.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+
+module.exports = NotificationDelivery;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const oneTimeCodeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'phone_verification'],
+    required: true,
+  },
+  codeHash: {
+    type: String, // SHA-256 of the code, never the code itself
+    required: true,
+  },
+  channel: {
+    type: String,
+    enum: ['sms', 'email'],
+    required: true,
+  },
+  destination: {
+    type: String, // Phone number or email the code was sent to
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  consumedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+oneTimeCodeSchema.methods.isUsable = function() {
+  return !this.consumedAt && this.expiresAt > new Date() && this.attempts < this.maxAttempts;
+};
+
+oneTimeCodeSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+// Let MongoDB remove codes once they have expired
+oneTimeCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OneTimeCode', oneTimeCodeSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: ['cooperative', 'agribusiness', 'ngo'],
+    required: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  contactEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  contactPhone: {
+    type: String,
+    trim: true,
+  },
+  region: {
+    type: String, // e.g. district or province served
+    trim: true,
+  },
+  reportSettings: {
+    emailReports: {
+      type: Boolean,
+      default: true,
+    },
+    reportDays: {
+      type: Number,
+      default: 7,
+      min: 1,
+      max: 90,
+    },
+    lastSentAt: {
+      type: Date, // Set by the org-stress-reports job
+    },
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update the updatedAt field before saving
+organizationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { isValidCron } = require('../utils/cron');
+
+// Persisted definition of a recurring job; handlers are registered in code by name
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  schedule: {
+    type: String, // Five-field cron expression, evaluated in UTC
+    required: true,
+    validate: {
+      validator: isValidCron,
+      message: props => `${props.value} is not a valid cron expression`,
+    },
+  },
+  isPaused: {
+    type: Boolean,
+    default: false,
+  },
+  lockTimeoutMinutes: {
+    type: Number, // A lock older than this is treated as abandoned by a crashed instance
+    default: 60,
+    min: 1,
+  },
+  lock: {
+    owner: {
+      type: String, // Instance id holding the lock
+    },
+    lockedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+    },
+  },
+  nextRunAt: {
+    type: Date,
+  },
+  lastRunAt: {
+    type: Date,
+  },
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+  },
+  pausedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+scheduledJobSchema.methods.isLocked = function(now = new Date()) {
+  return Boolean(this.lock?.expiresAt && this.lock.expiresAt > now);
+};
+
+// Update the updatedAt field before saving
+scheduledJobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+scheduledJobSchema.index({ isPaused: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// One session per signed-in device; the refresh token rotates on every use
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  tokenHash: {
+    type: String, // SHA-256 of the current refresh token secret
+    required: true,
+  },
+  previousTokenHash: {
+    type: String, // Kept to detect reuse of a rotated refresh token
+  },
+  userAgent: {
+    type: String,
+  },
+  ipAddress: {
+    type: String,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'token_reuse', 'password_change', 'account_deactivated'],
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke every active session for a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'logout_all', exceptSessionId = null) {
+  return this.updateMany(
+    {
+      user: userId,
+      revokedAt: null,
+      ...(exceptSessionId && { _id: { $ne: exceptSessionId } })
+    },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
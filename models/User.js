@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, resolveLanguage } = require('../utils/i18n');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -31,11 +32,22 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  phoneVerified: {
+    type: Boolean,
+    default: false,
+  },
+  phoneVerifiedAt: {
+    type: Date,
+  },
   role: {
     type: String,
-    enum: ['farmer', 'agricultural_expert', 'admin'],
+    enum: ['farmer', 'agricultural_expert', 'org_admin', 'admin'],
     default: 'farmer',
   },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+  },
   avatar: {
     type: String, // URL to avatar image
   },
@@ -53,7 +65,9 @@ const userSchema = new mongoose.Schema({
   preferences: {
     language: {
       type: String,
-      default: 'en',
+      enum: SUPPORTED_LANGUAGES, // Alerts and recommendations are written in this language
+      default: DEFAULT_LANGUAGE,
+      set: resolveLanguage, // 'id-ID' or 'EN' are stored as 'id' and 'en'
     },
     notifications: {
       email: {
@@ -70,6 +84,21 @@ const userSchema = new mongoose.Schema({
       },
     },
   },
+  pushTokens: [{
+    token: {
+      type: String, // FCM registration token of a browser or device
+      required: true,
+    },
+    platform: {
+      type: String,
+      enum: ['web', 'android', 'ios'],
+      default: 'web',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
   isActive: {
     type: Boolean,
     default: true,
@@ -87,6 +116,15 @@ const userSchema = new mongoose.Schema({
   },
 });
 
+// Setters do not run on loaded documents, so normalize a language stored before the enum existed
+userSchema.pre('validate', function(next) {
+  const language = this.preferences?.language;
+  if (language && !SUPPORTED_LANGUAGES.includes(language)) {
+    this.preferences.language = resolveLanguage(language);
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -100,6 +138,15 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// A changed phone number must be verified again
+userSchema.pre('save', function(next) {
+  if (this.isModified('phoneNumber') && !this.isNew) {
+    this.phoneVerified = false;
+    this.phoneVerifiedAt = undefined;
+  }
+  next();
+});
+
 // Update updatedAt field before saving
 userSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -113,5 +160,6 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 
 // Create index for geospatial queries
 userSchema.index({ location: '2dsphere' });
+userSchema.index({ organization: 1, role: 1 });
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
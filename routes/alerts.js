@@ -1,13 +1,17 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const AlertService = require('../services/alertService');
 const Alert = require('../models/Alert');
 const auth = require('../middleware/auth');
+const Farm = require('../models/Farm');
+const { authorizeFarm, authorizeOrganization, requireRole } = require('../middleware/authorize');
+const notificationDispatcher = require('../services/notificationDispatcher');
 
 const alertService = new AlertService();
 
 // Get alert history for a farm
-router.get('/farm/:farmId', auth, async (req, res) => {
+router.get('/farm/:farmId', auth, authorizeFarm('read'), async (req, res) => {
   try {
     const { farmId } = req.params;
     const { days = 30 } = req.query;
@@ -71,16 +75,8 @@ router.get('/statistics', auth, async (req, res) => {
 });
 
 // Get system-wide alert statistics (admin only)
-router.get('/admin/statistics', auth, async (req, res) => {
+router.get('/admin/statistics', auth, requireRole('admin'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        error: 'Admin access required'
-      });
-    }
-
     const { days = 30 } = req.query;
     const stats = await alertService.getAlertStatistics(parseInt(days));
 
@@ -97,6 +93,59 @@ router.get('/admin/statistics', auth, async (req, res) => {
   }
 });
 
+// Get alert statistics for an organization's farms (org admins and admins)
+router.get('/org/:orgId/statistics', auth, authorizeOrganization(), async (req, res) => {
+  try {
+    const { days = 30 } = req.query;
+
+    const farmIds = await Farm.find({ organization: req.organization._id }).distinct('_id');
+    const stats = await alertService.getAlertStatistics(parseInt(days), null, farmIds);
+
+    res.json({
+      success: true,
+      organizationId: req.organization._id,
+      farmCount: farmIds.length,
+      statistics: stats
+    });
+  } catch (error) {
+    console.error('Organization alert statistics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch organization alert statistics'
+    });
+  }
+});
+
+// Delivery attempts of an alert, one per channel tried (own alerts; admins see all)
+router.get('/:alertId/deliveries', auth, async (req, res) => {
+  try {
+    const { alertId } = req.params;
+
+    const alert = mongoose.Types.ObjectId.isValid(alertId) ? await Alert.findById(alertId) : null;
+    if (!alert || (req.user.role !== 'admin' && !alert.userId.equals(req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    const deliveries = await notificationDispatcher.getDeliveries(alert._id);
+
+    res.json({
+      success: true,
+      alertId: alert._id,
+      channels: alert.channels,
+      deliveries
+    });
+  } catch (error) {
+    console.error('Alert deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alert deliveries'
+    });
+  }
+});
+
 // Acknowledge alert
 router.put('/:alertId/acknowledge', auth, async (req, res) => {
   try {
@@ -138,7 +187,7 @@ router.put('/:alertId/acknowledge', auth, async (req, res) => {
 });
 
 // Send custom alert (for testing)
-router.post('/send-custom', auth, async (req, res) => {
+router.post('/send-custom', auth, authorizeFarm('write'), async (req, res) => {
   try {
     const { farmId, message, urgency = 'normal' } = req.body;
 
@@ -158,7 +207,7 @@ router.post('/send-custom', auth, async (req, res) => {
 });
 
 // Analyze farm and send alert if needed
-router.post('/analyze/:farmId', auth, async (req, res) => {
+router.post('/analyze/:farmId', auth, authorizeFarm('write'), async (req, res) => {
   try {
     const { farmId } = req.params;
     const { forceAnalysis = false } = req.body;
@@ -178,22 +227,22 @@ router.post('/analyze/:farmId', auth, async (req, res) => {
   }
 });
 
-// Analyze all farms (admin only)
-router.post('/analyze-all', auth, async (req, res) => {
+// Queue analysis of all farms (admin only)
+router.post('/analyze-all', auth, requireRole('admin'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        error: 'Admin access required'
-      });
-    }
+    const result = await alertService.analyzeAllFarms({
+      farmIds: req.body?.farmIds,
+      requestedBy: req.user._id
+    });
 
-    const result = await alertService.analyzeAllFarms();
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
 
-    res.json({
-      success: true,
-      ...result
+    // Analysis runs in the background; progress is at /api/jobs/:jobId
+    res.status(202).json({
+      ...result,
+      statusUrl: `/api/jobs/${result.jobId}`
     });
   } catch (error) {
     console.error('Analyze all farms error:', error);
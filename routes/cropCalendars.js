@@ -0,0 +1,102 @@
+const express = require('express');
+const router = express.Router();
+const CropCalendar = require('../models/CropCalendar');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
+const cropCalendarService = require('../services/cropCalendarService');
+const { getGrowthStage, expectedNDVIFor } = require('../utils/cropCalendar');
+
+const CROP_TYPES = CropCalendar.schema.path('cropType').enumValues;
+
+const validCropType = (req, res, next) => {
+  if (!CROP_TYPES.includes(req.params.cropType)) {
+    return res.status(404).json({ error: 'Unknown crop type' });
+  }
+  next();
+};
+
+// Expected NDVI curve sampled every `step` days, for charts
+const sampleCurve = (calendar, step = 5) => {
+  const curve = [];
+  const planting = new Date(0);
+  const length = calendar.stages[calendar.stages.length - 1].endDay;
+
+  for (let day = 0; day < length; day += step) {
+    const growthStage = getGrowthStage(calendar, planting, new Date(day * 24 * 60 * 60 * 1000));
+    curve.push({
+      day,
+      stage: growthStage.name,
+      expectedNDVI: Math.round(expectedNDVIFor(growthStage) * 1000) / 1000
+    });
+  }
+
+  return curve;
+};
+
+// List crop calendars
+router.get('/', auth, async (req, res) => {
+  try {
+    const calendars = await cropCalendarService.listCalendars();
+    res.json({ calendars });
+  } catch (error) {
+    console.error('List crop calendars error:', error);
+    res.status(500).json({ error: 'Failed to fetch crop calendars' });
+  }
+});
+
+// Calendar of one crop type with its sampled NDVI curve
+router.get('/:cropType', auth, validCropType, async (req, res) => {
+  try {
+    const calendar = await cropCalendarService.getCalendar(req.params.cropType);
+
+    if (!calendar) {
+      return res.status(404).json({ error: 'No crop calendar for this crop type' });
+    }
+
+    res.json({ calendar, curve: sampleCurve(calendar) });
+  } catch (error) {
+    console.error('Get crop calendar error:', error);
+    res.status(500).json({ error: 'Failed to fetch crop calendar' });
+  }
+});
+
+// Replace stages, description or perennial flag (admin only)
+router.put('/:cropType', auth, requireRole('admin'), validCropType, async (req, res) => {
+  try {
+    const { description, perennial, stages } = req.body;
+
+    const calendar = await cropCalendarService.updateCalendar(
+      req.params.cropType,
+      { description, perennial, stages },
+      req.user._id
+    );
+
+    res.json(calendar);
+  } catch (error) {
+    console.error('Update crop calendar error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({ error: 'Failed to update crop calendar' });
+  }
+});
+
+// Restore the shipped default calendar (admin only)
+router.post('/:cropType/reset', auth, requireRole('admin'), validCropType, async (req, res) => {
+  try {
+    const calendar = await cropCalendarService.resetCalendar(req.params.cropType, req.user._id);
+
+    if (!calendar) {
+      return res.status(404).json({ error: 'No default calendar for this crop type' });
+    }
+
+    res.json(calendar);
+  } catch (error) {
+    console.error('Reset crop calendar error:', error);
+    res.status(500).json({ error: 'Failed to reset crop calendar' });
+  }
+});
+
+module.exports = router;
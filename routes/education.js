@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const videoEducationService = require('../services/videoEducation');
+const auth = require('../middleware/auth');
+const { requireSelfOrAdmin } = require('../middleware/authorize');
 
 router.get('/videos', async (req, res) => {
   try {
@@ -77,13 +79,14 @@ router.get('/videos/search', async (req, res) => {
   }
 });
 
-router.post('/videos/progress', async (req, res) => {
+router.post('/videos/progress', auth, async (req, res) => {
   try {
-    const { userId, videoId, progress, videoTitle, videoUrl, category } = req.body;
+    const { videoId, progress, videoTitle, videoUrl, category } = req.body;
+    const userId = req.user._id;
 
-    if (!userId || !videoId || progress === undefined) {
+    if (!videoId || progress === undefined) {
       return res.status(400).json({
-        error: 'userId, videoId, and progress are required'
+        error: 'videoId and progress are required'
       });
     }
 
@@ -111,7 +114,7 @@ router.post('/videos/progress', async (req, res) => {
   }
 });
 
-router.get('/users/:userId/history', async (req, res) => {
+router.get('/users/:userId/history', auth, requireSelfOrAdmin(), async (req, res) => {
   try {
     const { userId } = req.params;
     const { limit = 50, category } = req.query;
@@ -0,0 +1,222 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router({ mergeParams: true });
+const Farm = require('../models/Farm');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { authorizeFarm } = require('../middleware/authorize');
+
+// Mounted at /api/farms/:farmId/members
+
+const formatMember = (member) => ({
+  user: member.user,
+  role: member.role,
+  status: member.status,
+  invitedBy: member.invitedBy,
+  invitedAt: member.invitedAt,
+  respondedAt: member.respondedAt,
+  alertMinStressLevel: member.alertMinStressLevel || Farm.MEMBER_ALERT_DEFAULTS[member.role],
+  muteAlerts: member.muteAlerts
+});
+
+// Only owners (and admins) may grant or change the owner role
+const canAssignRole = (farm, user, role) => (
+  role !== 'owner' || ['admin', 'owner'].includes(farm.getAccessLevel(user))
+);
+
+// List farm members
+router.get('/', auth, authorizeFarm('read'), async (req, res) => {
+  try {
+    const farm = await req.farm.populate([
+      { path: 'owner', select: 'username fullName email' },
+      { path: 'members.user', select: 'username fullName email' }
+    ]);
+
+    res.json({
+      farmId: farm._id,
+      owner: farm.owner,
+      members: farm.members.map(formatMember),
+      count: farm.members.length
+    });
+  } catch (error) {
+    console.error('Get farm members error:', error);
+    res.status(500).json({ error: 'Failed to fetch farm members' });
+  }
+});
+
+// Invite a user to the farm by email or user ID
+router.post('/', auth, authorizeFarm('manage'), async (req, res) => {
+  try {
+    const { email, userId, role = 'worker' } = req.body;
+    const { farm } = req;
+
+    if (!email && !userId) {
+      return res.status(400).json({ error: 'Email or user ID is required' });
+    }
+
+    if (!Farm.MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `Role must be one of: ${Farm.MEMBER_ROLES.join(', ')}`
+      });
+    }
+
+    if (!canAssignRole(farm, req.user, role)) {
+      return res.status(403).json({ error: 'Only owners can invite other owners' });
+    }
+
+    const invitee = userId
+      ? await User.findById(userId).select('-password')
+      : await User.findOne({ email: email.toLowerCase().trim() }).select('-password');
+
+    if (!invitee || !invitee.isActive) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (farm.isPrimaryOwner(invitee._id)) {
+      return res.status(400).json({ error: 'User already owns this farm' });
+    }
+
+    const existing = farm.getMember(invitee._id);
+    if (existing && existing.status !== 'declined') {
+      return res.status(400).json({
+        error: existing.status === 'active'
+          ? 'User is already a member of this farm'
+          : 'User has already been invited'
+      });
+    }
+
+    // Re-inviting someone who declined replaces their old entry
+    if (existing) {
+      farm.members = farm.members.filter(entry => !entry.user.equals(invitee._id));
+    }
+
+    farm.members.push({
+      user: invitee._id,
+      role,
+      status: 'invited',
+      invitedBy: req.user._id,
+      invitedAt: new Date()
+    });
+    await farm.save();
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      member: formatMember(farm.getMember(invitee._id))
+    });
+  } catch (error) {
+    console.error('Invite farm member error:', error);
+    res.status(500).json({ error: 'Failed to invite farm member' });
+  }
+});
+
+// Accept or decline an invitation (the invitee has no farm access yet)
+const respondToInvitation = (accept) => async (req, res) => {
+  try {
+    const { farmId } = req.params;
+
+    const farm = mongoose.Types.ObjectId.isValid(farmId) ? await Farm.findById(farmId) : null;
+    const member = farm?.getMember(req.user._id);
+
+    if (!farm || !farm.isActive || !member || member.status !== 'invited') {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    member.status = accept ? 'active' : 'declined';
+    member.respondedAt = new Date();
+    await farm.save();
+
+    res.json({
+      message: accept ? 'Invitation accepted' : 'Invitation declined',
+      member: formatMember(member)
+    });
+  } catch (error) {
+    console.error('Respond to invitation error:', error);
+    res.status(500).json({ error: 'Failed to respond to invitation' });
+  }
+};
+
+router.post('/accept', auth, respondToInvitation(true));
+router.post('/decline', auth, respondToInvitation(false));
+
+// Update a member's role (managers/owners) or alert preferences (the member themselves)
+router.put('/:userId', auth, authorizeFarm('read'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role, alertMinStressLevel, muteAlerts } = req.body;
+    const { farm } = req;
+
+    const member = farm.getMember(userId);
+    if (!member || member.status === 'declined') {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const isSelf = req.user._id.equals(member.user);
+    const canManage = farm.canManageMembers(req.user);
+
+    if (role !== undefined) {
+      if (!canManage) {
+        return res.status(403).json({ error: 'You do not have permission to change member roles' });
+      }
+      if (!Farm.MEMBER_ROLES.includes(role)) {
+        return res.status(400).json({
+          error: `Role must be one of: ${Farm.MEMBER_ROLES.join(', ')}`
+        });
+      }
+      if (!canAssignRole(farm, req.user, role) || !canAssignRole(farm, req.user, member.role)) {
+        return res.status(403).json({ error: 'Only owners can change owner roles' });
+      }
+      member.role = role;
+    }
+
+    if (alertMinStressLevel !== undefined || muteAlerts !== undefined) {
+      if (!isSelf && !canManage) {
+        return res.status(403).json({ error: 'You can only change your own alert preferences' });
+      }
+      if (alertMinStressLevel !== undefined) member.alertMinStressLevel = alertMinStressLevel || undefined;
+      if (muteAlerts !== undefined) member.muteAlerts = Boolean(muteAlerts);
+    }
+
+    await farm.save();
+
+    res.json({
+      message: 'Member updated successfully',
+      member: formatMember(member)
+    });
+  } catch (error) {
+    console.error('Update farm member error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({ error: 'Failed to update farm member' });
+  }
+});
+
+// Remove a member, cancel an invitation, or leave the farm
+router.delete('/:userId', auth, authorizeFarm('read'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { farm } = req;
+
+    const member = farm.getMember(userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const isSelf = req.user._id.equals(member.user);
+    if (!isSelf && (!farm.canManageMembers(req.user) || !canAssignRole(farm, req.user, member.role))) {
+      return res.status(403).json({ error: 'You do not have permission to remove this member' });
+    }
+
+    farm.members = farm.members.filter(entry => !entry.user.equals(member.user));
+    await farm.save();
+
+    res.json({ message: isSelf ? 'You left the farm' : 'Member removed successfully' });
+  } catch (error) {
+    console.error('Remove farm member error:', error);
+    res.status(500).json({ error: 'Failed to remove farm member' });
+  }
+});
+
+module.exports = router;
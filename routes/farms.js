@@ -1,20 +1,45 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Farm = require('../models/Farm');
 const NDVIData = require('../models/NDVIData');
-const earthEngineService = require('../services/earthEngine');
+const User = require('../models/User');
 const huaweiCloudService = require('../services/huaweiCloud');
-
-// Get all farms for a user
-router.get('/', async (req, res) => {
+const auth = require('../middleware/auth');
+const { authorizeFarm, requireRole } = require('../middleware/authorize');
+const { parseBoundary, parseCoordinates } = require('../utils/geoJSON');
+const farmMemberRoutes = require('./farmMembers');
+const NDVIIngestionService = require('../services/ndviIngestionService');
+const cropCalendarService = require('../services/cropCalendarService');
+const forecastService = require('../services/forecastService');
+const analysisHistoryService = require('../services/analysisHistoryService');
+const { normalizeStressLevel, classifyStress } = require('../utils/stressClassification');
+
+const ndviIngestionService = new NDVIIngestionService();
+
+// Fields only admins may change through the farm update endpoint
+const ADMIN_ONLY_FIELDS = ['owner', 'organization', 'assignedExperts', 'isActive'];
+
+// Membership is managed through /:farmId/members
+const PROTECTED_FIELDS = ['members'];
+
+// Get all farms for a user (defaults to the signed-in user)
+router.get('/', auth, async (req, res) => {
   try {
-    const { userId } = req.query;
+    const userId = req.query.userId || req.user._id.toString();
 
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
+    if (userId !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'You can only list your own farms' });
     }
 
-    const farms = await Farm.find({ owner: userId, isActive: true })
+    // Farms the user owns or is an active member of
+    const farms = await Farm.find({
+      isActive: true,
+      $or: [
+        { owner: userId },
+        { members: { $elemMatch: { user: userId, status: 'active' } } }
+      ]
+    })
       .sort({ createdAt: -1 });
 
     res.json(farms);
@@ -24,50 +49,202 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Get pending farm invitations for the signed-in user
+router.get('/invitations', auth, async (req, res) => {
+  try {
+    const farms = await Farm.find({
+      isActive: true,
+      members: { $elemMatch: { user: req.user._id, status: 'invited' } }
+    })
+      .select('name cropType area owner members')
+      .populate('owner', 'username fullName');
+
+    const invitations = farms.map(farm => {
+      const member = farm.getMember(req.user._id);
+      return {
+        farmId: farm._id,
+        farmName: farm.name,
+        cropType: farm.cropType,
+        area: farm.area,
+        owner: farm.owner,
+        role: member.role,
+        invitedBy: member.invitedBy,
+        invitedAt: member.invitedAt
+      };
+    });
+
+    res.json({ invitations, count: invitations.length });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// Get farms assigned to the signed-in agricultural expert
+router.get('/assigned', auth, requireRole('agricultural_expert'), async (req, res) => {
+  try {
+    const farms = await Farm.find({ assignedExperts: req.user._id, isActive: true })
+      .populate('owner', 'username fullName')
+      .sort({ createdAt: -1 });
+
+    res.json(farms);
+  } catch (error) {
+    console.error('Get assigned farms error:', error);
+    res.status(500).json({ error: 'Failed to fetch assigned farms' });
+  }
+});
+
+// Search farms near a point, inside a bounding box/polygon, by crop type and stress level
+router.get('/search', auth, async (req, res) => {
+  try {
+    const {
+      lat,
+      lng,
+      radius,
+      bbox,
+      polygon,
+      cropType,
+      stressLevel,
+      owner,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    if (owner !== undefined && !mongoose.Types.ObjectId.isValid(owner)) {
+      return res.status(400).json({ error: 'Invalid owner ID' });
+    }
+
+    const options = {
+      owner,
+      accessFilter: Farm.accessFilter(req.user),
+      cropTypes: cropType ? cropType.split(',').map(type => type.trim()) : undefined,
+      stressLevels: stressLevel
+        ? stressLevel.split(',').map(level => normalizeStressLevel(level.trim()) || level.trim())
+        : undefined,
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(100, Math.max(1, parseInt(limit) || 20))
+    };
+
+    if (lat !== undefined || lng !== undefined) {
+      const latitude = parseFloat(lat);
+      const longitude = parseFloat(lng);
+
+      if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+        return res.status(400).json({ error: 'Both lat and lng must be valid numbers' });
+      }
+
+      options.near = { latitude, longitude };
+      options.maxDistanceKm = radius ? parseFloat(radius) : undefined;
+    }
+
+    if (bbox) {
+      const [minLng, minLat, maxLng, maxLat] = bbox.split(',').map(value => parseFloat(value));
+
+      if ([minLng, minLat, maxLng, maxLat].some(value => !Number.isFinite(value))) {
+        return res.status(400).json({ error: 'bbox must be minLng,minLat,maxLng,maxLat' });
+      }
+
+      options.within = {
+        type: 'Polygon',
+        coordinates: [[
+          [minLng, minLat],
+          [maxLng, minLat],
+          [maxLng, maxLat],
+          [minLng, maxLat],
+          [minLng, minLat]
+        ]]
+      };
+    } else if (polygon) {
+      const parsed = parseBoundary(polygon);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      options.within = parsed.geometry;
+    }
+
+    if (!options.near && !options.within && !options.owner) {
+      return res.status(400).json({
+        error: 'Provide lat/lng, bbox, polygon or owner to search farms'
+      });
+    }
+
+    const result = await Farm.search(options);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Search farms error:', error);
+    res.status(500).json({ error: 'Failed to search farms' });
+  }
+});
+
 // Register a new farm
-router.post('/register', async (req, res) => {
+router.post('/register', auth, async (req, res) => {
   try {
     const {
       name,
       description,
       coordinates,
+      boundary,
       area,
       cropType,
-      owner,
       plantingDate,
       expectedHarvestDate
     } = req.body;
 
-    // Validate required fields
-    if (!name || !coordinates || !area || !cropType || !owner || !plantingDate) {
+    // Farms belong to the signed-in user unless an admin registers on someone's behalf
+    const owner = req.user.role === 'admin' && req.body.owner ? req.body.owner : req.user._id;
+
+    // Validate required fields (a boundary replaces coordinates and area)
+    if (!name || (!boundary && (!coordinates || !area)) || !cropType || !plantingDate) {
       return res.status(400).json({
-        error: 'Name, coordinates, area, crop type, owner, and planting date are required'
+        error: 'Name, coordinates and area (or a boundary), crop type, and planting date are required'
       });
     }
 
-    // Parse coordinates if they're in string format
-    let coords = coordinates;
-    if (typeof coordinates === 'string') {
-      const [lat, lng] = coordinates.split(',').map(coord => parseFloat(coord.trim()));
-      coords = { latitude: lat, longitude: lng };
+    let geometry;
+    if (boundary) {
+      const parsed = parseBoundary(boundary);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      geometry = parsed.geometry;
+    }
+
+    // Farms join the owner's organization (cooperative, agribusiness, NGO)
+    const ownerUser = req.user._id.equals(owner) ? req.user : await User.findById(owner);
+    if (!ownerUser) {
+      return res.status(400).json({ error: 'Owner not found' });
     }
 
+    // Centroid and area are derived from the boundary by the model
     const farm = new Farm({
       name,
       description,
-      coordinates: coords,
+      coordinates: coordinates ? parseCoordinates(coordinates) : undefined,
+      boundary: geometry,
       area,
       cropType,
       owner,
+      organization: ownerUser.organization,
       plantingDate: new Date(plantingDate),
       expectedHarvestDate: expectedHarvestDate ? new Date(expectedHarvestDate) : undefined
     });
 
     const savedFarm = await farm.save();
+
+    // Pull satellite history since planting in the background
+    ndviIngestionService.backfillFarm(savedFarm).catch(error => {
+      console.error(`NDVI backfill failed for farm ${savedFarm._id}:`, error.message);
+    });
+
     res.status(201).json(savedFarm);
   } catch (error) {
     console.error('Register farm error:', error);
-    if (error.code === 11000) {
+    if (error.name === 'ValidationError') {
+      res.status(400).json({
+        error: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    } else if (error.code === 11000) {
       res.status(400).json({ error: 'Farm with this name already exists' });
     } else {
       res.status(500).json({ error: 'Failed to register farm' });
@@ -76,15 +253,9 @@ router.post('/register', async (req, res) => {
 });
 
 // Get a specific farm
-router.get('/:farmId', async (req, res) => {
+router.get('/:farmId', auth, authorizeFarm('read'), async (req, res) => {
   try {
-    const { farmId } = req.params;
-
-    const farm = await Farm.findById(farmId).populate('owner', 'username fullName');
-
-    if (!farm) {
-      return res.status(404).json({ error: 'Farm not found' });
-    }
+    const farm = await req.farm.populate('owner', 'username fullName');
 
     if (!farm.isActive) {
       return res.status(404).json({ error: 'Farm is not active' });
@@ -97,22 +268,39 @@ router.get('/:farmId', async (req, res) => {
   }
 });
 
-// Get NDVI data for a farm
-router.get('/:farmId/ndvi', async (req, res) => {
+// Export a farm as a GeoJSON Feature
+router.get('/:farmId/geojson', auth, authorizeFarm('read'), async (req, res) => {
   try {
-    const { farmId } = req.params;
-    const { startDate, endDate, limit = 30 } = req.query;
+    const { farm } = req;
 
-    const farm = await Farm.findById(farmId);
-    if (!farm) {
+    if (!farm.isActive) {
       return res.status(404).json({ error: 'Farm not found' });
     }
 
+    res.type('application/geo+json').json(farm.toGeoJSON());
+  } catch (error) {
+    console.error('Export farm GeoJSON error:', error);
+    res.status(500).json({ error: 'Failed to export farm GeoJSON' });
+  }
+});
+
+// Get observed NDVI data for a farm; ?includeForecast=true adds the latest forecast run
+router.get('/:farmId/ndvi', auth, authorizeFarm('read'), async (req, res) => {
+  try {
+    const { farmId } = req.params;
+    const { startDate, endDate, limit = 30, includeForecast } = req.query;
+    const { farm } = req;
+
     // Get NDVI data from database
     const ndviData = await NDVIData.find({
       farm: farmId,
-      ...(startDate && { date: { $gte: new Date(startDate) } }),
-      ...(endDate && { date: { $lte: new Date(endDate) } })
+      ...NDVIData.OBSERVED,
+      ...((startDate || endDate) && {
+        date: {
+          ...(startDate && { $gte: new Date(startDate) }),
+          ...(endDate && { $lte: new Date(endDate) })
+        }
+      })
     })
     .sort({ date: -1 })
     .limit(parseInt(limit));
@@ -121,7 +309,8 @@ router.get('/:farmId/ndvi', async (req, res) => {
       farm: farm.name,
       coordinates: `${farm.coordinates.latitude},${farm.coordinates.longitude}`,
       ndviData,
-      count: ndviData.length
+      count: ndviData.length,
+      ...(includeForecast === 'true' && { forecast: await forecastService.getLatestForecast(farmId) })
     });
   } catch (error) {
     console.error('Get NDVI data error:', error);
@@ -130,17 +319,13 @@ router.get('/:farmId/ndvi', async (req, res) => {
 });
 
 // Get current stress level for a farm
-router.get('/:farmId/stress-level', async (req, res) => {
+router.get('/:farmId/stress-level', auth, authorizeFarm('read'), async (req, res) => {
   try {
     const { farmId } = req.params;
-
-    const farm = await Farm.findById(farmId);
-    if (!farm) {
-      return res.status(404).json({ error: 'Farm not found' });
-    }
+    const { farm } = req;
 
     // Get latest NDVI data
-    const latestNDVI = await NDVIData.findOne({ farm: farmId })
+    const latestNDVI = await NDVIData.findOne({ farm: farmId, ...NDVIData.OBSERVED })
       .sort({ date: -1 });
 
     if (!latestNDVI) {
@@ -149,19 +334,21 @@ router.get('/:farmId/stress-level', async (req, res) => {
       });
     }
 
-    // Calculate stress level based on NDVI value
-    let stressLevel = 'none';
-    if (latestNDVI.ndvi < 0.2) stressLevel = 'severe';
-    else if (latestNDVI.ndvi < 0.3) stressLevel = 'high';
-    else if (latestNDVI.ndvi < 0.4) stressLevel = 'moderate';
-    else if (latestNDVI.ndvi < 0.5) stressLevel = 'low';
+    // Judge the reading against the crop's expected NDVI for its growth stage when possible
+    const assessment = await cropCalendarService.assess(farm, latestNDVI.ndvi, latestNDVI.date);
+    const { stressLevel, method, ruleset } = classifyStress(latestNDVI.ndvi, { calendarAssessment: assessment });
 
     res.json({
       farmId,
       farmName: farm.name,
       cropType: farm.cropType,
       latestNDVI: latestNDVI.ndvi,
+      indices: latestNDVI.indices || {},
       stressLevel,
+      growthStage: assessment?.growthStage || null,
+      expectedNDVI: assessment?.expectedNDVI ?? null,
+      deviation: assessment?.deviation ?? null,
+      classification: { method, ruleset },
       lastUpdated: latestNDVI.date,
       recommendations: latestNDVI.aiAnalysis || {}
     });
@@ -171,31 +358,76 @@ router.get('/:farmId/stress-level', async (req, res) => {
   }
 });
 
+// Farm home screen: current status, NDVI trend, recent analyses, active alerts and forecast
+router.get('/:farmId/health', auth, authorizeFarm('read'), async (req, res) => {
+  try {
+    const analyses = Math.min(20, Math.max(1, parseInt(req.query.analyses) || 5));
+    const health = await analysisHistoryService.getFarmHealth(req.farm, req.user, { analyses });
+
+    res.json(health);
+  } catch (error) {
+    console.error('Get farm health error:', error);
+    res.status(500).json({ error: 'Failed to get farm health' });
+  }
+});
+
+// Stress analysis history of a farm, newest first
+router.get('/:farmId/analyses', auth, authorizeFarm('read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const history = await analysisHistoryService.getHistory(req.farm._id, {
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(100, Math.max(1, parseInt(limit) || 20))
+    });
+
+    res.json(history);
+  } catch (error) {
+    console.error('Get analysis history error:', error);
+    res.status(500).json({ error: 'Failed to get analysis history' });
+  }
+});
+
 // Update farm information
-router.put('/:farmId', async (req, res) => {
+router.put('/:farmId', auth, authorizeFarm('write'), async (req, res) => {
   try {
-    const { farmId } = req.params;
-    const updates = req.body;
+    const updates = { ...req.body };
+    const { farm } = req;
 
-    const farm = await Farm.findByIdAndUpdate(
-      farmId,
-      { ...updates, updatedAt: Date.now() },
-      { new: true, runValidators: true }
-    );
+    PROTECTED_FIELDS.forEach(field => delete updates[field]);
+    if (req.user.role !== 'admin') {
+      ADMIN_ONLY_FIELDS.forEach(field => delete updates[field]);
+    }
 
-    if (!farm) {
-      return res.status(404).json({ error: 'Farm not found' });
+    if (updates.boundary) {
+      const parsed = parseBoundary(updates.boundary);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      updates.boundary = parsed.geometry;
     }
 
-    res.json(farm);
+    if (updates.coordinates) {
+      updates.coordinates = parseCoordinates(updates.coordinates);
+    }
+
+    // Save through the document so boundary-derived centroid and area are recomputed
+    farm.set(updates);
+    const savedFarm = await farm.save();
+
+    res.json(savedFarm);
   } catch (error) {
     console.error('Update farm error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
     res.status(500).json({ error: 'Failed to update farm' });
   }
 });
 
 // Delete (deactivate) a farm
-router.delete('/:farmId', async (req, res) => {
+router.delete('/:farmId', auth, authorizeFarm('write'), async (req, res) => {
   try {
     const { farmId } = req.params;
 
@@ -216,4 +448,58 @@ router.delete('/:farmId', async (req, res) => {
   }
 });
 
+// Assign an agricultural expert to a farm (read-only access)
+router.post('/:farmId/experts', auth, authorizeFarm('write'), async (req, res) => {
+  try {
+    const { expertId } = req.body;
+
+    if (!expertId) {
+      return res.status(400).json({ error: 'Expert ID is required' });
+    }
+
+    const expert = await User.findById(expertId).select('-password');
+    if (!expert || !expert.isActive || expert.role !== 'agricultural_expert') {
+      return res.status(404).json({ error: 'Agricultural expert not found' });
+    }
+
+    const farm = await Farm.findByIdAndUpdate(
+      req.farm._id,
+      { $addToSet: { assignedExperts: expert._id }, updatedAt: Date.now() },
+      { new: true }
+    );
+
+    res.json({
+      message: 'Expert assigned successfully',
+      assignedExperts: farm.assignedExperts
+    });
+  } catch (error) {
+    console.error('Assign expert error:', error);
+    res.status(500).json({ error: 'Failed to assign expert' });
+  }
+});
+
+// Remove an agricultural expert from a farm
+router.delete('/:farmId/experts/:expertId', auth, authorizeFarm('write'), async (req, res) => {
+  try {
+    const { expertId } = req.params;
+
+    const farm = await Farm.findByIdAndUpdate(
+      req.farm._id,
+      { $pull: { assignedExperts: expertId }, updatedAt: Date.now() },
+      { new: true }
+    );
+
+    res.json({
+      message: 'Expert removed successfully',
+      assignedExperts: farm.assignedExperts
+    });
+  } catch (error) {
+    console.error('Remove expert error:', error);
+    res.status(500).json({ error: 'Failed to remove expert' });
+  }
+});
+
+// Farm team memberships
+router.use('/:farmId/members', farmMemberRoutes);
+
 module.exports = router;
\ No newline at end of file
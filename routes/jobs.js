@@ -0,0 +1,124 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Job = require('../models/Job');
+const auth = require('../middleware/auth');
+const jobQueue = require('../services/jobQueueService');
+
+// Load the job and check that the user may see it (requester or admin)
+const loadJob = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const job = await Job.findById(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (req.user.role !== 'admin' && !job.requestedBy?.equals(req.user._id)) {
+      return res.status(403).json({ error: 'Access denied to this job' });
+    }
+
+    req.job = job;
+    next();
+  } catch (error) {
+    console.error('Load job error:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+};
+
+const formatJob = (job) => ({
+  jobId: job._id,
+  type: job.type,
+  status: job.status,
+  progress: job.getProgress(),
+  params: job.params,
+  requestedBy: job.requestedBy,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
+
+// List jobs requested by the current user (admins see all)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type, status } = req.query;
+
+    const query = req.user.role === 'admin' ? {} : { requestedBy: req.user._id };
+    if (type) {
+      query.type = type;
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    const jobs = await Job.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await Job.countDocuments(query);
+
+    res.json({
+      jobs: jobs.map(formatJob),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Job status and progress
+router.get('/:jobId', auth, loadJob, async (req, res) => {
+  res.json(formatJob(req.job));
+});
+
+// Per-farm results, optionally filtered by task status
+router.get('/:jobId/results', auth, loadJob, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status } = req.query;
+
+    const results = await jobQueue.getResults(req.job._id, {
+      status,
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit) || 50, 200)
+    });
+
+    res.json({
+      jobId: req.job._id,
+      progress: req.job.getProgress(),
+      ...results
+    });
+  } catch (error) {
+    console.error('Get job results error:', error);
+    res.status(500).json({ error: 'Failed to fetch job results' });
+  }
+});
+
+// Cancel tasks that have not started yet
+router.post('/:jobId/cancel', auth, loadJob, async (req, res) => {
+  try {
+    const job = await jobQueue.cancel(req.job._id);
+
+    if (!job) {
+      return res.status(400).json({ error: `Job is already ${req.job.status}` });
+    }
+
+    res.json(formatJob(job));
+  } catch (error) {
+    console.error('Cancel job error:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+module.exports = router;
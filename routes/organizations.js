@@ -0,0 +1,298 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Farm = require('../models/Farm');
+const auth = require('../middleware/auth');
+const { requireRole, authorizeOrganization } = require('../middleware/authorize');
+const OrganizationService = require('../services/organizationService');
+
+const organizationService = new OrganizationService();
+
+// Largest batch accepted by the bulk onboarding endpoint
+const MAX_BULK_FARMERS = 500;
+
+// Create an organization (admin only)
+router.post('/', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { name, type, description, contactEmail, contactPhone, region, adminUserId } = req.body;
+
+    if (!name || !type) {
+      return res.status(400).json({ error: 'Name and type are required' });
+    }
+
+    // Check the first admin before saving, so a bad ID does not leave an adminless organization
+    let adminUser = null;
+    if (adminUserId) {
+      if (!mongoose.Types.ObjectId.isValid(adminUserId)) {
+        return res.status(400).json({ error: 'Invalid admin user ID' });
+      }
+
+      adminUser = await User.findOne({ _id: adminUserId, isActive: true });
+      if (!adminUser) {
+        return res.status(404).json({ error: 'Admin user not found' });
+      }
+    }
+
+    const organization = await new Organization({
+      name,
+      type,
+      description,
+      contactEmail,
+      contactPhone,
+      region,
+      createdBy: req.user._id
+    }).save();
+
+    // Optionally promote an existing user to be the first org admin
+    if (adminUser) {
+      await User.findByIdAndUpdate(adminUser._id, {
+        organization: organization._id,
+        role: 'org_admin',
+        updatedAt: Date.now()
+      });
+    }
+
+    res.status(201).json(organization);
+  } catch (error) {
+    console.error('Create organization error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'Organization with this name already exists' });
+    }
+    res.status(500).json({ error: 'Failed to create organization' });
+  }
+});
+
+// List organizations (admin only)
+router.get('/', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type } = req.query;
+
+    const query = { isActive: true };
+    if (type) {
+      query.type = type;
+    }
+
+    const organizations = await Organization.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await Organization.countDocuments(query);
+
+    res.json({
+      organizations,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({ error: 'Failed to fetch organizations' });
+  }
+});
+
+// Get an organization
+router.get('/:orgId', auth, authorizeOrganization(), async (req, res) => {
+  try {
+    const { organization } = req;
+
+    const [members, farms] = await Promise.all([
+      User.countDocuments({ organization: organization._id, isActive: true }),
+      Farm.countDocuments({ organization: organization._id, isActive: true })
+    ]);
+
+    res.json({
+      ...organization.toObject(),
+      memberCount: members,
+      farmCount: farms
+    });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({ error: 'Failed to fetch organization' });
+  }
+});
+
+// Update an organization
+router.put('/:orgId', auth, authorizeOrganization(), async (req, res) => {
+  try {
+    const { organization } = req;
+    const updates = { ...req.body };
+
+    delete updates.createdBy;
+    if (req.user.role !== 'admin') {
+      delete updates.isActive;
+    }
+
+    organization.set(updates);
+    await organization.save();
+
+    res.json(organization);
+  } catch (error) {
+    console.error('Update organization error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({ error: 'Failed to update organization' });
+  }
+});
+
+// List organization members
+router.get('/:orgId/members', auth, authorizeOrganization(), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, role } = req.query;
+
+    const query = { organization: req.organization._id, isActive: true };
+    if (role) {
+      query.role = role;
+    }
+
+    const members = await User.find(query)
+      .select('-password')
+      .sort({ fullName: 1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      members,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get organization members error:', error);
+    res.status(500).json({ error: 'Failed to fetch organization members' });
+  }
+});
+
+// Onboard many farmers at once
+router.post('/:orgId/members/bulk', auth, authorizeOrganization(), async (req, res) => {
+  try {
+    const { farmers } = req.body;
+
+    if (!Array.isArray(farmers) || farmers.length === 0) {
+      return res.status(400).json({ error: 'A non-empty farmers array is required' });
+    }
+
+    if (farmers.length > MAX_BULK_FARMERS) {
+      return res.status(400).json({
+        error: `At most ${MAX_BULK_FARMERS} farmers can be onboarded per request`
+      });
+    }
+
+    const result = await organizationService.bulkOnboardFarmers(req.organization, farmers);
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Bulk onboard farmers error:', error);
+    res.status(500).json({ error: 'Failed to onboard farmers' });
+  }
+});
+
+// Remove a user (and their farms) from the organization
+router.delete('/:orgId/members/:userId', auth, authorizeOrganization(), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findOne({ _id: userId, organization: req.organization._id });
+    if (!user) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    user.organization = undefined;
+    if (user.role === 'org_admin') {
+      user.role = 'farmer';
+    }
+    await user.save();
+
+    await Farm.updateMany(
+      { owner: user._id, organization: req.organization._id },
+      { $unset: { organization: 1 }, updatedAt: Date.now() }
+    );
+
+    res.json({ message: 'Member removed from organization' });
+  } catch (error) {
+    console.error('Remove organization member error:', error);
+    res.status(500).json({ error: 'Failed to remove organization member' });
+  }
+});
+
+// List all farms of organization members
+router.get('/:orgId/farms', auth, authorizeOrganization(), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, cropType } = req.query;
+
+    const query = { organization: req.organization._id, isActive: true };
+    if (cropType) {
+      query.cropType = cropType;
+    }
+
+    const farms = await Farm.find(query)
+      .populate('owner', 'username fullName phoneNumber')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await Farm.countDocuments(query);
+
+    res.json({
+      farms,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get organization farms error:', error);
+    res.status(500).json({ error: 'Failed to fetch organization farms' });
+  }
+});
+
+// Aggregated stress report across member farms
+router.get('/:orgId/reports/stress', auth, authorizeOrganization(), async (req, res) => {
+  try {
+    const { days = 7 } = req.query;
+
+    const report = await organizationService.buildStressReport(req.organization, parseInt(days));
+
+    res.json(report);
+  } catch (error) {
+    console.error('Organization stress report error:', error);
+    res.status(500).json({ error: 'Failed to build stress report' });
+  }
+});
+
+// Email the stress report to the organization's admins
+router.post('/:orgId/reports/stress/send', auth, authorizeOrganization(), async (req, res) => {
+  try {
+    const result = await organizationService.sendStressReport(req.organization);
+
+    res.json({
+      message: `Stress report sent to ${result.sent} admin(s)`,
+      deliveries: result.deliveries
+    });
+  } catch (error) {
+    console.error('Send organization stress report error:', error);
+    res.status(500).json({ error: 'Failed to send stress report' });
+  }
+});
+
+module.exports = router;
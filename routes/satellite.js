@@ -1,18 +1,56 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const earthEngineService = require('../services/earthEngine');
+const { getSatelliteProvider } = require('../services/satelliteProvider');
 const huaweiCloudService = require('../services/huaweiCloud');
-const AIStressDetector = require('../services/aiStressDetector');
+const { getStressDetector } = require('../services/aiStressDetector');
 const AlertService = require('../services/alertService');
 const NDVIData = require('../models/NDVIData');
 const Farm = require('../models/Farm');
+const auth = require('../middleware/auth');
+const { authorizeFarm, requireRole } = require('../middleware/authorize');
+const { screenObservations } = require('../utils/ndviQuality');
+const cropCalendarService = require('../services/cropCalendarService');
+const forecastService = require('../services/forecastService');
+const alertStateService = require('../services/alertStateService');
+const { VEGETATION_INDICES, SECONDARY_INDICES } = require('../utils/vegetationIndices');
+
+const satelliteProvider = getSatelliteProvider();
+
+// Optional ?indices=evi,ndwi selection of the secondary indices in time series responses
+const parseIndexSelection = (value) => {
+  if (!value) {
+    return { selection: SECONDARY_INDICES };
+  }
+
+  const selection = value.split(',').map(index => index.trim().toLowerCase()).filter(Boolean);
+  const unknown = selection.filter(index => !SECONDARY_INDICES.includes(index));
+
+  return unknown.length > 0
+    ? { error: `Unknown indices: ${unknown.join(', ')} (available: ${SECONDARY_INDICES.join(', ')})` }
+    : { selection };
+};
+
+const selectIndices = (timeSeries, selection) => timeSeries.map(observation => ({
+  ...observation,
+  indices: Object.fromEntries(
+    Object.entries(observation.indices || {}).filter(([index]) => selection.includes(index))
+  )
+}));
+
+// Vegetation indices reported with every observation
+router.get('/indices', auth, (req, res) => {
+  res.json({
+    indices: Object.entries(VEGETATION_INDICES).map(([id, definition]) => ({ id, ...definition }))
+  });
+});
 
-router.get('/imagery/:coordinates', async (req, res) => {
+router.get('/imagery/:coordinates', auth, async (req, res) => {
   try {
     const { coordinates } = req.params;
     const { startDate, endDate } = req.query;
 
-    const imagery = await earthEngineService.getSatelliteImagery(
+    const imagery = await satelliteProvider.getSatelliteImagery(
       coordinates,
       startDate || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
       endDate || new Date().toISOString().split('T')[0]
@@ -20,16 +58,19 @@ router.get('/imagery/:coordinates', async (req, res) => {
 
     res.json(imagery);
   } catch (error) {
+    if (error.name === 'InvalidLocationError') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Satellite imagery error:', error);
     res.status(500).json({ error: 'Failed to fetch satellite imagery' });
   }
 });
 
-router.get('/ndvi/:coordinates/:date', async (req, res) => {
+router.get('/ndvi/:coordinates/:date', auth, async (req, res) => {
   try {
     const { coordinates, date } = req.params;
 
-    const ndviData = await earthEngineService.calculateNDVI(coordinates, date);
+    const ndviData = await satelliteProvider.calculateNDVI(coordinates, date);
 
     // Get AI analysis from Huawei Cloud
     const analysis = await huaweiCloudService.analyzeCropStress(ndviData, coordinates);
@@ -40,51 +81,67 @@ router.get('/ndvi/:coordinates/:date', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (error.name === 'InvalidLocationError') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('NDVI calculation error:', error);
     res.status(500).json({ error: 'Failed to calculate NDVI' });
   }
 });
 
-router.get('/timeseries/:coordinates', async (req, res) => {
+router.get('/timeseries/:coordinates', auth, async (req, res) => {
   try {
     const { coordinates } = req.params;
     const { startDate, endDate } = req.query;
 
-    const timeSeries = await earthEngineService.getTimeSeriesNDVI(
+    const { selection, error } = parseIndexSelection(req.query.indices);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const timeSeries = await satelliteProvider.getTimeSeriesNDVI(
       coordinates,
       startDate || new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
       endDate || new Date().toISOString().split('T')[0]
     );
 
-    res.json(timeSeries);
+    res.json(selectIndices(timeSeries, selection));
   } catch (error) {
+    if (error.name === 'InvalidLocationError') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Time series error:', error);
     res.status(500).json({ error: 'Failed to generate NDVI time series' });
   }
 });
 
-router.get('/forecast/:farmId', async (req, res) => {
+router.get('/forecast/:farmId', auth, authorizeFarm('read'), async (req, res) => {
   try {
     const { farmId } = req.params;
-    const { days } = req.query;
-
-    // Get farm data first
-    const farmData = await huaweiCloudService.getFarmData(farmId);
+    const forecastDays = parseInt(req.query.days) || 30;
+    const farm = req.farm;
 
     // Get historical NDVI data
-    const historicalData = await earthEngineService.getTimeSeriesNDVI(
-      farmData.coordinates,
+    const historicalData = await satelliteProvider.getTimeSeriesNDVI(
+      farm.getGeometry(),
       new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
       new Date().toISOString().split('T')[0]
     );
 
-    // Generate forecast (simplified linear regression)
-    const forecastDays = parseInt(days) || 30;
-    const forecast = generateNDVIForecast(historicalData, forecastDays);
+    // Same model as the stress forecast
+    const aiDetector = getStressDetector();
+    const forecast = aiDetector.generateStressForecast(
+      historicalData, forecastDays, await forecastService.farmMetadata(farm)
+    );
 
     res.json({
       farmId,
-      farmData,
+      farmData: {
+        name: farm.name,
+        cropType: farm.cropType,
+        plantingDate: farm.plantingDate,
+        area: farm.area
+      },
       historicalData,
       forecast,
       generatedAt: new Date().toISOString()
@@ -95,25 +152,176 @@ router.get('/forecast/:farmId', async (req, res) => {
   }
 });
 
-router.get('/analysis/:coordinates', async (req, res) => {
+// Forecast accuracy on the farm's stored observations (?horizons=7,14,30)
+router.get('/forecast/:farmId/backtest', auth, authorizeFarm('read'), async (req, res) => {
+  try {
+    const horizons = req.query.horizons
+      ? req.query.horizons.split(',').map(horizon => parseInt(horizon))
+      : undefined;
+
+    if (horizons && horizons.some(horizon => !Number.isInteger(horizon) || horizon < 1 || horizon > 90)) {
+      return res.status(400).json({ error: 'horizons must be whole days between 1 and 90' });
+    }
+
+    const result = await forecastService.backtestFarm(req.farm, {
+      horizons,
+      historyDays: parseInt(req.query.historyDays) || undefined
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Forecast backtest error:', error);
+    res.status(500).json({ error: 'Failed to backtest NDVI forecast' });
+  }
+});
+
+// Stored forecast accuracy per horizon: a farm's (?farmId=) or per crop type (?cropType=)
+router.get('/forecast-accuracy', auth, async (req, res) => {
+  try {
+    const { farmId, cropType } = req.query;
+
+    if (farmId) {
+      if (!mongoose.Types.ObjectId.isValid(farmId)) {
+        return res.status(404).json({ error: 'Farm not found' });
+      }
+
+      const farm = await Farm.findById(farmId);
+      if (!farm) {
+        return res.status(404).json({ error: 'Farm not found' });
+      }
+      if (!farm.canRead(req.user)) {
+        return res.status(403).json({ error: 'You do not have access to this farm' });
+      }
+    }
+
+    const metrics = await forecastService.getAccuracy({ farmId, cropType });
+
+    res.json({
+      scope: farmId ? 'farm' : 'crop',
+      ...(farmId && { farmId }),
+      metrics: metrics.map(({ _id, __v, ...metric }) => metric)
+    });
+  } catch (error) {
+    console.error('Forecast accuracy error:', error);
+    res.status(500).json({ error: 'Failed to fetch forecast accuracy' });
+  }
+});
+
+router.get('/analysis/:coordinates', auth, async (req, res) => {
   try {
     const { coordinates } = req.params;
-    const { radius } = req.query;
+    const { radius, date } = req.query;
 
-    const analysis = await earthEngineService.getAreaAnalysis(
+    const analysis = await satelliteProvider.getAreaAnalysis(
       coordinates,
-      parseFloat(radius) || 100
+      parseFloat(radius) || 100,
+      date
     );
 
     res.json(analysis);
   } catch (error) {
+    if (error.name === 'InvalidLocationError') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Area analysis error:', error);
     res.status(500).json({ error: 'Failed to perform area analysis' });
   }
 });
 
+// Farm geometry routes: use the stored boundary instead of a coordinates string
+const requireActiveFarm = (req, res, next) => {
+  if (!req.farm.isActive) {
+    return res.status(404).json({ error: 'Farm not found' });
+  }
+  next();
+};
+
+router.get('/farm/:farmId/imagery', auth, authorizeFarm('read'), requireActiveFarm, async (req, res) => {
+  try {
+    const { farmId } = req.params;
+    const { startDate, endDate } = req.query;
+
+    const { farm } = req;
+
+    const imagery = await satelliteProvider.getSatelliteImagery(
+      farm.getGeometry(),
+      startDate || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+      endDate || new Date().toISOString().split('T')[0]
+    );
+
+    res.json({ farmId, ...imagery });
+  } catch (error) {
+    console.error('Farm satellite imagery error:', error);
+    res.status(500).json({ error: 'Failed to fetch satellite imagery' });
+  }
+});
+
+router.get('/farm/:farmId/ndvi/:date', auth, authorizeFarm('read'), requireActiveFarm, async (req, res) => {
+  try {
+    const { farmId, date } = req.params;
+
+    const { farm } = req;
+
+    const ndviData = await satelliteProvider.calculateNDVI(farm.getGeometry(), date);
+
+    res.json({
+      farmId,
+      ndvi: ndviData,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Farm NDVI calculation error:', error);
+    res.status(500).json({ error: 'Failed to calculate NDVI' });
+  }
+});
+
+router.get('/farm/:farmId/timeseries', auth, authorizeFarm('read'), requireActiveFarm, async (req, res) => {
+  try {
+    const { farmId } = req.params;
+    const { startDate, endDate } = req.query;
+
+    const { selection, error } = parseIndexSelection(req.query.indices);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { farm } = req;
+
+    const timeSeries = await satelliteProvider.getTimeSeriesNDVI(
+      farm.getGeometry(),
+      startDate || new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+      endDate || new Date().toISOString().split('T')[0]
+    );
+
+    res.json(selectIndices(timeSeries, selection));
+  } catch (error) {
+    console.error('Farm time series error:', error);
+    res.status(500).json({ error: 'Failed to generate NDVI time series' });
+  }
+});
+
+router.get('/farm/:farmId/analysis', auth, authorizeFarm('read'), requireActiveFarm, async (req, res) => {
+  try {
+    const { farmId } = req.params;
+    const { radius, date } = req.query;
+
+    const { farm } = req;
+
+    const analysis = await satelliteProvider.getAreaAnalysis(
+      farm.getGeometry(),
+      parseFloat(radius) || 100,
+      date
+    );
+
+    res.json({ farmId, ...analysis });
+  } catch (error) {
+    console.error('Farm area analysis error:', error);
+    res.status(500).json({ error: 'Failed to perform area analysis' });
+  }
+});
+
 // AI-powered stress detection for farm
-router.post('/analyze-stress/:farmId', async (req, res) => {
+router.post('/analyze-stress/:farmId', auth, authorizeFarm('write'), async (req, res) => {
   try {
     const { farmId } = req.params;
     const { forceAnalysis = false } = req.body;
@@ -129,7 +337,7 @@ router.post('/analyze-stress/:farmId', async (req, res) => {
 });
 
 // AI-powered NDVI analysis with real-time data
-router.post('/ndvi-analysis', async (req, res) => {
+router.post('/ndvi-analysis', auth, async (req, res) => {
   try {
     const { ndviData, coordinates, farmMetadata } = req.body;
 
@@ -137,17 +345,23 @@ router.post('/ndvi-analysis', async (req, res) => {
       return res.status(400).json({ error: 'NDVI data is required' });
     }
 
-    const aiDetector = new AIStressDetector();
-    await aiDetector.initializeHuaweiAI();
+    const aiDetector = getStressDetector();
+    await aiDetector.ensureInitialized();
+
+    const metadata = {
+      ...farmMetadata,
+      calendar: await cropCalendarService.getCalendar(farmMetadata?.cropType)
+    };
 
     const analysis = await aiDetector.detectCropStress(
       ndviData,
       coordinates,
-      farmMetadata || {}
+      metadata,
+      { language: req.user.preferences?.language }
     );
 
     // Generate forecast
-    const forecast = aiDetector.generateStressForecast(ndviData, 14);
+    const forecast = aiDetector.generateStressForecast(ndviData, 14, metadata);
 
     res.json({
       analysis,
@@ -163,37 +377,47 @@ router.post('/ndvi-analysis', async (req, res) => {
 });
 
 // Get farm stress forecast
-router.get('/stress-forecast/:farmId', async (req, res) => {
+router.get('/stress-forecast/:farmId', auth, authorizeFarm('read'), async (req, res) => {
   try {
     const { farmId } = req.params;
     const { days = 14 } = req.query;
 
     // Get NDVI data for the farm
-    const ndviData = await NDVIData.find({ farm: farmId })
+    const ndviData = await NDVIData.find({ farm: farmId, ...NDVIData.OBSERVED })
       .sort({ date: -1 })
       .limit(30);
 
-    if (ndviData.length < 3) {
+    // Only readings that pass cloud/quality screening count
+    const { observations, report: dataQuality } = screenObservations(ndviData);
+
+    if (observations.length < 3) {
       return res.status(400).json({
-        error: 'Insufficient NDVI data for forecasting (minimum 3 data points required)'
+        error: 'Insufficient NDVI data for forecasting (minimum 3 usable data points required)',
+        dataQuality
       });
     }
 
-    const aiDetector = new AIStressDetector();
-    const forecast = aiDetector.generateStressForecast(ndviData, parseInt(days));
+    const farmMetadata = await forecastService.farmMetadata(req.farm);
+
+    const aiDetector = getStressDetector();
+    const forecast = aiDetector.generateStressForecast(ndviData, parseInt(days), farmMetadata);
 
     // Get current farm status
-    const latestNDVI = ndviData[0];
-    const currentStressLevel = aiDetector.analyzeWithRules(ndviData, {}).stressLevel;
+    const latestNDVI = observations[observations.length - 1];
+    const currentStatus = aiDetector.analyzeWithRules(observations, farmMetadata, {
+      language: req.user.preferences?.language
+    });
 
     res.json({
       farmId,
       currentStatus: {
         ndvi: latestNDVI.ndvi,
-        stressLevel: currentStressLevel,
+        stressLevel: currentStatus.stressLevel,
+        growthStage: currentStatus.growthStage,
         lastUpdated: latestNDVI.date
       },
       forecast,
+      dataQuality,
       forecastDays: parseInt(days),
       generatedAt: new Date().toISOString()
     });
@@ -205,66 +429,113 @@ router.get('/stress-forecast/:farmId', async (req, res) => {
 });
 
 // Trigger analysis for all farms (admin endpoint)
-router.post('/analyze-all-farms', async (req, res) => {
+router.post('/analyze-all-farms', auth, requireRole('admin'), async (req, res) => {
   try {
     const alertService = new AlertService();
-    const result = await alertService.analyzeAllFarms();
+    const result = await alertService.analyzeAllFarms({
+      farmIds: req.body?.farmIds,
+      requestedBy: req.user._id
+    });
 
-    res.json(result);
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    res.status(202).json({
+      ...result,
+      statusUrl: `/api/jobs/${result.jobId}`
+    });
   } catch (error) {
     console.error('Bulk farm analysis error:', error);
     res.status(500).json({ error: 'Failed to analyze all farms' });
   }
 });
 
-// Get alert history for a farm
-router.get('/alerts/:farmId', async (req, res) => {
+// Get alert statistics (declared before /alerts/:farmId so it is not shadowed)
+router.get('/alerts/statistics', auth, requireRole('admin'), async (req, res) => {
   try {
-    const { farmId } = req.params;
     const { days = 30 } = req.query;
 
     const alertService = new AlertService();
-    const history = await alertService.getAlertHistory(farmId, parseInt(days));
+    const stats = await alertService.getAlertStatistics(parseInt(days));
 
-    res.json(history);
+    res.json(stats);
   } catch (error) {
-    console.error('Alert history error:', error);
-    res.status(500).json({ error: 'Failed to get alert history' });
+    console.error('Alert statistics error:', error);
+    res.status(500).json({ error: 'Failed to get alert statistics' });
   }
 });
 
-// Get alert statistics
-router.get('/alerts/statistics', async (req, res) => {
+// LLM analysis cache metrics of this process
+router.get('/analysis-cache', auth, requireRole('admin'), async (req, res) => {
   try {
+    const aiDetector = getStressDetector();
+
+    res.json({
+      llm: {
+        provider: aiDetector.llm.name,
+        model: aiDetector.llm.model,
+        configured: aiDetector.llm.isConfigured()
+      },
+      cache: aiDetector.cache.stats()
+    });
+  } catch (error) {
+    console.error('Analysis cache stats error:', error);
+    res.status(500).json({ error: 'Failed to get analysis cache stats' });
+  }
+});
+
+// Alert state of a farm: open, escalated or resolved, with the latest transition times
+router.get('/alerts/:farmId/state', auth, authorizeFarm('read'), async (req, res) => {
+  try {
+    const state = await alertStateService.getState(req.farm._id);
+
+    if (!state) {
+      return res.json({ farmId: req.farm._id, status: null });
+    }
+
+    const { _id, __v, revision, ...alertState } = state;
+    res.json({ farmId: req.farm._id, ...alertState });
+  } catch (error) {
+    console.error('Alert state error:', error);
+    res.status(500).json({ error: 'Failed to get alert state' });
+  }
+});
+
+// Get alert history for a farm
+router.get('/alerts/:farmId', auth, authorizeFarm('read'), async (req, res) => {
+  try {
+    const { farmId } = req.params;
     const { days = 30 } = req.query;
 
     const alertService = new AlertService();
-    const stats = await alertService.getAlertStatistics(parseInt(days));
+    const history = await alertService.getAlertHistory(farmId, parseInt(days));
 
-    res.json(stats);
+    res.json(history);
   } catch (error) {
-    console.error('Alert statistics error:', error);
-    res.status(500).json({ error: 'Failed to get alert statistics' });
+    console.error('Alert history error:', error);
+    res.status(500).json({ error: 'Failed to get alert history' });
   }
 });
 
 // Enhanced NDVI route with AI analysis
-router.get('/ndvi-ai/:coordinates/:date', async (req, res) => {
+router.get('/ndvi-ai/:coordinates/:date', auth, async (req, res) => {
   try {
     const { coordinates, date } = req.params;
     const { includeForecast = false } = req.query;
 
     // Calculate NDVI
-    const ndviData = await earthEngineService.calculateNDVI(coordinates, date);
+    const ndviData = await satelliteProvider.calculateNDVI(coordinates, date);
 
     // Get AI analysis
-    const aiDetector = new AIStressDetector();
-    await aiDetector.initializeHuaweiAI();
+    const aiDetector = getStressDetector();
+    await aiDetector.ensureInitialized();
 
     const analysis = await aiDetector.detectCropStress(
-      [{ ndvi: ndviData, date }],
+      [{ ndvi: ndviData.ndvi, date }],
       coordinates,
-      {}
+      {},
+      { language: req.user.preferences?.language }
     );
 
     const response = {
@@ -275,42 +546,18 @@ router.get('/ndvi-ai/:coordinates/:date', async (req, res) => {
 
     // Add forecast if requested
     if (includeForecast === 'true') {
-      const forecast = aiDetector.generateStressForecast([{ ndvi: ndviData, date }], 7);
+      const forecast = aiDetector.generateStressForecast([{ ndvi: ndviData.ndvi, date }], 7);
       response.forecast = forecast;
     }
 
     res.json(response);
   } catch (error) {
+    if (error.name === 'InvalidLocationError') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('AI NDVI calculation error:', error);
     res.status(500).json({ error: 'Failed to calculate NDVI with AI analysis' });
   }
 });
 
-function generateNDVIForecast(historicalData, forecastDays) {
-  // Simple linear regression for demonstration
-  const recentNDVI = historicalData.slice(-8); // Last 8 measurements
-  const avgNDVI = recentNDVI.reduce((sum, d) => sum + d.ndvi, 0) / recentNDVI.length;
-
-  const forecast = [];
-  const today = new Date();
-
-  for (let i = 1; i <= forecastDays; i++) {
-    const futureDate = new Date(today);
-    futureDate.setDate(today.getDate() + i);
-
-    // Add some randomness and trend
-    const trend = i * 0.002; // Slight decreasing trend
-    const randomVariation = (Math.random() - 0.5) * 0.05;
-    const predictedNDVI = Math.max(0, Math.min(1, avgNDVI + trend + randomVariation));
-
-    forecast.push({
-      date: futureDate.toISOString().split('T')[0],
-      predictedNDVI,
-      confidence: Math.max(0.5, 0.9 - (i / forecastDays) * 0.4) // Decreasing confidence
-    });
-  }
-
-  return forecast;
-}
-
 module.exports = router;
\ No newline at end of file
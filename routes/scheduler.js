@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
+const scheduler = require('../services/schedulerService');
+
+// List scheduled jobs with their state (admin only)
+router.get('/jobs', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const jobs = await scheduler.listJobs();
+    res.json({ jobs, instanceId: scheduler.instanceId });
+  } catch (error) {
+    console.error('List scheduled jobs error:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduled jobs' });
+  }
+});
+
+// Run history of a job
+router.get('/jobs/:name/runs', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+
+    const runs = await scheduler.getRuns(req.params.name, Math.min(parseInt(limit) || 20, 100));
+    res.json({ runs });
+  } catch (error) {
+    console.error('Get job runs error:', error);
+    res.status(500).json({ error: 'Failed to fetch job runs' });
+  }
+});
+
+// Change a job's cron schedule
+router.put('/jobs/:name', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { schedule } = req.body;
+
+    if (!schedule) {
+      return res.status(400).json({ error: 'Schedule is required' });
+    }
+
+    const job = await scheduler.updateSchedule(req.params.name, schedule);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Update job schedule error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({ error: 'Failed to update job schedule' });
+  }
+});
+
+// Stop a job from running on its schedule
+router.post('/jobs/:name/pause', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const job = await scheduler.pause(req.params.name, req.user._id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ message: `Job ${job.name} paused`, job });
+  } catch (error) {
+    console.error('Pause job error:', error);
+    res.status(500).json({ error: 'Failed to pause job' });
+  }
+});
+
+router.post('/jobs/:name/resume', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const job = await scheduler.resume(req.params.name);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ message: `Job ${job.name} resumed`, job });
+  } catch (error) {
+    console.error('Resume job error:', error);
+    res.status(500).json({ error: 'Failed to resume job' });
+  }
+});
+
+// Run a job now; it continues in the background and its run can be followed in the history
+router.post('/jobs/:name/trigger', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await scheduler.trigger(req.params.name, req.user._id);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (result.locked) {
+      return res.status(409).json({ error: 'Job is already running' });
+    }
+
+    res.status(202).json({
+      message: `Job ${result.job.name} started`,
+      run: result.run
+    });
+  } catch (error) {
+    console.error('Trigger job error:', error);
+    res.status(500).json({ error: 'Failed to trigger job' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,25 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Farm = require('../models/Farm');
+const Organization = require('../models/Organization');
+const tokenService = require('../services/tokenService');
+const OTPService = require('../services/otpService');
+const auth = require('../middleware/auth');
+const { requireRole, requireSelfOrAdmin } = require('../middleware/authorize');
+
+const ROLES = ['farmer', 'agricultural_expert', 'org_admin', 'admin'];
+
+// Devices kept per user; registering another drops the oldest
+const MAX_PUSH_TOKENS = 10;
+
+const otpService = new OTPService();
+
+const getClientMeta = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ipAddress: req.ip
+});
 
 // Register a new user
 router.post('/register', async (req, res) => {
@@ -12,7 +30,6 @@ router.post('/register', async (req, res) => {
       password,
       fullName,
       phoneNumber,
-      role = 'farmer',
       location
     } = req.body;
 
@@ -41,7 +58,7 @@ router.post('/register', async (req, res) => {
       password, // Will be hashed by pre-save middleware
       fullName,
       phoneNumber,
-      role,
+      role: 'farmer', // Other roles are granted by an admin
       location: location ? {
         type: 'Point',
         coordinates: [location.longitude, location.latitude]
@@ -50,12 +67,8 @@ router.post('/register', async (req, res) => {
 
     const savedUser = await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: savedUser._id, username: savedUser.username, role: savedUser.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // Start a session with a short-lived access token and a refresh token
+    const tokens = await tokenService.issueTokens(savedUser, getClientMeta(req));
 
     // Return user without password
     const userResponse = savedUser.toObject();
@@ -64,7 +77,9 @@ router.post('/register', async (req, res) => {
     res.status(201).json({
       message: 'User registered successfully',
       user: userResponse,
-      token
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn
     });
   } catch (error) {
     console.error('Register user error:', error);
@@ -109,12 +124,8 @@ router.post('/login', async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, username: user.username, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // Start a session with a short-lived access token and a refresh token
+    const tokens = await tokenService.issueTokens(user, getClientMeta(req));
 
     // Return user without password
     const userResponse = user.toObject();
@@ -123,7 +134,9 @@ router.post('/login', async (req, res) => {
     res.json({
       message: 'Login successful',
       user: userResponse,
-      token
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -131,8 +144,257 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const result = await tokenService.rotateRefreshToken(refreshToken);
+    if (!result.success) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+// Log out the current device
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await tokenService.revokeSession(req.session._id, 'logout');
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to logout' });
+  }
+});
+
+// Log out every device signed in to this account
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const result = await tokenService.revokeAllSessions(req.user._id, 'logout_all');
+
+    res.json({
+      message: 'Logged out from all devices',
+      sessionsRevoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to logout from all devices' });
+  }
+});
+
+// Request a password reset code (SMS to a verified phone, otherwise email)
+router.post('/password-reset/request', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    // Same response whether or not the account exists
+    const genericResponse = {
+      message: 'If an account exists for this email, a reset code has been sent'
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    // A resend inside the wait window is dropped silently: answering 429 only for
+    // registered emails would reveal which accounts exist
+    const result = await otpService.requestCode(user, 'password_reset');
+    if (!result.success && !result.retryAfter) {
+      console.error(`Password reset delivery failed for user ${user._id}: ${result.error}`);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+// Reset the password with a code from /password-reset/request
+router.post('/password-reset/confirm', async (req, res) => {
+  try {
+    const { email, code, newPassword } = req.body;
+
+    if (!email || !code || !newPassword) {
+      return res.status(400).json({
+        error: 'Email, code, and new password are required'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user || !user.isActive) {
+      return res.status(400).json({ error: 'Invalid or expired code' });
+    }
+
+    const result = await otpService.verifyCode(user, 'password_reset', code);
+    if (!result.success) {
+      return res.status(400).json({
+        error: result.error,
+        attemptsRemaining: result.attemptsRemaining
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // A reset means the old password may be compromised: sign out every device
+    await tokenService.revokeAllSessions(user._id, 'password_change');
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Password reset confirm error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Send a verification code to the signed-in user's phone
+router.post('/phone/verify/request', auth, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user.phoneNumber) {
+      return res.status(400).json({ error: 'No phone number on this account' });
+    }
+
+    if (user.phoneVerified) {
+      return res.status(400).json({ error: 'Phone number is already verified' });
+    }
+
+    const result = await otpService.requestCode(user, 'phone_verification');
+    if (!result.success) {
+      return res.status(result.retryAfter ? 429 : 502).json({
+        error: result.error,
+        retryAfter: result.retryAfter
+      });
+    }
+
+    res.json({
+      message: 'Verification code sent',
+      expiresInMinutes: result.expiresInMinutes
+    });
+  } catch (error) {
+    console.error('Phone verification request error:', error);
+    res.status(500).json({ error: 'Failed to send verification code' });
+  }
+});
+
+// Confirm the phone number with the code sent by SMS
+router.post('/phone/verify/confirm', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = req.user;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    const result = await otpService.verifyCode(user, 'phone_verification', code);
+    if (!result.success) {
+      return res.status(400).json({
+        error: result.error,
+        attemptsRemaining: result.attemptsRemaining
+      });
+    }
+
+    // The number may have changed after the code was sent
+    if (result.destination !== otpService.smsService.formatPhoneNumber(user.phoneNumber || '')) {
+      return res.status(400).json({ error: 'Phone number changed, please request a new code' });
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      user._id,
+      {
+        phoneVerified: true,
+        phoneVerifiedAt: new Date(),
+        'preferences.notifications.sms': true, // Verifying a number opts in to SMS alerts
+        updatedAt: Date.now()
+      },
+      { new: true }
+    ).select('-password');
+
+    res.json({
+      message: 'Phone number verified successfully',
+      user: updatedUser
+    });
+  } catch (error) {
+    console.error('Phone verification confirm error:', error);
+    res.status(500).json({ error: 'Failed to verify phone number' });
+  }
+});
+
+// Register a browser or device for push notifications (FCM registration token)
+router.post('/push-tokens', auth, async (req, res) => {
+  try {
+    const { token, platform = 'web' } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+
+    if (!['web', 'android', 'ios'].includes(platform)) {
+      return res.status(400).json({ error: 'Platform must be web, android or ios' });
+    }
+
+    // Re-registering a token moves it to the current user and platform
+    await User.updateMany({ 'pushTokens.token': token }, { $pull: { pushTokens: { token } } });
+    await User.updateOne(
+      { _id: req.user._id },
+      { $push: { pushTokens: { $each: [{ token, platform }], $slice: -MAX_PUSH_TOKENS } } }
+    );
+
+    res.status(201).json({ message: 'Push token registered' });
+  } catch (error) {
+    console.error('Register push token error:', error);
+    res.status(500).json({ error: 'Failed to register push token' });
+  }
+});
+
+// Stop push notifications to a browser or device (e.g. on sign-out)
+router.delete('/push-tokens/:token', auth, async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { pushTokens: { token: req.params.token } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ error: 'Push token not found' });
+    }
+
+    res.json({ message: 'Push token removed' });
+  } catch (error) {
+    console.error('Remove push token error:', error);
+    res.status(500).json({ error: 'Failed to remove push token' });
+  }
+});
+
 // Get user profile
-router.get('/profile/:userId', async (req, res) => {
+router.get('/profile/:userId', auth, requireSelfOrAdmin(), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -160,14 +422,32 @@ router.get('/profile/:userId', async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile/:userId', async (req, res) => {
+router.put('/profile/:userId', auth, requireSelfOrAdmin(), async (req, res) => {
   try {
     const { userId } = req.params;
-    const updates = req.body;
+    const updates = { ...req.body };
 
     // Don't allow password updates through this endpoint
     delete updates.password;
 
+    // Role, organization and account status are managed through the admin endpoints
+    delete updates.role;
+    delete updates.organization;
+    delete updates.isActive;
+
+    // Verification status is only set through the OTP flow
+    delete updates.phoneVerified;
+    delete updates.phoneVerifiedAt;
+    delete updates.pushTokens; // Managed through /push-tokens
+
+    if (updates.phoneNumber !== undefined) {
+      const current = await User.findById(userId).select('phoneNumber');
+      if (current && current.phoneNumber !== updates.phoneNumber) {
+        updates.phoneVerified = false;
+        updates.phoneVerifiedAt = null;
+      }
+    }
+
     const user = await User.findByIdAndUpdate(
       userId,
       { ...updates, updatedAt: Date.now() },
@@ -194,7 +474,7 @@ router.put('/profile/:userId', async (req, res) => {
 });
 
 // Change password
-router.post('/change-password/:userId', async (req, res) => {
+router.post('/change-password/:userId', auth, async (req, res) => {
   try {
     const { userId } = req.params;
     const { currentPassword, newPassword } = req.body;
@@ -205,6 +485,11 @@ router.post('/change-password/:userId', async (req, res) => {
       });
     }
 
+    // Only the account holder may change their password
+    if (req.user._id.toString() !== userId) {
+      return res.status(403).json({ error: 'You can only change your own password' });
+    }
+
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -220,6 +505,9 @@ router.post('/change-password/:userId', async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out other devices; the current session stays valid
+    await tokenService.revokeAllSessions(user._id, 'password_change', req.session._id);
+
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
     console.error('Change password error:', error);
@@ -228,7 +516,7 @@ router.post('/change-password/:userId', async (req, res) => {
 });
 
 // Get all users (admin only)
-router.get('/', async (req, res) => {
+router.get('/', auth, requireRole('admin'), async (req, res) => {
   try {
     const { page = 1, limit = 20, role, active = true } = req.query;
 
@@ -260,8 +548,66 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Change user role (admin only)
+router.put('/:userId/role', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role, organizationId } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(userId).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (organizationId) {
+      if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+        return res.status(400).json({ error: 'Invalid organization ID' });
+      }
+      if (!await Organization.exists({ _id: organizationId })) {
+        return res.status(404).json({ error: 'Organization not found' });
+      }
+
+      user.organization = organizationId;
+    }
+
+    // Organization admins must belong to the organization they administer
+    if (role === 'org_admin' && !user.organization) {
+      return res.status(400).json({
+        error: 'An organization ID is required for organization admins'
+      });
+    }
+
+    const movedOrganization = user.isModified('organization');
+    user.role = role;
+    await user.save();
+
+    // Their farms follow them into the organization, as when they are removed from one
+    if (movedOrganization) {
+      await Farm.updateMany(
+        { owner: user._id },
+        { organization: user.organization, updatedAt: Date.now() }
+      );
+    }
+
+    res.json({
+      message: 'User role updated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ error: 'Failed to update user role' });
+  }
+});
+
 // Deactivate user (admin only)
-router.delete('/:userId', async (req, res) => {
+router.delete('/:userId', auth, requireRole('admin'), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -275,6 +621,8 @@ router.delete('/:userId', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    await tokenService.revokeAllSessions(user._id, 'account_deactivated');
+
     res.json({ message: 'User deactivated successfully' });
   } catch (error) {
     console.error('Deactivate user error:', error);
@@ -14,9 +14,26 @@ require('./models/Farm');
 require('./models/NDVIData');
 require('./models/VideoProgress');
 require('./models/Alert');
+require('./models/Session');
+require('./models/OneTimeCode');
+require('./models/Organization');
+require('./models/ScheduledJob');
+require('./models/JobRun');
+require('./models/Job');
+require('./models/JobTask');
+require('./models/CropCalendar');
+require('./models/NDVIForecast');
+require('./models/ForecastAccuracy');
+require('./models/FarmAnalysis');
+require('./models/FarmAlertState');
+require('./models/NotificationDelivery');
 
 // Import alert service for AI/ML features
 const AlertService = require('./services/alertService');
+const registerScheduledJobs = require('./services/scheduledJobs');
+const jobQueue = require('./services/jobQueueService');
+const cropCalendarService = require('./services/cropCalendarService');
+const forecastService = require('./services/forecastService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -35,6 +52,10 @@ const farmRoutes = require('./routes/farms');
 const satelliteRoutes = require('./routes/satellite');
 const educationRoutes = require('./routes/education');
 const alertRoutes = require('./routes/alerts');
+const organizationRoutes = require('./routes/organizations');
+const schedulerRoutes = require('./routes/scheduler');
+const jobRoutes = require('./routes/jobs');
+const cropCalendarRoutes = require('./routes/cropCalendars');
 
 // Use routes
 app.use('/api/users', userRoutes);
@@ -42,6 +63,10 @@ app.use('/api/farms', farmRoutes);
 app.use('/api/satellite', satelliteRoutes);
 app.use('/api/education', educationRoutes);
 app.use('/api/alerts', alertRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/scheduler', schedulerRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/crop-calendars', cropCalendarRoutes);
 
 app.get('/api/test', (req, res) => {
   res.json({ message: 'FarmSight backend is working!' });
@@ -52,10 +77,23 @@ const startServer = async () => {
     // Connect to MongoDB first
     await connectDB();
 
+    // Crop calendars used for growth-stage-aware stress thresholds
+    await cropCalendarService.syncDefaults();
+    await forecastService.checkLegacyForecasts();
+
     // Initialize AI/ML services
     const alertService = new AlertService();
     await alertService.initialize();
 
+    // Background workers for bulk farm analysis
+    jobQueue.registerHandler('farm_analysis', task => alertService.analyzeFarmTask(task));
+    jobQueue.start();
+
+    // Periodic NDVI ingestion and farm analysis
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      await registerScheduledJobs({ alertService }).start();
+    }
+
     app.listen(PORT, () => {
       console.log(`🚀 FarmSight AI Crop Stress Detection API server running on port ${PORT}`);
       console.log(`🌱 Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -1,368 +1,395 @@
-const axios = require('axios');
+const { screenObservations } = require('../utils/ndviQuality');
+const { SECONDARY_INDICES, INDEX_STRESS_THRESHOLDS, indexValue } = require('../utils/vegetationIndices');
+const { assessAgainstCalendar } = require('../utils/cropCalendar');
+const { forecastNDVI, calendarBaseline } = require('../utils/ndviForecast');
+const cropCalendarService = require('./cropCalendarService');
+const { getLLMClient, LLMError } = require('./llmClient');
+const { AnalysisCache, contentKey } = require('./analysisCache');
+const { DEFAULT_LANGUAGE, resolveLanguage, languageName, t } = require('../utils/i18n');
+const {
+  STRESS_LEVELS,
+  CURRENT_RULESET,
+  classifyStress,
+  maxStressLevel,
+  upgradeStressLevel
+} = require('../utils/stressClassification');
+
+// Rule-based confidence per stress level; the recommendations are in the message catalogs
+// (recommendations.rules and recommendations.indexStress)
+const RULE_CONFIDENCE = { severe: 0.9, high: 0.8, moderate: 0.7, low: 0.7, healthy: 0.8 };
+
+// Bump when the prompt changes so cached analyses from the old prompt are not reused
+const PROMPT_VERSION = 2;
+
+const SYSTEM_PROMPT = 'You are an expert agricultural scientist specializing in crop health analysis using satellite data and NDVI metrics. Provide practical, science-based recommendations.';
+
+// Shape the LLM's stress analysis must have before it is used
+const STRESS_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['stressLevel', 'confidence', 'recommendations', 'analysis'],
+  properties: {
+    stressLevel: { type: 'string', enum: STRESS_LEVELS },
+    stressType: { type: 'string', enum: ['none', 'drought', 'nitrogen', 'other'] },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    recommendations: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, maxItems: 10 },
+    analysis: { type: 'string', minLength: 1 },
+    riskFactors: { type: 'array', items: { type: 'string' }, maxItems: 10 }
+  }
+};
 
 class AIStressDetector {
-  constructor() {
-    this.huaweiLLMEndpoint = process.env.HUAWEI_LLM_ENDPOINT;
-    this.huaweiLLMApiKey = process.env.HUAWEI_LLM_API_KEY;
-    this.huaweiLLMModel = process.env.HUAWEI_LLM_MODEL || 'chatglm3-6b';
+  constructor({ llmClient, cache } = {}) {
+    this.llm = llmClient || getLLMClient();
+    this.cache = cache || new AnalysisCache();
     this.confidenceThreshold = parseFloat(process.env.AI_MODEL_CONFIDENCE_THRESHOLD || 0.75);
+    this.initialization = null;
   }
 
-  // Initialize Huawei LLM Service
-  async initializeHuaweiAI() {
-    try {
-      console.log('🔧 Checking Huawei LLM configuration...');
-      console.log('   - Endpoint:', this.huaweiLLMEndpoint ? '✅ Set' : '❌ Missing');
-      console.log('   - API Key:', this.huaweiLLMApiKey ? '✅ Set (' + this.huaweiLLMApiKey.substring(0, 20) + '...)' : '❌ Missing');
-      console.log('   - Model:', this.huaweiLLMModel);
-
-      if (!this.huaweiLLMApiKey) {
-        console.log('⚠️ Huawei LLM API key not configured, using rule-based analysis');
-        return false;
-      }
-
-      // Try to get IAM token first if credentials are available
-      if (process.env.HUAWEI_ACCESS_KEY_ID && process.env.HUAWEI_SECRET_ACCESS_KEY) {
-        console.log('🔑 Getting Huawei IAM token...');
-        this.accessToken = await this.getHuaweiIAMToken();
-      }
-
-      // Test LLM connection with a simple request
-      console.log('🔗 Testing LLM connection...');
-      const testResponse = await this.analyzeWithHuaweiLLM([0.5], '0,0', {cropType: 'test'});
+  // initializeLLM() once per detector; later calls share the first result
+  ensureInitialized() {
+    if (!this.initialization) {
+      this.initialization = this.initializeLLM();
+    }
+    return this.initialization;
+  }
 
-      if (testResponse) {
-        console.log('✅ Huawei LLM service initialized successfully');
-        return true;
-      }
-      return false;
-    } catch (error) {
-      console.error('❌ Failed to initialize Huawei LLM:', error.message);
-      // Fallback to local analysis if Huawei LLM fails
+  // Check the LLM answers with a valid analysis; without it analyses use the rules
+  async initializeLLM() {
+    if (!this.llm.isConfigured()) {
+      console.log(`⚠️ ${this.llm.name} LLM not configured, using rule-based analysis`);
       return false;
     }
-  }
 
-  // Get Huawei IAM Token
-  async getHuaweiIAMToken() {
     try {
-      const response = await axios.post(
-        `https://iam.${process.env.HUAWEI_REGION}.myhuaweicloud.com/v3/auth/tokens`,
-        {
-          auth: {
-            identity: {
-              methods: ["password"],
-              password: {
-                user: {
-                  name: process.env.HUAWEI_ACCESS_KEY_ID,
-                  password: process.env.HUAWEI_SECRET_ACCESS_KEY,
-                  domain: {
-                    name: "HW_"
-                  }
-                }
-              }
-            },
-            scope: {
-              project: {
-                name: process.env.HUAWEI_REGION
-              }
-            }
-          }
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      const token = response.headers['x-subject-token'];
-      console.log('✅ Huawei IAM token obtained successfully');
-      return token;
+      await this.analyzeWithLLM([{ ndvi: 0.5, date: new Date() }], '0,0', { cropType: 'test' }, {}, { useCache: false });
+      console.log(`✅ ${this.llm.name} LLM (${this.llm.model}) initialized successfully`);
+      return true;
     } catch (error) {
-      console.error('❌ Failed to get Huawei IAM token:', error.message);
-      return null;
+      console.error(`❌ Failed to initialize ${this.llm.name} LLM (${error.reason || 'error'}):`, error.message);
+      return false;
     }
   }
 
   // Detect crop stress using AI model
-  async detectCropStress(ndviData, coordinates, farmMetadata) {
+  // `language` is the language of the farmer-facing text (recommendations, summary, risk factors)
+  async detectCropStress(ndviData, coordinates, farmMetadata = {}, { language = DEFAULT_LANGUAGE } = {}) {
+    language = resolveLanguage(language);
+
     try {
-      // Try Huawei LLM first
-      if (this.huaweiLLMApiKey) {
-        const aiResult = await this.analyzeWithHuaweiLLM(ndviData, coordinates, farmMetadata);
-        if (aiResult) return aiResult;
+      // Drop cloudy, shadowed or partial readings and down-weight marginal ones
+      const { observations, report } = screenObservations(ndviData);
+
+      if (observations.length === 0) {
+        return { ...this.getDefaultAnalysis('no_usable_data', language), dataQuality: report };
       }
 
-      // Fallback to rule-based analysis
-      return this.analyzeWithRules(ndviData, farmMetadata);
+      // Crop calendar for growth-stage-aware thresholds (callers may pass one already loaded)
+      if (farmMetadata.calendar === undefined) {
+        farmMetadata = { ...farmMetadata, calendar: await cropCalendarService.getCalendar(farmMetadata.cropType) };
+      }
+
+      // Try the LLM first; the rules answer whenever it cannot, with the reason recorded
+      let fallbackReason = 'llm_not_configured';
+      if (this.llm.isConfigured()) {
+        try {
+          const aiResult = await this.analyzeWithLLM(observations, coordinates, farmMetadata, report, { language });
+          return { ...aiResult, dataQuality: report };
+        } catch (error) {
+          if (!(error instanceof LLMError)) throw error;
+          fallbackReason = `llm_${error.reason}`;
+        }
+      }
+
+      return { ...this.analyzeWithRules(observations, farmMetadata, { language }), fallbackReason, dataQuality: report };
     } catch (error) {
       console.error('❌ Stress detection failed:', error.message);
-      return this.getDefaultAnalysis();
+      return this.getDefaultAnalysis('error', language);
     }
   }
 
-  // Analyze with Huawei LLM
-  async analyzeWithHuaweiLLM(ndviData, coordinates, farmMetadata) {
-    try {
-      // Prepare NDVI data for LLM analysis
-      const latestNDVI = ndviData[ndviData.length - 1]?.ndvi || 0;
-      const avgNDVI = ndviData.reduce((sum, d) => sum + d.ndvi, 0) / ndviData.length;
-      const ndviTrend = this.calculateNDVITrend(ndviData);
+  // `analysis` with its farmer-facing text in another language. The assessment is not redone:
+  // rule-based text is rebuilt from the same inputs, and an LLM's free text is replaced by the
+  // catalog text for the same stress level and stress factors.
+  localizeAnalysis(analysis, language) {
+    language = resolveLanguage(language);
+    if (language === analysis.language) {
+      return analysis;
+    }
+
+    if (analysis.error) {
+      return { ...analysis, language, recommendations: [t(language, 'recommendations.unavailable')] };
+    }
+
+    if (analysis.source === 'rules') {
+      return { ...analysis, language, recommendations: this.ruleRecommendations(analysis, language) };
+    }
+
+    const level = STRESS_LEVELS.includes(analysis.stressLevel) ? analysis.stressLevel : 'healthy';
+    return {
+      ...analysis,
+      language,
+      localizedFrom: analysis.language,
+      recommendations: [
+        ...this.generateRecommendations(level, null, language),
+        ...(analysis.stressFactors || []).flatMap(factor => t(language, `recommendations.indexStress.${factor.type}`))
+      ],
+      analysis: t(language, `standIn.${level}.analysis`),
+      riskFactors: t(language, `standIn.${level}.riskFactors`)
+    };
+  }
+
+  // Content address of an LLM analysis: the screened NDVI series, crop, growth stage, model and
+  // prompt version. Coordinates and the day count within a stage do not change the answer enough
+  // to call the model again.
+  analysisCacheKey(ndviData, farmMetadata, growthStage, language) {
+    const round = (value, digits) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+    return contentKey({
+      provider: this.llm.name,
+      model: this.llm.model,
+      promptVersion: PROMPT_VERSION,
+      ruleset: CURRENT_RULESET,
+      language,
+      cropType: farmMetadata.cropType || null,
+      growthStage: growthStage?.growthStage.name || null,
+      series: ndviData.map(observation => [
+        new Date(observation.date).toISOString().split('T')[0],
+        round(observation.ndvi, 3),
+        round(observation.weight ?? 1, 2),
+        ...SECONDARY_INDICES.map(index => round(indexValue(observation, index), 3))
+      ])
+    });
+  }
+
+  // Analyze with the configured LLM; throws an LLMError when it gives no valid answer. Answers
+  // are cached by analysisCacheKey(), so an unchanged series does not call the model again.
+  async analyzeWithLLM(ndviData, coordinates, farmMetadata, dataQuality = {}, { useCache = true, language = DEFAULT_LANGUAGE } = {}) {
+    // Prepare NDVI data for LLM analysis
+    const latestNDVI = ndviData[ndviData.length - 1]?.ndvi || 0;
+    const avgNDVI = this.weightedAverage(ndviData);
+    const ndviTrend = this.calculateNDVITrend(ndviData);
+    const latestIndices = this.latestIndices(ndviData);
+    const stressFactors = this.detectIndexStress(ndviData);
+    const growthStage = this.assessGrowthStage(ndviData, farmMetadata);
 
-      // Create a detailed prompt for the LLM
-      const prompt = `As an expert agricultural scientist, analyze the following crop health data:
+    const indexLines = Object.entries(latestIndices)
+      .map(([index, value]) => `- Current ${index.toUpperCase()}: ${value.toFixed(3)}`)
+      .join('\n');
+
+    // Create a detailed prompt for the LLM
+    const prompt = `As an expert agricultural scientist, analyze the following crop health data:
 
 FARM DETAILS:
 - Location: ${coordinates}
 - Crop Type: ${farmMetadata.cropType || 'unknown'}
 - Farm Area: ${farmMetadata.area || 'unknown'} hectares
 - Planting Date: ${farmMetadata.plantingDate || 'unknown'}
-
+${growthStage ? `- Growth Stage: ${growthStage.growthStage.name} (day ${growthStage.growthStage.dayAfterPlanting} after planting), expected NDVI ${growthStage.expectedNDVI.toFixed(3)} at this stage
+` : ''}
 NDVI DATA (Normalized Difference Vegetation Index):
 - Current NDVI: ${latestNDVI.toFixed(3)}
 - Average NDVI: ${avgNDVI.toFixed(3)}
 - NDVI Trend: ${ndviTrend > 0 ? 'Improving' : ndviTrend < 0 ? 'Declining' : 'Stable'} (${ndviTrend.toFixed(3)})
-- Data Points: ${ndviData.length} measurements
-
+- Data Points: ${ndviData.length} measurements (${dataQuality.dropped || 0} cloudy or low-quality readings excluded, ${dataQuality.downweighted || 0} down-weighted)
+${indexLines ? `
+OTHER VEGETATION INDICES (EVI/SAVI: vigour, NDWI: canopy water, NDRE: chlorophyll/nitrogen):
+${indexLines}
+` : ''}
 ANALYSIS REQUIRED:
 1. Assess crop stress level (one of: healthy, low, moderate, high, severe)
-2. Provide confidence level (0.0-1.0)
-3. Generate specific, actionable recommendations for the farmer
-4. Consider the crop type and environmental conditions
+2. Identify the likely stress type (drought from low NDWI, nitrogen from low NDRE with adequate NDWI)
+3. Provide confidence level (0.0-1.0)
+4. Generate specific, actionable recommendations for the farmer
+5. Consider the crop type and environmental conditions
 
 RESPOND IN JSON FORMAT:
 {
   "stressLevel": "healthy|low|moderate|high|severe",
+  "stressType": "none|drought|nitrogen|other",
   "confidence": 0.0-1.0,
   "recommendations": ["recommendation1", "recommendation2", "recommendation3"],
   "analysis": "brief explanation of the assessment",
   "riskFactors": ["factor1", "factor2"]
 }
 
-Focus on practical, sustainable farming recommendations suitable for Southeast Asian climate conditions.`;
-
-      const response = await axios.post(
-        this.huaweiLLMEndpoint,
-        {
-          model: this.huaweiLLMModel,
-          messages: [
-            {
-              role: "system",
-              content: "You are an expert agricultural scientist specializing in crop health analysis using satellite data and NDVI metrics. Provide practical, science-based recommendations."
-            },
-            {
-              role: "user",
-              content: prompt
-            }
-          ],
-          max_tokens: 500,
-          temperature: 0.3
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.huaweiLLMApiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000 // 30 second timeout for LLM processing
-        }
-      );
-
-      // Parse LLM response
-      console.log('🔍 Raw LLM Response:', JSON.stringify(response.data, null, 2));
-
-      // Handle different response formats
-      let llmResponse;
-      if (response.data.choices?.[0]?.message?.content) {
-        llmResponse = response.data.choices[0].message.content;
-      } else if (response.data.result?.content) {
-        llmResponse = response.data.result.content;
-      } else if (response.data.content) {
-        llmResponse = response.data.content;
-      } else {
-        // If response is not in expected format, generate intelligent analysis based on NDVI data
-        console.log('⚠️ Response format different than expected, generating intelligent analysis...');
-        llmResponse = this.generateMockLLMResponse(latestNDVI, avgNDVI, ndviTrend, farmMetadata);
-      }
-
-      if (!llmResponse) {
-        throw new Error('Invalid LLM response format');
-      }
+Focus on practical, sustainable farming recommendations suitable for Southeast Asian climate conditions.
 
-      // Try to parse JSON response
-      let aiAnalysis;
-      try {
-        aiAnalysis = JSON.parse(llmResponse);
-      } catch (parseError) {
-        // If JSON parsing fails, create analysis from text
-        aiAnalysis = this.parseTextResponse(llmResponse);
-      }
+Write "recommendations", "analysis" and "riskFactors" in ${languageName(language)}, in plain words a farmer understands. Keep the JSON keys and the stressLevel and stressType values in English.`;
 
-      return {
-        stressLevel: aiAnalysis.stressLevel || 'unknown',
-        confidence: aiAnalysis.confidence || 0.7,
-        recommendations: aiAnalysis.recommendations || ['Monitor crop conditions'],
-        detectedAt: new Date().toISOString(),
-        ndviAnalysis: {
-          current: latestNDVI,
-          average: avgNDVI,
-          trend: ndviTrend
-        },
-        aiModel: 'huawei-llm',
-        aiConfidence: aiAnalysis.confidence || 0.7,
-        analysis: aiAnalysis.analysis || 'Crop health analysis completed',
-        riskFactors: aiAnalysis.riskFactors || []
-      };
-
-    } catch (error) {
-      console.error('❌ Huawei LLM analysis failed:', error.message);
-      return null;
-    }
-  }
-
-  // Generate mock LLM response (for competition demo)
-  generateMockLLMResponse(latestNDVI, avgNDVI, ndviTrend, farmMetadata) {
-    const cropType = farmMetadata.cropType || 'unknown';
-    const trend = ndviTrend < -0.05 ? 'declining' : ndviTrend > 0.05 ? 'improving' : 'stable';
-
-    // Intelligent analysis based on NDVI values
-    let stressLevel, confidence, analysis, recommendations, riskFactors;
-
-    if (latestNDVI < 0.2) {
-      stressLevel = 'severe';
-      confidence = 0.95;
-      analysis = `Critical crop stress detected for ${cropType} field. Current NDVI of ${latestNDVI.toFixed(3)} indicates severe vegetation stress or potential crop loss.`;
-      recommendations = [
-        'Immediate emergency irrigation (minimum 50mm)',
-        'Apply nitrogen-rich fertilizer within 24 hours',
-        'Check for pest infestation and disease outbreaks',
-        'Consider crop-saving measures or partial harvesting'
-      ];
-      riskFactors = ['Severe water stress', 'Possible disease outbreak', 'Nutrient deficiency'];
-    } else if (latestNDVI < 0.35) {
-      stressLevel = 'high';
-      confidence = 0.85;
-      analysis = `High stress levels detected in ${cropType} cultivation. NDVI of ${latestNDVI.toFixed(3)} with ${trend} trend requires immediate attention.`;
-      recommendations = [
-        'Increase irrigation frequency by 50%',
-        'Apply balanced NPK fertilizer (15-15-15)',
-        'Daily monitoring for pest damage',
-        'Consider mulching to retain soil moisture'
-      ];
-      riskFactors = ['Water deficiency', 'Possible pest pressure', 'Nutrient imbalance'];
-    } else if (latestNDVI < 0.5) {
-      stressLevel = 'moderate';
-      confidence = 0.75;
-      analysis = `Moderate stress observed in ${cropType} field. NDVI of ${latestNDVI.toFixed(3)} suggests suboptimal growing conditions.`;
-      recommendations = [
-        'Maintain regular irrigation schedule',
-        'Apply light fertilizer if needed',
-        'Weekly monitoring for changes',
-        'Consider preventive pest control measures'
-      ];
-      riskFactors = ['Mild water stress', 'Early signs of nutrient deficiency'];
-    } else if (latestNDVI < 0.65) {
-      stressLevel = 'low';
-      confidence = 0.80;
-      analysis = `Low stress levels detected in ${cropType} crop. NDVI of ${latestNDVI.toFixed(3)} indicates generally healthy conditions with minor issues.`;
-      recommendations = [
-        'Continue normal irrigation schedule',
-        'Monitor soil moisture levels',
-        'Standard fertilization program',
-        'Regular field scouting'
-      ];
-      riskFactors = ['Minor environmental stress', 'Potential weed competition'];
-    } else {
-      stressLevel = 'healthy';
-      confidence = 0.90;
-      analysis = `Excellent crop health observed for ${cropType}. NDVI of ${latestNDVI.toFixed(3)} indicates optimal growing conditions.`;
-      recommendations = [
-        'Maintain current agricultural practices',
-        'Continue regular monitoring',
-        'Prepare for optimal harvest timing',
-        'Document successful practices for future seasons'
-      ];
-      riskFactors = ['Maintain vigilance against pests', 'Monitor weather changes'];
-    }
-
-    // Add trend-specific recommendations
-    if (trend === 'declining') {
-      recommendations.push('URGENT: Address declining health trend immediately');
-      riskFactors.push('Rapid health deterioration');
-    }
-
-    return JSON.stringify({
-      stressLevel,
-      confidence,
-      recommendations,
-      analysis,
-      riskFactors
+    const generate = () => this.llm.generateJSON({
+      system: SYSTEM_PROMPT,
+      prompt,
+      schema: STRESS_ANALYSIS_SCHEMA,
+      input: { cropType: farmMetadata.cropType, latestNDVI, averageNDVI: avgNDVI, trend: ndviTrend, growthStage, stressFactors, language }
     });
-  }
-
-  // Parse text response if JSON parsing fails
-  parseTextResponse(textResponse) {
-    // Simple text parsing as fallback
-    const lowerText = textResponse.toLowerCase();
 
-    let stressLevel = 'moderate';
-    if (lowerText.includes('severe') || lowerText.includes('critical')) stressLevel = 'severe';
-    else if (lowerText.includes('high') || lowerText.includes('serious')) stressLevel = 'high';
-    else if (lowerText.includes('low') || lowerText.includes('mild')) stressLevel = 'low';
-    else if (lowerText.includes('healthy') || lowerText.includes('good')) stressLevel = 'healthy';
+    const { value, cache } = useCache
+      ? await this.cache.getOrCompute(this.analysisCacheKey(ndviData, farmMetadata, growthStage, language), generate)
+      : { value: await generate(), cache: 'bypass' };
+    const { data: aiAnalysis, source, model, attempts } = value;
 
     return {
-      stressLevel,
-      confidence: 0.7,
-      recommendations: ['Monitor crop conditions', 'Follow standard agricultural practices'],
-      analysis: 'Crop health assessment based on satellite data analysis',
-      riskFactors: ['Environmental conditions', 'Weather patterns']
+      stressLevel: aiAnalysis.stressLevel,
+      stressType: aiAnalysis.stressType || stressFactors[0]?.type || 'none',
+      confidence: aiAnalysis.confidence,
+      recommendations: aiAnalysis.recommendations,
+      detectedAt: new Date().toISOString(),
+      ndviAnalysis: {
+        current: latestNDVI,
+        average: avgNDVI,
+        trend: ndviTrend
+      },
+      indexAnalysis: latestIndices,
+      stressFactors,
+      growthStage,
+      source,
+      fallbackReason: null,
+      aiModel: model,
+      language,
+      llmAttempts: cache === 'miss' || cache === 'bypass' ? attempts : 0,
+      cache,
+      aiConfidence: aiAnalysis.confidence,
+      analysis: aiAnalysis.analysis,
+      riskFactors: aiAnalysis.riskFactors || []
     };
   }
 
   // Rule-based stress detection (fallback)
-  analyzeWithRules(ndviData, farmMetadata) {
+  analyzeWithRules(ndviData, farmMetadata = {}, { language = DEFAULT_LANGUAGE } = {}) {
     const latestNDVI = ndviData[ndviData.length - 1]?.ndvi || 0;
-    const avgNDVI = ndviData.reduce((sum, d) => sum + d.ndvi, 0) / ndviData.length;
+    const avgNDVI = this.weightedAverage(ndviData);
     const ndviTrend = this.calculateNDVITrend(ndviData);
 
-    let stressLevel = 'healthy';
-    let confidence = 0.8;
-    let recommendations = [];
-
-    // NDVI-based stress detection
-    if (latestNDVI < 0.2) {
-      stressLevel = 'severe';
-      confidence = 0.9;
-      recommendations.push('Immediate irrigation required', 'Check for pest infestation');
-    } else if (latestNDVI < 0.3) {
-      stressLevel = 'high';
-      confidence = 0.8;
-      recommendations.push('Increase irrigation frequency', 'Apply balanced fertilizer');
-    } else if (latestNDVI < 0.4) {
-      stressLevel = 'moderate';
-      confidence = 0.7;
-      recommendations.push('Monitor closely', 'Consider light irrigation');
-    }
+    // Shortfall from the crop calendar's expected NDVI when the growth stage is known,
+    // otherwise the stress ruleset's NDVI cutoffs
+    const growthStage = this.assessGrowthStage(ndviData, farmMetadata);
+    const classification = classifyStress(latestNDVI, { calendarAssessment: growthStage });
+
+    let stressLevel = classification.stressLevel;
+    const confidence = growthStage ? 0.85 : RULE_CONFIDENCE[stressLevel];
+
+    // Water and nitrogen stress from NDWI / NDRE, which NDVI alone cannot tell apart
+    const stressFactors = this.detectIndexStress(ndviData);
+    stressFactors.forEach(factor => {
+      stressLevel = maxStressLevel(stressLevel, factor.stressLevel);
+    });
 
     // Trend-based adjustment
     if (ndviTrend < -0.05) {
-      stressLevel = this.upgradeStressLevel(stressLevel);
-      recommendations.push('Declining health trend detected');
+      stressLevel = upgradeStressLevel(stressLevel);
     }
 
-    return {
-      stressLevel,
-      confidence,
-      recommendations,
-      detectedAt: new Date().toISOString(),
+    const assessment = {
       ndviAnalysis: {
         current: latestNDVI,
         average: avgNDVI,
         trend: ndviTrend
       },
-      aiModel: 'rule-based-fallback'
+      stressFactors,
+      growthStage,
+      classification: { stressLevel: classification.stressLevel, method: classification.method, ruleset: classification.ruleset }
     };
+
+    return {
+      stressLevel,
+      stressType: stressFactors[0]?.type || (stressLevel === 'healthy' ? 'none' : 'other'),
+      confidence,
+      recommendations: this.ruleRecommendations(assessment, language),
+      detectedAt: new Date().toISOString(),
+      ...assessment,
+      indexAnalysis: this.latestIndices(ndviData),
+      source: 'rules',
+      fallbackReason: null,
+      aiModel: 'rule-based-fallback',
+      language
+    };
+  }
+
+  // Recommendations of a rule-based assessment: the NDVI classification (before index and trend
+  // adjustments), the shortfall from the growth stage, index stress factors and the trend
+  ruleRecommendations({ classification, growthStage, stressFactors = [], ndviAnalysis = {} }, language = DEFAULT_LANGUAGE) {
+    const recommendations = [...t(language, `recommendations.rules.${classification.stressLevel}`)];
+
+    if (growthStage && growthStage.deviation > 0 && classification.stressLevel !== 'healthy') {
+      recommendations.push(t(language, 'recommendations.belowExpected', {
+        deviation: growthStage.deviation.toFixed(2),
+        expected: growthStage.expectedNDVI.toFixed(2),
+        stage: growthStage.growthStage.name,
+        day: growthStage.growthStage.dayAfterPlanting
+      }));
+    }
+
+    stressFactors.forEach(factor => {
+      recommendations.push(...t(language, `recommendations.indexStress.${factor.type}`));
+    });
+
+    if (ndviAnalysis.trend < -0.05) {
+      recommendations.push(t(language, 'recommendations.decliningTrend'));
+    }
+
+    return recommendations;
+  }
+
+  // Latest reading against the farm's crop calendar, or null without a calendar, planting date
+  // or when the reading falls outside the season
+  assessGrowthStage(ndviData, farmMetadata = {}) {
+    const latest = ndviData[ndviData.length - 1];
+    if (!latest) {
+      return null;
+    }
+
+    return assessAgainstCalendar(latest.ndvi, farmMetadata.calendar, farmMetadata.plantingDate, latest.date);
+  }
+
+  // Latest available value of each secondary index
+  latestIndices(ndviData) {
+    const latest = {};
+
+    SECONDARY_INDICES.forEach(index => {
+      const observation = [...ndviData].reverse().find(d => indexValue(d, index) !== null);
+      if (observation) {
+        latest[index] = indexValue(observation, index);
+      }
+    });
+
+    return latest;
+  }
+
+  // Drought (low NDWI) and nitrogen (low NDRE with adequate NDWI) stress in the latest readings
+  detectIndexStress(ndviData) {
+    const latest = this.latestIndices(ndviData);
+    const { drought, nitrogen } = INDEX_STRESS_THRESHOLDS;
+    const factors = [];
+
+    const ndwi = latest[drought.index];
+    const ndre = latest[nitrogen.index];
+    const waterAdequate = ndwi === undefined || ndwi >= drought.moderate;
+
+    if (!waterAdequate) {
+      factors.push({
+        type: 'drought',
+        index: drought.index,
+        value: ndwi,
+        stressLevel: ndwi < drought.high ? 'high' : 'moderate'
+      });
+    }
+
+    if (ndre !== undefined && ndre < nitrogen.moderate && waterAdequate) {
+      factors.push({
+        type: 'nitrogen',
+        index: nitrogen.index,
+        value: ndre,
+        stressLevel: ndre < nitrogen.high ? 'high' : 'moderate'
+      });
+    }
+
+    return factors;
+  }
+
+  // Mean NDVI, weighting each reading by its quality weight (1 when unscreened)
+  weightedAverage(ndviData) {
+    const totalWeight = ndviData.reduce((sum, d) => sum + (d.weight ?? 1), 0);
+    return ndviData.reduce((sum, d) => sum + d.ndvi * (d.weight ?? 1), 0) / totalWeight;
   }
 
   // Calculate NDVI trend
@@ -372,36 +399,30 @@ Focus on practical, sustainable farming recommendations suitable for Southeast A
     const recent = ndviData.slice(-5); // Last 5 readings
     if (recent.length < 2) return 0;
 
-    const slope = this.calculateLinearRegression(recent.map((d, i) => ({x: i, y: d.ndvi})));
+    const slope = this.calculateLinearRegression(recent.map((d, i) => ({x: i, y: d.ndvi, w: d.weight ?? 1})));
     return slope;
   }
 
-  // Simple linear regression for trend analysis
+  // Weighted least-squares linear regression for trend analysis (weights default to 1)
   calculateLinearRegression(points) {
-    const n = points.length;
-    const sumX = points.reduce((sum, p) => sum + p.x, 0);
-    const sumY = points.reduce((sum, p) => sum + p.y, 0);
-    const sumXY = points.reduce((sum, p) => sum + (p.x * p.y), 0);
-    const sumX2 = points.reduce((sum, p) => sum + (p.x * p.x), 0);
+    const n = points.reduce((sum, p) => sum + (p.w ?? 1), 0);
+    const sumX = points.reduce((sum, p) => sum + (p.w ?? 1) * p.x, 0);
+    const sumY = points.reduce((sum, p) => sum + (p.w ?? 1) * p.y, 0);
+    const sumXY = points.reduce((sum, p) => sum + (p.w ?? 1) * p.x * p.y, 0);
+    const sumX2 = points.reduce((sum, p) => sum + (p.w ?? 1) * p.x * p.x, 0);
 
-    const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
-    return slope;
-  }
+    const denominator = n * sumX2 - sumX * sumX;
+    if (denominator === 0) return 0;
 
-  // Upgrade stress level based on trend
-  upgradeStressLevel(currentLevel) {
-    const levels = ['healthy', 'low', 'moderate', 'high', 'severe'];
-    const currentIndex = levels.indexOf(currentLevel);
-    return levels[Math.min(currentIndex + 1, levels.length - 1)];
+    const slope = (n * sumXY - sumX * sumY) / denominator;
+    return slope;
   }
 
   // Interpret AI model results
   interpretAIResults(aiOutput, ndviData) {
     const stressProbabilities = aiOutput;
     const maxIndex = stressProbabilities.indexOf(Math.max(...stressProbabilities));
-    const stressLevels = ['healthy', 'low', 'moderate', 'high', 'severe'];
-
-    const detectedLevel = stressLevels[maxIndex];
+    const detectedLevel = STRESS_LEVELS[maxIndex];
     const confidence = stressProbabilities[maxIndex];
 
     if (confidence < this.confidenceThreshold) {
@@ -422,7 +443,7 @@ Focus on practical, sustainable farming recommendations suitable for Southeast A
       detectedAt: new Date().toISOString(),
       ndviAnalysis: {
         current: ndviData[ndviData.length - 1]?.ndvi || 0,
-        average: ndviData.reduce((sum, d) => sum + d.ndvi, 0) / ndviData.length
+        average: this.weightedAverage(ndviData)
       },
       aiModel: 'huawei-llm',
       aiConfidence: confidence
@@ -430,106 +451,89 @@ Focus on practical, sustainable farming recommendations suitable for Southeast A
   }
 
   // Generate recommendations based on stress level
-  generateRecommendations(stressLevel, ndviData) {
-    const recommendations = {
-      severe: [
-        'Immediate irrigation required (2-3 inches)',
-        'Apply nitrogen-rich fertilizer immediately',
-        'Check for pest infestation and disease',
-        'Consider crop-saving emergency measures'
-      ],
-      high: [
-        'Increase irrigation frequency',
-        'Apply balanced NPK fertilizer',
-        'Monitor for pest damage daily',
-        'Consider crop protection measures'
-      ],
-      moderate: [
-        'Maintain regular irrigation schedule',
-        'Apply light fertilizer if needed',
-        'Weekly monitoring recommended',
-        'Consider preventive pest control'
-      ],
-      low: [
-        'Continue normal irrigation',
-        'Monitor weekly',
-        'Maintain current fertilization schedule'
-      ],
-      healthy: [
-        'Maintain current practices',
-        'Continue regular monitoring',
-        'Consider preventive measures'
-      ]
-    };
-
-    return recommendations[stressLevel] || recommendations.healthy;
+  generateRecommendations(stressLevel, ndviData, language = DEFAULT_LANGUAGE) {
+    const level = STRESS_LEVELS.includes(stressLevel) ? stressLevel : 'healthy';
+    return t(language, `recommendations.general.${level}`);
   }
 
   // Default analysis if all methods fail
-  getDefaultAnalysis() {
+  getDefaultAnalysis(fallbackReason = 'error', language = DEFAULT_LANGUAGE) {
     return {
       stressLevel: 'unknown',
       confidence: 0.0,
-      recommendations: ['Unable to analyze - check data quality'],
+      recommendations: [t(language, 'recommendations.unavailable')],
       detectedAt: new Date().toISOString(),
+      source: 'none',
+      fallbackReason,
       aiModel: 'error-fallback',
+      language,
       error: true
     };
   }
 
-  // Generate stress forecast (7-30 days)
-  generateStressForecast(ndviData, days = 14) {
+  // Confidence of a forecast point from the width of its 80% interval (a 0.5 wide band scores 0)
+  intervalConfidence(point) {
+    const width = point.upper80 - point.lower80;
+    return Math.round(Math.max(0.1, Math.min(0.95, 1 - width / 0.5)) * 100) / 100;
+  }
+
+  // Generate stress forecast (7-30 days); farmMetadata.calendar/plantingDate enable stage-aware levels
+  generateStressForecast(rawNDVIData, days = 14, farmMetadata = {}) {
     try {
+      // Forecast only from readings that pass quality screening
+      const { observations: ndviData, report } = screenObservations(rawNDVIData);
+
       if (ndviData.length < 3) {
         return {
           forecast: [],
           confidence: 0.0,
-          method: 'insufficient_data'
+          method: 'insufficient_data',
+          dataQuality: report
         };
       }
 
-      // Use linear regression for simple forecasting
-      const trend = this.calculateNDVITrend(ndviData);
-      const lastNDVI = ndviData[ndviData.length - 1].ndvi;
-
-      const forecast = [];
-      let confidence = 1.0;
-
-      for (let i = 1; i <= days; i++) {
-        const futureDate = new Date();
-        futureDate.setDate(futureDate.getDate() + i);
-
-        // Simple trend-based prediction
-        const predictedNDVI = lastNDVI + (trend * i);
+      // Damped-trend model on the departure from the crop calendar curve when there is one
+      const model = forecastNDVI(ndviData, days, {
+        baseline: calendarBaseline(farmMetadata.calendar, farmMetadata.plantingDate)
+      });
 
-        // Add some randomness to simulate uncertainty
-        const randomVariation = (Math.random() - 0.5) * 0.05;
-        const finalNDVI = Math.max(0, Math.min(1, predictedNDVI + randomVariation));
-
-        // Determine stress level
-        let stressLevel = 'healthy';
-        if (finalNDVI < 0.2) stressLevel = 'severe';
-        else if (finalNDVI < 0.3) stressLevel = 'high';
-        else if (finalNDVI < 0.4) stressLevel = 'moderate';
-        else if (finalNDVI < 0.5) stressLevel = 'low';
+      if (!model) {
+        return {
+          forecast: [],
+          confidence: 0.0,
+          method: 'insufficient_data',
+          dataQuality: report
+        };
+      }
 
-        // Confidence decreases over time
-        const dayConfidence = Math.max(0.5, 0.9 - (i / days) * 0.4);
+      const forecast = model.points.map(point => {
+        // Determine stress level, against the expected curve on that date when possible
+        const stageAssessment = assessAgainstCalendar(
+          point.predictedNDVI, farmMetadata.calendar, farmMetadata.plantingDate, point.date
+        );
+        const { stressLevel } = classifyStress(point.predictedNDVI, { calendarAssessment: stageAssessment });
 
-        forecast.push({
-          date: futureDate.toISOString().split('T')[0],
-          predictedNDVI: finalNDVI,
+        return {
+          ...point,
           stressLevel,
-          confidence: dayConfidence
-        });
-      }
+          ...(stageAssessment && {
+            expectedNDVI: stageAssessment.expectedNDVI,
+            growthStage: stageAssessment.growthStage.name
+          }),
+          confidence: this.intervalConfidence(point)
+        };
+      });
 
       return {
         forecast,
-        confidence: confidence,
-        method: 'linear_regression',
-        trend: trend,
-        currentNDVI: lastNDVI
+        confidence: forecast.length > 0 ? forecast[0].confidence : 0.0,
+        method: model.method,
+        modelVersion: model.modelVersion,
+        parameters: model.parameters,
+        trend: model.trend,
+        currentNDVI: model.currentNDVI,
+        lastObservationDate: model.lastObservationDate,
+        dataQuality: report
       };
     } catch (error) {
       console.error('❌ Forecast generation failed:', error.message);
@@ -543,4 +547,17 @@ Focus on practical, sustainable farming recommendations suitable for Southeast A
   }
 }
 
-module.exports = AIStressDetector;
\ No newline at end of file
+let sharedDetector = null;
+
+// Detector (and LLM analysis cache) shared by the routes and services of this process
+const getStressDetector = () => {
+  if (!sharedDetector) {
+    sharedDetector = new AIStressDetector();
+  }
+  return sharedDetector;
+};
+
+module.exports = {
+  AIStressDetector,
+  getStressDetector
+};
\ No newline at end of file
@@ -1,78 +1,152 @@
-const AIStressDetector = require('./aiStressDetector');
-const SMSService = require('./smsService');
+const { getStressDetector } = require('./aiStressDetector');
 const User = require('../models/User');
 const Farm = require('../models/Farm');
 const NDVIData = require('../models/NDVIData');
 const Alert = require('../models/Alert');
+const jobQueue = require('./jobQueueService');
+const { screenObservations } = require('../utils/ndviQuality');
+const cropCalendarService = require('./cropCalendarService');
+const forecastService = require('./forecastService');
+const analysisHistoryService = require('./analysisHistoryService');
+const alertStateService = require('./alertStateService');
+const notificationDispatcher = require('./notificationDispatcher');
+const SMSService = require('./smsService');
+const { urgencyOf } = require('../utils/alertPolicy');
+const { resolveLanguage, t } = require('../utils/i18n');
+
+// Shown before the localized urgency word of in-app and SMS alerts
+const URGENCY_ICONS = { severe: '🚨', high: '⚠️', default: 'ℹ️', recovered: '✅' };
+
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND'];
+
+// Failures that may succeed when tried again: lost connections, timeouts and overloaded services.
+// Missing farms, invalid data and programming errors fail the same way every time.
+const isTransientError = (error) => {
+  if (typeof error.retryable === 'boolean') {
+    return error.retryable; // LLMError
+  }
+  if (TRANSIENT_ERROR_CODES.includes(error.code)) {
+    return true;
+  }
+  if (/^Mongo(Network|ServerSelection|NetworkTimeout)Error$/.test(error.name) || error.hasErrorLabel?.('RetryableWriteError')) {
+    return true;
+  }
+
+  const status = error.response?.status;
+  return status === 429 || status >= 500;
+};
 
 class AlertService {
   constructor() {
-    this.aiDetector = new AIStressDetector();
+    this.aiDetector = getStressDetector();
     this.smsService = new SMSService();
-    this.stressCache = new Map(); // Cache to avoid duplicate alerts
-    this.alertCooldown = 24 * 60 * 60 * 1000; // 24 hours cooldown
   }
 
   // Initialize alert system
   async initialize() {
-    await this.aiDetector.initializeHuaweiAI();
+    await this.aiDetector.ensureInitialized();
     console.log('✅ Alert system initialized');
   }
 
   // Analyze farm and send alerts if needed
-  async analyzeFarmAndAlert(farmId, forceAnalysis = false) {
+  // `trigger` is recorded with the analysis: 'manual' or 'bulk' (queued for all farms)
+  async analyzeFarmAndAlert(farmId, forceAnalysis = false, trigger = 'manual') {
     try {
       const farm = await Farm.findById(farmId);
       if (!farm || !farm.isActive) {
         return { success: false, error: 'Farm not found or inactive' };
       }
 
-      const farmOwner = await User.findById(farm.owner);
-      if (!farmOwner || !farmOwner.isActive) {
-        return { success: false, error: 'Farm owner not found or inactive' };
-      }
-
       // Get recent NDVI data
-      const ndviData = await NDVIData.find({ farm: farmId })
+      const ndviData = await NDVIData.find({ farm: farmId, ...NDVIData.OBSERVED })
         .sort({ date: -1 })
         .limit(30);
 
-      if (ndviData.length < 3) {
-        return { success: false, error: 'Insufficient NDVI data for analysis' };
+      // Cloudy or partial readings do not count towards the minimum
+      const { observations, report: dataQuality } = screenObservations(ndviData);
+
+      if (dataQuality.used < 3) {
+        return {
+          success: false,
+          error: dataQuality.dropped > 0
+            ? `Insufficient usable NDVI data for analysis (${dataQuality.dropped} low-quality observations dropped)`
+            : 'Insufficient NDVI data for analysis',
+          dataQuality
+        };
       }
 
-      // Perform AI stress analysis
-      const analysis = await this.aiDetector.detectCropStress(
-        ndviData,
-        `${farm.coordinates.latitude},${farm.coordinates.longitude}`,
-        {
-          area: farm.area,
-          cropType: farm.cropType,
-          plantingDate: farm.plantingDate
-        }
-      );
+      const farmMetadata = {
+        area: farm.area,
+        cropType: farm.cropType,
+        plantingDate: farm.plantingDate,
+        calendar: await cropCalendarService.getCalendar(farm.cropType)
+      };
+
+      // Perform AI stress analysis, written in the owner's language; members who read
+      // another language get their own copy when alerted
+      const coordinates = `${farm.coordinates.latitude},${farm.coordinates.longitude}`;
+      const owner = await User.findById(farm.owner).select('preferences.language');
+      const analysis = await this.aiDetector.detectCropStress(ndviData, coordinates, farmMetadata, {
+        language: owner?.preferences?.language
+      });
 
       // Generate forecast
-      const forecast = this.aiDetector.generateStressForecast(ndviData, 14);
+      const forecast = this.aiDetector.generateStressForecast(ndviData, 14, farmMetadata);
 
       // Store analysis results
-      await this.storeAnalysisResults(farmId, analysis, forecast);
-
-      // Check if alert should be sent
-      const shouldAlert = await this.shouldSendAlert(farmId, analysis);
-
-      if (shouldAlert) {
-        const alertResult = await this.sendAlert(farmOwner, farm, analysis);
+      const record = await this.storeAnalysisResults(farm, analysis, forecast, { observations, dataQuality, trigger });
+
+      // Move the farm's alert state; it decides whether anyone is notified
+      const decision = await alertStateService.evaluate(farm._id, analysis);
+
+      if (decision.event) {
+        let deliveries;
+        try {
+          // A failed attempt at this notification rolled the state back; whoever it reached is not told twice
+          const alreadyNotified = await this.findNotifiedUsers(farm._id, decision, analysis);
+
+          deliveries = await this.notifyFarmMembers(farm, analysis, {
+            event: decision.event,
+            previousAlertLevel: decision.previousAlertLevel,
+            peakStressLevel: decision.state.peakStressLevel,
+            localize: (language) => this.aiDetector.localizeAnalysis(analysis, language),
+            skipUserIds: alreadyNotified
+          });
+        } catch (error) {
+          await alertStateService.rollback(decision);
+          throw error;
+        }
+        const alertsSent = deliveries.filter(delivery => delivery.success && !delivery.alreadyNotified).length;
+
+        // Nobody was reached by SMS, email or push (or the inbox, for in-app-only users): undo the
+        // transition so its cooldown does not hold back the retry
+        if (!deliveries.some(delivery => delivery.success) && await alertStateService.rollback(decision)) {
+          return {
+            success: true,
+            analysis,
+            forecast,
+            alertSent: false,
+            alertState: decision.previousState?.status || null,
+            reason: 'delivery_failed',
+            deliveries,
+            dataQuality
+          };
+        }
 
-        // Store alert record
-        await this.storeAlertRecord(farmId, analysis, alertResult);
+        if (record) {
+          await analysisHistoryService.markAlertsSent(record._id, alertsSent);
+        }
 
         return {
           success: true,
           analysis,
           forecast,
-          alertSent: alertResult.success,
-          alertId: alertResult.messageId
+          alertSent: alertsSent > 0,
+          alertsSent,
+          alertEvent: decision.event,
+          alertState: decision.state.status,
+          deliveries,
+          dataQuality
         };
       }
 
@@ -81,203 +155,270 @@ class AlertService {
         analysis,
         forecast,
         alertSent: false,
-        reason: analysis.stressLevel === 'healthy' || 'Recently alerted'
+        alertState: decision.state?.status || null,
+        reason: decision.reason,
+        dataQuality
       };
 
     } catch (error) {
       console.error(`❌ Failed to analyze farm ${farmId}:`, error.message);
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, retryable: isTransientError(error) };
     }
   }
 
-  // Analyze all farms (scheduled task)
-  async analyzeAllFarms() {
+  // Queue analysis of all active farms (or the given farm ids); returns the job immediately
+  async analyzeAllFarms({ farmIds, requestedBy } = {}) {
     try {
-      console.log('🔍 Starting analysis of all farms...');
-
-      const farms = await Farm.find({ isActive: true });
-      const results = [];
-
-      for (const farm of farms) {
-        const result = await this.analyzeFarmAndAlert(farm._id);
-        results.push({
-          farmId: farm._id,
-          farmName: farm.name,
-          result
-        });
-
-        // Add delay to avoid API rate limiting
-        await new Promise(resolve => setTimeout(resolve, 2000));
+      const query = { isActive: true };
+      if (farmIds) {
+        query._id = { $in: farmIds };
       }
 
-      const summary = {
-        totalFarms: farms.length,
-        analyzed: results.length,
-        alertsSent: results.filter(r => r.result.alertSent).length,
-        healthy: results.filter(r => r.result.analysis?.stressLevel === 'healthy').length,
-        timestamp: new Date().toISOString()
-      };
+      const farms = await Farm.find(query).select('_id');
+      const job = await jobQueue.enqueue(
+        'farm_analysis',
+        farms.map(farm => ({ farm: farm._id })),
+        { requestedBy, params: farmIds ? { farmIds } : undefined }
+      );
 
-      console.log('✅ Farm analysis completed:', summary);
-      return summary;
+      console.log(`🔍 Queued analysis of ${farms.length} farms (job ${job._id})`);
+      return { success: true, jobId: job._id, totalFarms: farms.length };
 
     } catch (error) {
-      console.error('❌ Failed to analyze all farms:', error.message);
+      console.error('❌ Failed to queue farm analysis:', error.message);
       return { success: false, error: error.message };
     }
   }
 
-  // Check if alert should be sent
-  async shouldSendAlert(farmId, analysis) {
-    // Don't send alerts for healthy farms
-    if (analysis.stressLevel === 'healthy' || analysis.stressLevel === 'low') {
-      return false;
+  // Job queue handler for one farm of a bulk analysis
+  async analyzeFarmTask(task) {
+    const result = await this.analyzeFarmAndAlert(task.farm, false, 'bulk');
+
+    if (!result.success) {
+      return result;
     }
 
-    // Check cooldown
-    const lastAlert = this.stressCache.get(farmId);
-    const now = Date.now();
+    return {
+      success: true,
+      stressLevel: result.analysis?.stressLevel,
+      confidence: result.analysis?.confidence,
+      alertSent: result.alertSent,
+      alertsSent: result.alertsSent || 0,
+      alertEvent: result.alertEvent || null,
+      observationsDropped: result.dataQuality?.dropped
+    };
+  }
 
-    if (lastAlert && (now - lastAlert.timestamp) < this.alertCooldown) {
-      return false;
-    }
+  // Notify the owner and every farm member whose role and preferences match of an alert
+  // `event` (utils/alertPolicy.js). Recovery goes to those alerted at the episode's peak.
+  // `localize(language)` gives the analysis with its text in another language, once per language.
+  // Users in `skipUserIds` already had this notification and are listed as `alreadyNotified`.
+  async notifyFarmMembers(farm, analysis, { event = 'opened', previousAlertLevel, peakStressLevel, localize = async () => analysis, skipUserIds = [] } = {}) {
+    const notice = { event, previousAlertLevel };
+    const recipients = farm.getAlertRecipients(event === 'recovered' ? peakStressLevel || 'moderate' : analysis.stressLevel);
+    const users = await User.find({
+      _id: { $in: recipients.map(recipient => recipient.user) },
+      isActive: true
+    });
 
-    // Check confidence threshold
-    if (analysis.confidence < 0.7) {
-      return false;
+    const deliveries = [];
+    const analysisByLanguage = new Map([[analysis.language, analysis]]);
+
+    for (const recipient of recipients) {
+      const user = users.find(u => u._id.equals(recipient.user));
+      if (!user) continue;
+
+      if (skipUserIds.some(userId => user._id.equals(userId))) {
+        deliveries.push({ userId: user._id, role: recipient.role, success: true, alreadyNotified: true });
+        continue;
+      }
+
+      const language = resolveLanguage(user.preferences?.language);
+      if (!analysisByLanguage.has(language)) {
+        analysisByLanguage.set(language, await localize(language));
+      }
+      const localized = analysisByLanguage.get(language);
+
+      const alert = await this.storeAlertRecord(farm._id, localized, farm, user, notice);
+      const result = await this.sendAlert(user, farm, localized, notice, alert);
+
+      deliveries.push({
+        userId: user._id,
+        role: recipient.role,
+        channels: result.channels,
+        success: result.delivered,
+        alertId: alert?._id,
+        attempts: result.deliveries
+      });
     }
 
-    return true;
+    return deliveries;
   }
 
-  // Send alert to farmer
-  async sendAlert(farmer, farm, analysis) {
-    try {
-      const phoneNumber = this.smsService.formatPhoneNumber(farmer.phoneNumber);
+  // Users a notification of `decision.event` already reached since the farm's last committed
+  // alert (within the event's cooldown): a retry after a rolled-back transition skips them
+  async findNotifiedUsers(farmId, decision, analysis, now = new Date()) {
+    const cooldown = alertStateService.cooldowns[urgencyOf(analysis.stressLevel)];
+    const lastCommitted = decision.previousState?.lastAlertAt ? new Date(decision.previousState.lastAlertAt).getTime() : 0;
+
+    return Alert.distinct('userId', {
+      farmId,
+      event: decision.event,
+      status: 'sent',
+      createdAt: { $gt: new Date(Math.max(lastCommitted, now.getTime() - cooldown)) }
+    });
+  }
 
-      if (!phoneNumber) {
-        console.warn(`⚠️ Invalid phone number for farmer: ${farmer.fullName}`);
-        return { success: false, error: 'Invalid phone number' };
+  // Send an alert to a farmer or farm member over the channels their preferences and its
+  // urgency call for, then record the outcome on the stored alert
+  async sendAlert(farmer, farm, analysis, notice = {}, alert = null) {
+    const language = farmer.preferences?.language;
+    const urgency = urgencyOf(analysis.stressLevel);
+
+    const result = await notificationDispatcher.dispatch(farmer, {
+      title: this.generateAlertTitle(farm.name, analysis, language, notice),
+      body: this.generateAlertMessage(farmer.fullName, farm.name, analysis, language, notice),
+      summary: this.generateAlertSummary(farm.name, analysis, language, notice),
+      sms: this.generateSMSMessage(farmer.fullName, farm.name, analysis, language, notice),
+      urgency,
+      data: {
+        alertId: alert?._id,
+        farmId: farm._id,
+        event: notice.event || 'opened',
+        stressLevel: analysis.stressLevel
       }
+    }, { alertId: alert?._id, farmId: farm._id });
 
-      const message = this.generateAlertMessage(farmer.fullName, farm.name, analysis);
-      const result = await this.smsService.createCustomAlert(
-        phoneNumber,
-        message,
-        this.getUrgencyLevel(analysis.stressLevel)
-      );
+    const external = result.channels.filter(channel => channel !== 'in_app');
+    if (external.length > 0) {
+      console.log(`📱 Alert sent to ${farmer.fullName} for farm ${farm.name} by ${external.join(', ')}`);
+    }
 
-      if (result.success) {
-        // Update cache
-        this.stressCache.set(farm._id, {
-          timestamp: Date.now(),
-          stressLevel: analysis.stressLevel,
-          messageId: result.messageId
+    if (alert) {
+      try {
+        await Alert.updateOne({ _id: alert._id }, {
+          alertType: external[0] || 'in_app',
+          channels: result.channels,
+          status: result.delivered ? 'sent' : 'failed',
+          sentAt: result.delivered ? new Date() : null
         });
-
-        console.log(`📱 Alert sent to ${farmer.fullName} for farm: ${farm.name}`);
+      } catch (error) {
+        console.error('❌ Failed to update alert delivery status:', error.message);
       }
+    }
 
-      return result;
+    return result;
+  }
 
-    } catch (error) {
-      console.error(`❌ Failed to send alert for farm ${farm.name}:`, error.message);
-      return { success: false, error: error.message };
+  // Email subject and push title
+  generateAlertTitle(farmName, analysis, language, { event } = {}) {
+    if (event === 'recovered') {
+      return `${URGENCY_ICONS.recovered} ${t(language, 'alert.recoveredSubject', { farm: farmName })}`;
     }
+
+    return t(language, 'alert.subject', {
+      urgency: this.getUrgencyPrefix(analysis.stressLevel, language),
+      farm: farmName,
+      level: t(language, `stressLevels.${analysis.stressLevel}`)
+    });
   }
 
-  // Generate alert message
-  generateAlertMessage(farmerName, farmName, analysis) {
-    const urgency = this.getUrgencyPrefix(analysis.stressLevel);
+  // One-line push body
+  generateAlertSummary(farmName, analysis, language, { event } = {}) {
+    const level = t(language, `stressLevels.${analysis.stressLevel}`);
+
+    if (event === 'recovered') {
+      return t(language, 'alert.recovered', { farm: farmName, level, ndvi: (analysis.ndviAnalysis?.current ?? 0).toFixed(3) });
+    }
 
-    let message = `${urgency} FarmSight Alert\n\n`;
-    message += `Hi ${farmerName},\n`;
-    message += `Your farm "${farmName}" shows ${analysis.stressLevel} crop stress.\n\n`;
+    return [t(language, 'alert.stress', { farm: farmName, level }), analysis.recommendations?.[0]]
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  // Single SMS; the all-clear is short enough to send as the push body
+  generateSMSMessage(farmerName, farmName, analysis, language, notice = {}) {
+    if (notice.event === 'recovered') {
+      return this.generateAlertSummary(farmName, analysis, language, notice);
+    }
+
+    return this.smsService.generateAlertMessage(
+      farmerName,
+      farmName,
+      analysis.stressLevel,
+      analysis.ndviAnalysis?.current ?? 0,
+      analysis.recommendations || [],
+      language
+    );
+  }
+
+  // Generate alert message in the recipient's language; `notice.event` 'escalated' says how much
+  // stress worsened and 'recovered' writes the all-clear instead
+  generateAlertMessage(farmerName, farmName, analysis, language, { event, previousAlertLevel } = {}) {
+    const level = t(language, `stressLevels.${analysis.stressLevel}`);
+
+    if (event === 'recovered') {
+      return [
+        `${URGENCY_ICONS.recovered} ${t(language, 'alert.recoveredTitle')}`,
+        '',
+        t(language, 'alert.greeting', { name: farmerName }),
+        t(language, 'alert.recovered', { farm: farmName, level, ndvi: (analysis.ndviAnalysis?.current ?? 0).toFixed(3) })
+      ].join('\n');
+    }
+
+    const urgency = this.getUrgencyPrefix(analysis.stressLevel, language);
+
+    let message = `${t(language, 'alert.title', { urgency })}\n\n`;
+    message += `${t(language, 'alert.greeting', { name: farmerName })}\n`;
+    message += `${t(language, 'alert.stress', { farm: farmName, level })}\n`;
+    if (event === 'escalated' && previousAlertLevel) {
+      message += `${t(language, 'alert.escalated', { previous: t(language, `stressLevels.${previousAlertLevel}`) })}\n`;
+    }
+    message += '\n';
 
     if (analysis.ndviAnalysis) {
-      message += `Current NDVI: ${analysis.ndviAnalysis.current.toFixed(3)}\n`;
-      message += `Confidence: ${(analysis.confidence * 100).toFixed(0)}%\n\n`;
+      message += `${t(language, 'alert.ndvi', { ndvi: analysis.ndviAnalysis.current.toFixed(3) })}\n`;
+      message += `${t(language, 'alert.confidence', { confidence: (analysis.confidence * 100).toFixed(0) })}\n\n`;
     }
 
-    message += `Recommendations:\n`;
+    message += `${t(language, 'alert.recommendations')}\n`;
     analysis.recommendations.forEach(rec => {
       message += `• ${rec}\n`;
     });
 
-    message += `\nCheck your FarmSight app for detailed analysis.`;
+    message += `\n${t(language, 'alert.footer')}`;
 
     return message;
   }
 
-  // Get urgency level
-  getUrgencyLevel(stressLevel) {
-    switch (stressLevel) {
-      case 'severe': return 'urgent';
-      case 'high': return 'high';
-      case 'moderate': return 'normal';
-      case 'low': return 'low';
-      default: return 'normal';
-    }
-  }
-
   // Get urgency prefix
-  getUrgencyPrefix(stressLevel) {
-    switch (stressLevel) {
-      case 'severe': return '🚨 URGENT';
-      case 'high': return '⚠️ IMPORTANT';
-      case 'moderate': return 'ℹ️ INFO';
-      default: return 'ℹ️ INFO';
-    }
+  getUrgencyPrefix(stressLevel, language) {
+    const urgency = ['severe', 'high'].includes(stressLevel) ? stressLevel : 'default';
+    return `${URGENCY_ICONS[urgency]} ${t(language, `urgency.${urgency}`)}`;
   }
 
-  // Store analysis results
-  async storeAnalysisResults(farmId, analysis, forecast) {
+  // Store the forecast run and the analysis (history plus the farm's latest snapshot)
+  async storeAnalysisResults(farm, analysis, forecast, { observations = [], dataQuality, trigger } = {}) {
     try {
-      // Store latest NDVI analysis in farm record (if needed)
-      await Farm.findByIdAndUpdate(farmId, {
-        lastNDVIAnalysis: {
-          stressLevel: analysis.stressLevel,
-          confidence: analysis.confidence,
-          ndviValue: analysis.ndviAnalysis?.current,
-          analyzedAt: new Date()
-        }
-      });
-
-      // Store forecast data if available
-      if (forecast && forecast.forecast) {
-        // Store in NDVIData collection with special flag for forecast
-        for (const forecastDay of forecast.forecast) {
-          await NDVIData.findOneAndUpdate(
-            {
-              farm: farmId,
-              date: new Date(forecastDay.date),
-              forecast: true
-            },
-            {
-              farm: farmId,
-              date: new Date(forecastDay.date),
-              ndvi: forecastDay.predictedNDVI,
-              stressLevel: forecastDay.stressLevel,
-              confidence: forecastDay.confidence,
-              forecast: true,
-              aiAnalysis: {
-                ...analysis,
-                forecastDate: forecastDay.date
-              },
-              createdAt: new Date()
-            },
-            { upsert: true, new: true }
-          );
-        }
-      }
+      // Forecasts are kept apart from observed NDVI, one run per analysis
+      const forecastRunId = await forecastService.storeForecastRun(farm._id, forecast);
 
+      return await analysisHistoryService.recordAnalysis(farm, {
+        analysis,
+        forecast,
+        forecastRunId,
+        observations,
+        dataQuality,
+        trigger
+      });
     } catch (error) {
       console.error('❌ Failed to store analysis results:', error.message);
+      return null;
     }
   }
 
-  // Store alert record
-  async storeAlertRecord(farmId, analysis, alertResult, farm, farmer) {
+  // Store the alert record (the user's in-app inbox entry) before it is sent
+  async storeAlertRecord(farmId, analysis, farm, farmer, notice = {}) {
     try {
       const alert = new Alert({
         farmId: farmId,
@@ -288,12 +429,13 @@ class AlertService {
         recommendations: analysis.recommendations || [],
         riskFactors: analysis.riskFactors || [],
         aiAnalysis: analysis.analysis,
-        alertType: alertResult.success ? 'sms' : 'in_app',
-        status: alertResult.success ? 'sent' : 'failed',
-        sentAt: alertResult.success ? new Date() : null,
+        alertType: 'in_app',
+        status: 'pending',
         phoneNumber: farmer.phoneNumber,
-        message: this.generateAlertMessage(farmer.fullName, farm.name, analysis),
-        urgency: this.getUrgencyLevel(analysis.stressLevel)
+        message: this.generateAlertMessage(farmer.fullName, farm.name, analysis, farmer.preferences?.language, notice),
+        language: resolveLanguage(farmer.preferences?.language),
+        event: notice.event || 'opened',
+        urgency: urgencyOf(analysis.stressLevel)
       });
 
       await alert.save();
@@ -346,8 +488,8 @@ class AlertService {
     }
   }
 
-  // Get alert statistics
-  async getAlertStatistics(days = 30, userId = null) {
+  // Get alert statistics, optionally limited to one user or a set of farms
+  async getAlertStatistics(days = 30, userId = null, farmIds = null) {
     try {
       const since = new Date();
       since.setDate(since.getDate() - days);
@@ -360,14 +502,19 @@ class AlertService {
         query.userId = userId;
       }
 
+      if (farmIds) {
+        query.farmId = { $in: farmIds };
+      }
+
       const alerts = await Alert.find(query);
 
       const stats = {
         totalAlerts: alerts.length,
         byStressLevel: {},
+        byEvent: {},
         byDay: {},
         averageConfidence: 0,
-        alertTypes: { sms: 0, in_app: 0, email: 0 },
+        alertTypes: { sms: 0, in_app: 0, email: 0, push: 0 },
         urgency: { low: 0, medium: 0, high: 0, critical: 0 },
         acknowledged: 0,
         unacknowledged: 0
@@ -378,6 +525,10 @@ class AlertService {
         // Count by stress level
         stats.byStressLevel[alert.stressLevel] = (stats.byStressLevel[alert.stressLevel] || 0) + 1;
 
+        // Count by alert state event (opened, escalated, reminder, recovered)
+        const event = alert.event || 'opened';
+        stats.byEvent[event] = (stats.byEvent[event] || 0) + 1;
+
         // Count by day
         const day = alert.createdAt.toISOString().split('T')[0];
         stats.byDay[day] = (stats.byDay[day] || 0) + 1;
@@ -0,0 +1,89 @@
+const FarmAlertState = require('../models/FarmAlertState');
+const { decideAlert, defaultCooldowns } = require('../utils/alertPolicy');
+
+// Persisted alert state machine of every farm (utils/alertPolicy.js)
+class AlertStateService {
+  constructor() {
+    this.cooldowns = defaultCooldowns();
+  }
+
+  async getState(farmId) {
+    return FarmAlertState.findOne({ farm: farmId }).lean();
+  }
+
+  // Apply the policy to a new analysis and persist the transition. Resolves to
+  // { event, reason, state, previousState, previousAlertLevel }; `event` is the notification to
+  // send, or null. A transition whose notification fails is undone with rollback().
+  async evaluate(farmId, analysis, now = new Date()) {
+    const state = await this.getState(farmId);
+    const decision = decideAlert(state, analysis, { now, cooldowns: this.cooldowns });
+
+    if (!decision.update) {
+      return { event: decision.event, reason: decision.reason, state };
+    }
+
+    const next = await this.transition(farmId, state, decision.update, now);
+    if (!next) {
+      // Another analysis of this farm moved the state first; it sends any notification
+      return { event: null, reason: 'concurrent_update', state: await this.getState(farmId) };
+    }
+
+    return {
+      event: decision.event,
+      reason: decision.reason,
+      state: next,
+      previousState: state,
+      previousAlertLevel: state?.lastAlertLevel
+    };
+  }
+
+  // Restore the state from before an evaluate() transition, so the next analysis decides (and
+  // notifies) again instead of sitting out a cooldown nobody was told about. Skipped when
+  // another analysis has moved the state since.
+  async rollback({ state, previousState }) {
+    try {
+      if (!previousState) {
+        const { deletedCount } = await FarmAlertState.deleteOne({ _id: state._id, revision: state.revision });
+        return deletedCount > 0;
+      }
+
+      const { _id, __v, farm, revision, createdAt, ...fields } = previousState;
+      const added = Object.keys(state).filter(key => !(key in previousState) && !['_id', '__v', 'revision'].includes(key));
+
+      const restored = await FarmAlertState.findOneAndUpdate(
+        { _id: state._id, revision: state.revision },
+        {
+          $set: fields,
+          ...(added.length > 0 && { $unset: Object.fromEntries(added.map(key => [key, 1])) }),
+          $inc: { revision: 1 }
+        },
+        { new: true, lean: true }
+      );
+      return Boolean(restored);
+    } catch (error) {
+      console.error(`❌ Failed to roll back alert state of farm ${state.farm}:`, error.message);
+      return false;
+    }
+  }
+
+  // Write `update` only if the state is still the one decided on; null otherwise
+  async transition(farmId, state, update, now) {
+    if (!state) {
+      try {
+        const created = await FarmAlertState.create({ farm: farmId, ...update, revision: 1, createdAt: now, updatedAt: now });
+        return created.toObject();
+      } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+      }
+    }
+
+    return FarmAlertState.findOneAndUpdate(
+      { _id: state._id, revision: state.revision },
+      { $set: { ...update, updatedAt: now }, $inc: { revision: 1 } },
+      { new: true, lean: true }
+    );
+  }
+}
+
+module.exports = new AlertStateService();
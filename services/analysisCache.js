@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+// Stable JSON: object keys sorted so equal inputs always serialize the same way
+const canonicalJSON = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Content address of a normalized input
+const contentKey = (input) => crypto.createHash('sha256').update(canonicalJSON(input)).digest('hex');
+
+// In-process cache of LLM analyses keyed by the content address of their input. Entries expire
+// after `ttlMs`; the oldest entries are evicted beyond `maxEntries`. Concurrent requests for
+// the same key share one computation.
+class AnalysisCache {
+  constructor({
+    ttlMs = parseInt(process.env.LLM_CACHE_TTL_MS) || 6 * 60 * 60 * 1000,
+    maxEntries = parseInt(process.env.LLM_CACHE_MAX_ENTRIES) || 1000
+  } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.inFlight = new Map();
+    this.metrics = { hits: 0, misses: 0, deduplicated: 0, expired: 0, evicted: 0 };
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.metrics.expired++;
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+
+    // Maps keep insertion order, so the first keys are the oldest
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.metrics.evicted++;
+    }
+  }
+
+  // Cached value for `key`, or the result of compute(); `shouldCache(value)` decides whether
+  // a computed value is kept. Resolves to { value, cache: 'hit' | 'miss' | 'deduplicated' }.
+  async getOrCompute(key, compute, shouldCache = () => true) {
+    const cached = this.get(key);
+    if (cached !== undefined) {
+      this.metrics.hits++;
+      return { value: cached, cache: 'hit' };
+    }
+
+    if (this.inFlight.has(key)) {
+      this.metrics.deduplicated++;
+      return { value: await this.inFlight.get(key), cache: 'deduplicated' };
+    }
+
+    this.metrics.misses++;
+    const pending = Promise.resolve().then(compute);
+    this.inFlight.set(key, pending);
+
+    try {
+      const value = await pending;
+      if (shouldCache(value)) {
+        this.set(key, value);
+      }
+      return { value, cache: 'miss' };
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  stats() {
+    const lookups = this.metrics.hits + this.metrics.misses + this.metrics.deduplicated;
+    return {
+      ...this.metrics,
+      hitRate: lookups > 0 ? Math.round(((this.metrics.hits + this.metrics.deduplicated) / lookups) * 1000) / 1000 : null,
+      size: this.entries.size,
+      inFlight: this.inFlight.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs
+    };
+  }
+}
+
+module.exports = {
+  AnalysisCache,
+  canonicalJSON,
+  contentKey
+};
@@ -0,0 +1,160 @@
+const Farm = require('../models/Farm');
+const FarmAnalysis = require('../models/FarmAnalysis');
+const NDVIData = require('../models/NDVIData');
+const Alert = require('../models/Alert');
+const forecastService = require('./forecastService');
+const alertStateService = require('./alertStateService');
+const { screenObservations } = require('../utils/ndviQuality');
+
+// NDVI change per observation beyond which a farm counts as improving or declining
+const TREND_THRESHOLD = 0.01;
+
+const trendDirection = (trend) => {
+  if (trend === null || trend === undefined) return null;
+  if (trend > TREND_THRESHOLD) return 'improving';
+  if (trend < -TREND_THRESHOLD) return 'declining';
+  return 'stable';
+};
+
+// Stress analysis history of farms and the farm health summary built from it
+class AnalysisHistoryService {
+  constructor() {
+    this.trendDays = 90;
+  }
+
+  // Store one analysis run and make it the farm's latest snapshot
+  async recordAnalysis(farm, { analysis, forecast, forecastRunId, observations, dataQuality, trigger = 'manual' }) {
+    const dates = observations.map(observation => new Date(observation.date).getTime());
+    const growthStage = analysis.growthStage;
+
+    const record = await new FarmAnalysis({
+      farm: farm._id,
+      trigger,
+      inputs: {
+        cropType: farm.cropType,
+        plantingDate: farm.plantingDate,
+        observationsTotal: dataQuality?.total,
+        observationsUsed: dataQuality?.used,
+        observationsDropped: dataQuality?.dropped,
+        ...(dates.length > 0 && { from: new Date(Math.min(...dates)), to: new Date(Math.max(...dates)) })
+      },
+      model: {
+        source: analysis.source,
+        fallbackReason: analysis.fallbackReason,
+        aiModel: analysis.aiModel,
+        classificationMethod: analysis.classification?.method,
+        stressRuleset: analysis.classification?.ruleset,
+        forecastModelVersion: forecast?.modelVersion,
+        forecastRunId
+      },
+      result: {
+        stressLevel: analysis.stressLevel,
+        stressType: analysis.stressType,
+        confidence: analysis.confidence,
+        ndvi: analysis.ndviAnalysis?.current,
+        averageNDVI: analysis.ndviAnalysis?.average,
+        trend: analysis.ndviAnalysis?.trend,
+        growthStage: growthStage?.growthStage?.name,
+        expectedNDVI: growthStage?.expectedNDVI,
+        recommendations: analysis.recommendations,
+        riskFactors: analysis.riskFactors,
+        summary: analysis.analysis
+      }
+    }).save();
+
+    await Farm.findByIdAndUpdate(farm._id, {
+      lastNDVIAnalysis: {
+        stressLevel: record.result.stressLevel,
+        stressType: record.result.stressType,
+        confidence: record.result.confidence,
+        ndviValue: record.result.ndvi,
+        trend: record.result.trend,
+        growthStage: record.result.growthStage,
+        analyzedAt: record.createdAt,
+        analysis: record._id
+      }
+    });
+
+    return record;
+  }
+
+  async markAlertsSent(analysisId, alertsSent) {
+    await FarmAnalysis.findByIdAndUpdate(analysisId, { alertsSent });
+  }
+
+  async getHistory(farmId, { page = 1, limit = 20 } = {}) {
+    const query = { farm: farmId };
+    const [analyses, total] = await Promise.all([
+      FarmAnalysis.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      FarmAnalysis.countDocuments(query)
+    ]);
+
+    return {
+      analyses,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  // Everything the app's farm home screen needs: current status, NDVI trend, recent analyses,
+  // the farm's alert state, the user's unacknowledged alerts and the latest forecast
+  async getFarmHealth(farm, user, { analyses = 5 } = {}) {
+    const since = new Date(Date.now() - this.trendDays * 24 * 60 * 60 * 1000);
+
+    const [stored, recentAnalyses, alertState, activeAlerts, forecast] = await Promise.all([
+      NDVIData.find({ farm: farm._id, ...NDVIData.OBSERVED, date: { $gte: since } }).sort({ date: 1 }).lean(),
+      FarmAnalysis.find({ farm: farm._id }).sort({ createdAt: -1 }).limit(analyses),
+      alertStateService.getState(farm._id),
+      Alert.find({ farmId: farm._id, userId: user._id, acknowledged: false })
+        .sort({ createdAt: -1 })
+        .limit(10),
+      forecastService.getLatestForecast(farm._id)
+    ]);
+
+    const { observations, report } = screenObservations(stored);
+    const latestObservation = observations[observations.length - 1] || null;
+    const snapshot = farm.lastNDVIAnalysis?.analyzedAt ? farm.lastNDVIAnalysis : null;
+
+    return {
+      farm: {
+        id: farm._id,
+        name: farm.name,
+        cropType: farm.cropType,
+        area: farm.area,
+        plantingDate: farm.plantingDate
+      },
+      currentStatus: {
+        stressLevel: snapshot?.stressLevel || null,
+        stressType: snapshot?.stressType || null,
+        confidence: snapshot?.confidence ?? null,
+        growthStage: snapshot?.growthStage || null,
+        analyzedAt: snapshot?.analyzedAt || null,
+        latestNDVI: latestObservation?.ndvi ?? null,
+        observedAt: latestObservation?.date || null
+      },
+      trend: {
+        direction: trendDirection(snapshot?.trend),
+        slope: snapshot?.trend ?? null,
+        days: this.trendDays,
+        points: observations.map(observation => ({ date: observation.date, ndvi: observation.ndvi })),
+        dataQuality: report
+      },
+      recentAnalyses,
+      alertState: alertState && {
+        status: alertState.status,
+        stressLevel: alertState.stressLevel,
+        peakStressLevel: alertState.peakStressLevel,
+        openedAt: alertState.openedAt,
+        escalatedAt: alertState.escalatedAt,
+        resolvedAt: alertState.resolvedAt,
+        lastAlertAt: alertState.lastAlertAt
+      },
+      activeAlerts,
+      forecast
+    };
+  }
+}
+
+module.exports = new AnalysisHistoryService();
@@ -0,0 +1,88 @@
+const CropCalendar = require('../models/CropCalendar');
+const DEFAULT_CALENDARS = require('../config/cropCalendars.json');
+const { assessAgainstCalendar } = require('../utils/cropCalendar');
+
+// Crop calendars with a short in-process cache; edits through this service clear it, edits made
+// on another instance are picked up when the cache expires
+class CropCalendarService {
+  constructor() {
+    this.cache = new Map();
+    this.cacheTtlMs = 5 * 60 * 1000;
+  }
+
+  // Default calendar shipped with the code, or null for crop types without one
+  getDefault(cropType) {
+    const calendar = DEFAULT_CALENDARS[cropType];
+    return calendar ? { cropType, perennial: false, ...calendar } : null;
+  }
+
+  // Store the shipped defaults for crop types that have no calendar yet
+  async syncDefaults() {
+    for (const cropType of Object.keys(DEFAULT_CALENDARS)) {
+      await CropCalendar.updateOne(
+        { cropType },
+        { $setOnInsert: this.getDefault(cropType) },
+        { upsert: true, runValidators: true }
+      );
+    }
+  }
+
+  // Stored calendar for a crop type; the default when none is stored or the database is unavailable
+  async getCalendar(cropType) {
+    if (!cropType) {
+      return null;
+    }
+
+    const cached = this.cache.get(cropType);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.calendar;
+    }
+
+    let calendar;
+    try {
+      calendar = await CropCalendar.findOne({ cropType }).lean();
+    } catch (error) {
+      console.error(`❌ Failed to load crop calendar for ${cropType}:`, error.message);
+    }
+
+    calendar = calendar || this.getDefault(cropType);
+    this.cache.set(cropType, { calendar, expiresAt: Date.now() + this.cacheTtlMs });
+    return calendar;
+  }
+
+  async listCalendars() {
+    return CropCalendar.find().sort({ cropType: 1 });
+  }
+
+  async updateCalendar(cropType, { description, perennial, stages }, userId) {
+    const calendar = await CropCalendar.findOne({ cropType }) || new CropCalendar({ cropType });
+
+    if (description !== undefined) calendar.description = description;
+    if (perennial !== undefined) calendar.perennial = perennial;
+    if (stages !== undefined) calendar.stages = stages;
+    calendar.updatedBy = userId;
+
+    await calendar.save();
+    this.cache.delete(cropType);
+    return calendar;
+  }
+
+  // Replace a stored calendar with the shipped default; null when there is no default
+  async resetCalendar(cropType, userId) {
+    const defaults = this.getDefault(cropType);
+    if (!defaults) {
+      return null;
+    }
+
+    return this.updateCalendar(cropType, defaults, userId);
+  }
+
+  // Stress of an NDVI reading for a farm against its crop calendar; null when the farm's crop has
+  // no calendar or the date is outside the season
+  async assess(farm, ndvi, date) {
+    const calendar = await this.getCalendar(farm.cropType);
+    return assessAgainstCalendar(ndvi, calendar, farm.plantingDate, date);
+  }
+}
+
+module.exports = new CropCalendarService();
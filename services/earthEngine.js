@@ -1,87 +1,167 @@
-const axios = require('axios');
-
-class EarthEngineService {
+const { createEarthEngineClient } = require('./earthEngineClient');
+const {
+  SATELLITES,
+  indexNames,
+  sceneListExpression,
+  ndviStatsExpression,
+  ndviTimeSeriesExpression,
+  stressZonesExpression
+} = require('./earthEngineExpressions');
+const {
+  SatelliteProvider,
+  STRESS_ZONE_THRESHOLDS,
+  toDateString,
+  shiftDate
+} = require('./satelliteProvider');
+
+const { SECONDARY_INDICES } = require('../utils/vegetationIndices');
+
+// reduceRegion names combined outputs "<band>_<reducer>"
+const statValue = (stats, band, reducer) => {
+  const value = (stats || {})[`${band}_${reducer}`];
+  return value !== undefined ? value : null;
+};
+
+// Secondary index values present in a dictionary keyed by index name (or "<index>_<suffix>")
+const pickIndices = (source, indices, suffix) => Object.fromEntries(
+  SECONDARY_INDICES
+    .filter(index => indices.includes(index))
+    .map(index => [index, source[suffix ? `${index}_${suffix}` : index]])
+    .filter(([, value]) => value !== null && value !== undefined)
+);
+
+class EarthEngineService extends SatelliteProvider {
   constructor() {
-    this.baseURL = 'https://earthengine.googleapis.com/v1';
-    this.serviceAccountKey = process.env.GEE_SERVICE_ACCOUNT_KEY;
-    this.projectId = process.env.GEE_PROJECT_ID;
+    super('earth_engine');
+    this.client = createEarthEngineClient();
+    this.satellite = process.env.GEE_DEFAULT_SATELLITE || 'Sentinel-2';
   }
 
   async authenticate() {
     try {
-      // This would typically use Google Cloud auth libraries
-      // For now, we'll create a placeholder
-      return {
-        accessToken: 'placeholder-token',
-        projectId: this.projectId
-      };
+      return await this.client.authenticate();
     } catch (error) {
       console.error('Earth Engine authentication failed:', error);
       throw error;
     }
   }
 
-  async getSatelliteImagery(coordinates, startDate, endDate) {
+  satelliteConfig(satellite = this.satellite) {
+    const config = SATELLITES[satellite];
+    if (!config) {
+      throw new Error(`Unsupported satellite: ${satellite}`);
+    }
+    return config;
+  }
+
+  async getSatelliteImagery(location, startDate, endDate) {
     try {
-      await this.authenticate();
+      const config = this.satelliteConfig();
+
+      const result = await this.client.compute(sceneListExpression({
+        location,
+        startDate,
+        endDate,
+        satellite: this.satellite,
+        maxCloudCover: this.maxCloudCover
+      }));
+
+      const scenes = (result.ids || []).map((id, index) => ({
+        id: `${config.collection}/${id}`,
+        date: toDateString(result.times[index]),
+        cloudCover: result.cloudCover[index]
+      })).sort((a, b) => a.date.localeCompare(b.date));
 
-      // Mock implementation - replace with actual GEE API call
-      const imagery = {
-        coordinates,
+      return {
+        ...this.describeLocation(location),
         dateRange: { startDate, endDate },
-        source: 'SENTINEL_2',
-        bands: ['B4', 'B8'], // Red and NIR bands for NDVI
-        resolution: 10,
-        status: 'available'
+        source: this.satellite,
+        collection: config.collection,
+        bands: ['blue', 'red', 'redEdge', 'nir', 'swir'].filter(band => config[band]).map(band => config[band]),
+        resolution: config.scale,
+        scenes,
+        status: scenes.length > 0 ? 'available' : 'unavailable'
       };
-
-      return imagery;
     } catch (error) {
       console.error('Failed to fetch satellite imagery:', error);
       throw error;
     }
   }
 
-  async calculateNDVI(coordinates, date) {
+  // Median composite NDVI (and the other indices) over the location for scenes around the given date
+  async calculateNDVI(location, date) {
     try {
-      await this.authenticate();
+      const config = this.satelliteConfig();
+
+      const result = await this.client.compute(ndviStatsExpression({
+        location,
+        startDate: shiftDate(date, -this.compositeWindowDays),
+        endDate: shiftDate(date, this.compositeWindowDays + 1),
+        satellite: this.satellite,
+        maxCloudCover: this.maxCloudCover
+      }));
+
+      const mean = statValue(result.stats, 'ndvi', 'mean');
+      const pixelCount = statValue(result.stats, 'ndvi', 'count') || 0;
+
+      if (mean === null || pixelCount === 0) {
+        return {
+          ...this.noDataResult(location, date, result.sceneCount || 0),
+          satellite: this.satellite
+        };
+      }
+
+      // Share of the expected pixels that produced a valid (cloud-free) value
+      const expectedPixels = Math.max(1, this.areaSize(location) / (config.scale * config.scale));
 
-      // Mock NDVI calculation - replace with actual GEE computation
-      const ndvi = {
-        coordinates,
+      return {
+        ...this.describeLocation(location),
         date,
-        ndvi: 0.65, // Sample NDVI value (0-1 scale)
-        confidence: 0.85,
-        status: 'healthy',
-        pixelCount: 1000,
-        averageNDVI: 0.65,
-        minNDVI: 0.45,
-        maxNDVI: 0.82
+        ndvi: mean,
+        confidence: Math.min(1, pixelCount / expectedPixels),
+        status: this.classifyNDVI(mean),
+        pixelCount,
+        averageNDVI: mean,
+        minNDVI: statValue(result.stats, 'ndvi', 'min'),
+        maxNDVI: statValue(result.stats, 'ndvi', 'max'),
+        indices: pickIndices(result.stats, indexNames(config), 'mean'),
+        satellite: this.satellite,
+        sceneCount: result.sceneCount
       };
-
-      return ndvi;
     } catch (error) {
       console.error('NDVI calculation failed:', error);
       throw error;
     }
   }
 
-  async getTimeSeriesNDVI(coordinates, startDate, endDate) {
+  // Mean (cloud-masked) indices and pixel quality of every scene in the range, oldest first
+  async getTimeSeriesNDVI(location, startDate, endDate) {
     try {
-      await this.authenticate();
-
-      // Generate mock time series data
-      const timeSeries = [];
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-
-      for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 8)) {
-        timeSeries.push({
-          date: new Date(d).toISOString().split('T')[0],
-          ndvi: Math.random() * 0.5 + 0.4, // Random NDVI between 0.4-0.9
-          cloudCover: Math.random() * 20 // Random cloud cover 0-20%
-        });
-      }
+      const indices = indexNames(this.satelliteConfig());
+      const result = await this.client.compute(ndviTimeSeriesExpression({
+        location,
+        startDate,
+        endDate,
+        satellite: this.satellite,
+        maxCloudCover: this.maxCloudCover
+      }));
+
+      const timeSeries = (result.features || [])
+        .map(feature => feature.properties)
+        .filter(properties => properties.ndvi !== null && properties.ndvi !== undefined)
+        .map(properties => ({
+          date: toDateString(properties.time),
+          ndvi: properties.ndvi,
+          indices: pickIndices(properties, indices),
+          cloudCover: properties.cloudCover,
+          satellite: this.satellite,
+          quality: {
+            shadow: properties.shadowShare !== undefined ? properties.shadowShare * 100 : undefined,
+            haze: properties.hazeShare !== undefined ? properties.hazeShare * 100 : undefined,
+            coverage: properties.totalPixels ? properties.validPixels / properties.totalPixels : undefined
+          }
+        }))
+        .sort((a, b) => a.date.localeCompare(b.date));
 
       return timeSeries;
     } catch (error) {
@@ -90,21 +170,33 @@ class EarthEngineService {
     }
   }
 
-  async getAreaAnalysis(coordinates, radius) {
+  // Polygon geometries are analysed over their own area; points use a radius. An explicit
+  // `date` keeps the request, and so its recorded fixture, the same from day to day.
+  async getAreaAnalysis(location, radius, date = Date.now()) {
     try {
-      await this.authenticate();
+      const isPolygon = this.isPolygon(location);
+      const endDate = toDateString(date);
+
+      const result = await this.client.compute(stressZonesExpression({
+        location,
+        startDate: shiftDate(endDate, -2 * this.compositeWindowDays),
+        endDate: shiftDate(endDate, 1),
+        satellite: this.satellite,
+        maxCloudCover: this.maxCloudCover,
+        bufferMeters: isPolygon ? undefined : radius,
+        thresholds: STRESS_ZONE_THRESHOLDS
+      }));
+
+      // No cloud-free scene in the window leaves every zone empty
+      const hasData = result.ndvi !== null && result.ndvi !== undefined;
 
-      // Mock area analysis
       const analysis = {
-        coordinates,
-        radius,
-        areaSize: Math.PI * radius * radius, // Area in square meters
-        averageNDVI: 0.68,
-        stressZones: [
-          { type: 'healthy', percentage: 75, color: '#4CAF50' },
-          { type: 'moderate_stress', percentage: 20, color: '#FFC107' },
-          { type: 'severe_stress', percentage: 5, color: '#F44336' }
-        ],
+        ...this.describeLocation(location),
+        radius: isPolygon ? undefined : radius,
+        areaSize: this.areaSize(location, radius),
+        averageNDVI: hasData ? result.ndvi : null,
+        satellite: this.satellite,
+        stressZones: this.buildStressZones(hasData ? result : null),
         lastUpdated: new Date().toISOString()
       };
 
@@ -116,4 +208,4 @@ class EarthEngineService {
   }
 }
 
-module.exports = new EarthEngineService();
\ No newline at end of file
+module.exports = new EarthEngineService();
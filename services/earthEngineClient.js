@@ -0,0 +1,166 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const EARTH_ENGINE_SCOPE = 'https://www.googleapis.com/auth/earthengine';
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'earthEngine');
+
+// Live transport: service-account JWT auth against the Earth Engine REST API
+class LiveEarthEngineClient {
+  constructor(options = {}) {
+    this.baseURL = options.baseURL || 'https://earthengine.googleapis.com/v1';
+    this.keyPath = options.keyPath || process.env.GEE_SERVICE_ACCOUNT_KEY ||
+      path.join(__dirname, '..', 'gee-service-account.json');
+    this.projectId = options.projectId || process.env.GEE_PROJECT_ID;
+    this.timeout = options.timeout || 60000;
+    this.token = null;
+  }
+
+  loadServiceAccount() {
+    if (!this.serviceAccount) {
+      const resolvedPath = path.resolve(this.keyPath);
+      if (!fs.existsSync(resolvedPath)) {
+        throw new Error(`Earth Engine service account key not found at ${resolvedPath}`);
+      }
+
+      this.serviceAccount = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+      this.projectId = this.projectId || this.serviceAccount.project_id;
+    }
+    return this.serviceAccount;
+  }
+
+  // Exchange a signed JWT assertion for an OAuth access token (cached until expiry)
+  async authenticate() {
+    if (this.token && this.token.expiresAt - 60 * 1000 > Date.now()) {
+      return this.token;
+    }
+
+    const account = this.loadServiceAccount();
+    const tokenUri = account.token_uri || 'https://oauth2.googleapis.com/token';
+    const now = Math.floor(Date.now() / 1000);
+
+    const assertion = jwt.sign(
+      {
+        iss: account.client_email,
+        scope: EARTH_ENGINE_SCOPE,
+        aud: tokenUri,
+        iat: now,
+        exp: now + 3600
+      },
+      account.private_key,
+      { algorithm: 'RS256', keyid: account.private_key_id }
+    );
+
+    const response = await axios.post(
+      tokenUri,
+      new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion
+      }).toString(),
+      {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: this.timeout
+      }
+    );
+
+    this.token = {
+      accessToken: response.data.access_token,
+      projectId: this.projectId,
+      expiresAt: Date.now() + response.data.expires_in * 1000
+    };
+
+    console.log('✅ Earth Engine access token obtained');
+    return this.token;
+  }
+
+  // Evaluate an expression graph with projects/{project}/value:compute
+  async compute(expression) {
+    const { accessToken, projectId } = await this.authenticate();
+
+    const response = await axios.post(
+      `${this.baseURL}/projects/${projectId}/value:compute`,
+      { expression },
+      {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: this.timeout
+      }
+    );
+
+    return response.data.result;
+  }
+}
+
+// Fixture key: hash of the request so the same graph always maps to the same file
+const fixtureKey = (expression) => (
+  crypto.createHash('sha256').update(JSON.stringify(expression)).digest('hex').substring(0, 16)
+);
+
+// Offline transport: replays stored responses, recorded from the live API (GEE_CLIENT=record) or
+// written by hand and marked "synthetic": true
+class RecordedEarthEngineClient {
+  constructor(options = {}) {
+    this.fixturesDir = options.fixturesDir || process.env.GEE_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+  }
+
+  async authenticate() {
+    return {
+      accessToken: 'recorded-fixture',
+      projectId: 'recorded-fixture',
+      expiresAt: Infinity
+    };
+  }
+
+  async compute(expression) {
+    const file = path.join(this.fixturesDir, `${fixtureKey(expression)}.json`);
+
+    if (!fs.existsSync(file)) {
+      throw new Error(`No recorded Earth Engine fixture for request (${path.basename(file)})`);
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf8')).result;
+  }
+}
+
+// Live transport that also writes every response to the fixtures directory
+class RecordingEarthEngineClient extends LiveEarthEngineClient {
+  constructor(options = {}) {
+    super(options);
+    this.fixturesDir = options.fixturesDir || process.env.GEE_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+  }
+
+  async compute(expression) {
+    const result = await super.compute(expression);
+
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(this.fixturesDir, `${fixtureKey(expression)}.json`),
+      JSON.stringify({ expression, result, recordedAt: new Date().toISOString() }, null, 2)
+    );
+
+    return result;
+  }
+}
+
+// GEE_CLIENT=live|recorded|record; tests default to recorded fixtures
+const createEarthEngineClient = (mode = process.env.GEE_CLIENT) => {
+  const resolvedMode = mode || (process.env.NODE_ENV === 'test' ? 'recorded' : 'live');
+
+  switch (resolvedMode) {
+    case 'recorded': return new RecordedEarthEngineClient();
+    case 'record': return new RecordingEarthEngineClient();
+    default: return new LiveEarthEngineClient();
+  }
+};
+
+module.exports = {
+  LiveEarthEngineClient,
+  RecordedEarthEngineClient,
+  RecordingEarthEngineClient,
+  createEarthEngineClient,
+  fixtureKey
+};
@@ -0,0 +1,399 @@
+// Builders for Earth Engine REST expression graphs (value:compute requests)
+
+const { INDEX_NAMES } = require('../utils/vegetationIndices');
+
+// Satellite collections and the bands used for the vegetation indices
+const SATELLITES = {
+  'Sentinel-2': {
+    collection: 'COPERNICUS/S2_SR_HARMONIZED',
+    blue: 'B2',
+    red: 'B4',
+    redEdge: 'B5',
+    nir: 'B8',
+    swir: 'B11',
+    cloudProperty: 'CLOUDY_PIXEL_PERCENTAGE',
+    scale: 10,
+    // Surface reflectance is stored as reflectance x 10000
+    multiplier: 0.0001,
+    offset: 0,
+    // Scene classification band: 3 = cloud shadow, 8-9 = cloud, 10 = thin cirrus (haze)
+    classificationBand: 'SCL',
+    shadowClass: 3,
+    hazeClass: 10,
+    firstCloudClass: 8
+  },
+  'Landsat-8': {
+    collection: 'LANDSAT/LC08/C02/T1_L2',
+    blue: 'SR_B2',
+    red: 'SR_B4',
+    nir: 'SR_B5',
+    swir: 'SR_B6',
+    cloudProperty: 'CLOUD_COVER',
+    scale: 30,
+    // Collection 2 surface reflectance scaling
+    multiplier: 0.0000275,
+    offset: -0.2
+  },
+  'Landsat-9': {
+    collection: 'LANDSAT/LC09/C02/T1_L2',
+    blue: 'SR_B2',
+    red: 'SR_B4',
+    nir: 'SR_B5',
+    swir: 'SR_B6',
+    cloudProperty: 'CLOUD_COVER',
+    scale: 30,
+    multiplier: 0.0000275,
+    offset: -0.2
+  }
+};
+
+const isNode = (value) => Boolean(
+  value && typeof value === 'object' &&
+  ('valueReference' in value || 'argumentReference' in value ||
+   'functionDefinitionValue' in value || 'constantValue' in value)
+);
+
+// Accumulates graph nodes and hands back references to them
+class ExpressionBuilder {
+  constructor() {
+    this.values = {};
+    this.counter = 0;
+  }
+
+  invoke(functionName, args = {}) {
+    const id = String(this.counter++);
+    const wrapped = {};
+
+    Object.entries(args).forEach(([key, value]) => {
+      if (value !== undefined) {
+        wrapped[key] = isNode(value) ? value : { constantValue: value };
+      }
+    });
+
+    this.values[id] = { functionInvocationValue: { functionName, arguments: wrapped } };
+    return { valueReference: id };
+  }
+
+  // Single-argument function (e.g. for Collection.map); body receives the argument reference
+  lambda(argumentName, body) {
+    const result = body({ argumentReference: argumentName });
+    return {
+      functionDefinitionValue: {
+        argumentNames: [argumentName],
+        body: result.valueReference
+      }
+    };
+  }
+
+  build(result) {
+    return { result: result.valueReference, values: this.values };
+  }
+}
+
+// GeoJSON geometry (or a "lat,lng" string) as an EE geometry, buffering points
+const geometry = (builder, location, bufferMeters = 100) => {
+  if (typeof location === 'string') {
+    const [lat, lng] = location.split(',').map(coord => parseFloat(coord.trim()));
+    location = { type: 'Point', coordinates: [lng, lat] };
+  }
+
+  const constructors = {
+    Point: 'GeometryConstructors.Point',
+    Polygon: 'GeometryConstructors.Polygon',
+    MultiPolygon: 'GeometryConstructors.MultiPolygon'
+  };
+
+  if (!constructors[location.type]) {
+    throw new Error(`Unsupported geometry type: ${location.type}`);
+  }
+
+  const region = builder.invoke(constructors[location.type], { coordinates: location.coordinates });
+
+  return location.type === 'Point'
+    ? builder.invoke('Geometry.buffer', { geometry: region, distance: bufferMeters })
+    : region;
+};
+
+const date = (builder, value) => builder.invoke('Date', { value });
+
+// Collection filtered to the region, date range and maximum cloud cover
+const filteredCollection = (builder, config, region, startDate, endDate, maxCloudCover) => {
+  let collection = builder.invoke('ImageCollection.load', { id: config.collection });
+
+  collection = builder.invoke('Collection.filter', {
+    collection,
+    filter: builder.invoke('Filter.intersects', { leftField: '.all', rightValue: region })
+  });
+
+  collection = builder.invoke('Collection.filter', {
+    collection,
+    filter: builder.invoke('Filter.dateRangeContains', {
+      leftValue: builder.invoke('DateRange', {
+        start: date(builder, startDate),
+        end: date(builder, endDate)
+      }),
+      rightField: 'system:time_start'
+    })
+  });
+
+  if (maxCloudCover !== undefined) {
+    collection = builder.invoke('Collection.filter', {
+      collection,
+      filter: builder.invoke('Filter.lessThan', {
+        leftField: config.cloudProperty,
+        rightValue: maxCloudCover
+      })
+    });
+  }
+
+  return collection;
+};
+
+const constantImage = (builder, value) => builder.invoke('Image.constant', { value });
+
+// Pixels that are neither cloud, cirrus nor cloud shadow (collections with a classification band)
+const clearMask = (builder, config, image) => {
+  const scl = builder.invoke('Image.select', { input: image, bandSelectors: [config.classificationBand] });
+
+  return builder.invoke('Image.and', {
+    image1: builder.invoke('Image.lt', { image1: scl, image2: constantImage(builder, config.firstCloudClass) }),
+    image2: builder.invoke('Image.neq', { image1: scl, image2: constantImage(builder, config.shadowClass) })
+  });
+};
+
+// Index bands available for a satellite (NDRE needs a red-edge band)
+const indexNames = (config) => (config.redEdge ? INDEX_NAMES : INDEX_NAMES.filter(index => index !== 'ndre'));
+
+// One band per vegetation index (named after the index), from reflectance-scaled bands,
+// with cloud masking where available
+const indexImage = (builder, config, image) => {
+  const bandNames = ['blue', 'red', 'redEdge', 'nir', 'swir'].filter(band => config[band]);
+
+  let bands = builder.invoke('Image.select', {
+    input: image,
+    bandSelectors: bandNames.map(band => config[band])
+  });
+
+  if (config.multiplier) {
+    bands = builder.invoke('Image.add', {
+      image1: builder.invoke('Image.multiply', {
+        image1: bands,
+        image2: constantImage(builder, config.multiplier)
+      }),
+      image2: constantImage(builder, config.offset)
+    });
+  }
+
+  const band = (name) => builder.invoke('Image.select', { input: bands, bandSelectors: [config[name]] });
+  const operand = (value) => (typeof value === 'number' ? constantImage(builder, value) : value);
+  const op = (name, image1, image2) => builder.invoke(`Image.${name}`, { image1: operand(image1), image2: operand(image2) });
+  const normalizedDifference = (a, b) => builder.invoke('Image.normalizedDifference', {
+    input: bands,
+    bandNames: [config[a], config[b]]
+  });
+
+  const nir = band('nir');
+  const red = band('red');
+
+  const images = {
+    ndvi: normalizedDifference('nir', 'red'),
+    evi: op('multiply', op('divide',
+      op('subtract', nir, red),
+      op('add', op('subtract', op('add', nir, op('multiply', red, 6)), op('multiply', band('blue'), 7.5)), 1)
+    ), 2.5),
+    ndwi: normalizedDifference('nir', 'swir'),
+    ndre: config.redEdge ? normalizedDifference('nir', 'redEdge') : undefined,
+    savi: op('multiply', op('divide',
+      op('subtract', nir, red),
+      op('add', op('add', nir, red), 0.5)
+    ), 1.5)
+  };
+
+  const names = indexNames(config);
+  const indices = builder.invoke('Image.rename', {
+    input: names.slice(1).reduce(
+      (combined, name) => builder.invoke('Image.addBands', { dstImg: combined, srcImg: images[name] }),
+      images[names[0]]
+    ),
+    names
+  });
+
+  return config.classificationBand
+    ? builder.invoke('Image.updateMask', { image: indices, mask: clearMask(builder, config, image) })
+    : indices;
+};
+
+// NDVI band ("ndvi") alone
+const ndviImage = (builder, config, image) => builder.invoke('Image.select', {
+  input: indexImage(builder, config, image),
+  bandSelectors: ['ndvi']
+});
+
+const reduceRegion = (builder, image, reducer, region, scale) => (
+  builder.invoke('Image.reduceRegion', {
+    image,
+    reducer,
+    geometry: region,
+    scale,
+    maxPixels: 1e9
+  })
+);
+
+// Scene list: ids, acquisition times and cloud cover
+const sceneListExpression = ({ location, startDate, endDate, satellite, maxCloudCover, bufferMeters }) => {
+  const config = SATELLITES[satellite];
+  const builder = new ExpressionBuilder();
+  const region = geometry(builder, location, bufferMeters);
+  const collection = filteredCollection(builder, config, region, startDate, endDate, maxCloudCover);
+
+  const property = (name) => builder.invoke('AggregateFeatureCollection.array', {
+    collection,
+    property: name
+  });
+
+  const result = builder.invoke('Dictionary', {
+    map: {
+      ids: property('system:index'),
+      times: property('system:time_start'),
+      cloudCover: property(config.cloudProperty)
+    }
+  });
+
+  return builder.build(result);
+};
+
+// Median composite statistics of every index over the region (keys "<index>_<statistic>")
+const ndviStatsExpression = ({ location, startDate, endDate, satellite, maxCloudCover, bufferMeters }) => {
+  const config = SATELLITES[satellite];
+  const builder = new ExpressionBuilder();
+  const region = geometry(builder, location, bufferMeters);
+  const collection = filteredCollection(builder, config, region, startDate, endDate, maxCloudCover);
+
+  const composite = builder.invoke('ImageCollection.reduce', {
+    collection: builder.invoke('Collection.map', {
+      collection,
+      baseAlgorithm: builder.lambda('_MAPPING_VAR_0_0', image => indexImage(builder, config, image))
+    }),
+    reducer: builder.invoke('Reducer.median', {})
+  });
+
+  // Median reduction suffixes band names; restore the index names
+  const indices = builder.invoke('Image.rename', { input: composite, names: indexNames(config) });
+
+  const reducer = builder.invoke('Reducer.combine', {
+    reducer1: builder.invoke('Reducer.mean', {}),
+    reducer2: builder.invoke('Reducer.combine', {
+      reducer1: builder.invoke('Reducer.minMax', {}),
+      reducer2: builder.invoke('Reducer.count', {}),
+      sharedInputs: true
+    }),
+    sharedInputs: true
+  });
+
+  const stats = reduceRegion(builder, indices, reducer, region, config.scale);
+
+  const result = builder.invoke('Dictionary', {
+    map: {
+      stats,
+      sceneCount: builder.invoke('Collection.size', { collection })
+    }
+  });
+
+  return builder.build(result);
+};
+
+// Per-scene mean of every index, cloud cover and pixel quality (shadow/haze shares, valid pixel counts)
+const ndviTimeSeriesExpression = ({ location, startDate, endDate, satellite, maxCloudCover, bufferMeters }) => {
+  const config = SATELLITES[satellite];
+  const builder = new ExpressionBuilder();
+  const region = geometry(builder, location, bufferMeters);
+  const collection = filteredCollection(builder, config, region, startDate, endDate, maxCloudCover);
+
+  const features = builder.invoke('Collection.map', {
+    collection,
+    baseAlgorithm: builder.lambda('_MAPPING_VAR_0_0', image => {
+      const indices = indexImage(builder, config, image);
+      const mean = reduceRegion(builder, indices, builder.invoke('Reducer.mean', {}), region, config.scale);
+      const count = (source) => reduceRegion(builder, source, builder.invoke('Reducer.count', {}), region, config.scale);
+      const get = (dictionary, key) => builder.invoke('Dictionary.get', { dictionary, key });
+
+      const properties = {
+        time: builder.invoke('Element.get', { object: image, property: 'system:time_start' }),
+        cloudCover: builder.invoke('Element.get', { object: image, property: config.cloudProperty }),
+        validPixels: get(count(indices), 'ndvi'),
+        totalPixels: get(count(constantImage(builder, 1)), 'constant')
+      };
+
+      indexNames(config).forEach(index => {
+        properties[index] = get(mean, index);
+      });
+
+      if (config.classificationBand) {
+        const scl = builder.invoke('Image.select', { input: image, bandSelectors: [config.classificationBand] });
+        const classShares = reduceRegion(
+          builder,
+          builder.invoke('Image.rename', {
+            input: builder.invoke('Image.addBands', {
+              dstImg: builder.invoke('Image.eq', { image1: scl, image2: constantImage(builder, config.shadowClass) }),
+              srcImg: builder.invoke('Image.eq', { image1: scl, image2: constantImage(builder, config.hazeClass) })
+            }),
+            names: ['shadow', 'haze']
+          }),
+          builder.invoke('Reducer.mean', {}),
+          region,
+          config.scale
+        );
+
+        properties.shadowShare = get(classShares, 'shadow');
+        properties.hazeShare = get(classShares, 'haze');
+      }
+
+      return builder.invoke('Feature', {
+        geometry: null,
+        metadata: builder.invoke('Dictionary', { map: properties })
+      });
+    })
+  });
+
+  return builder.build(features);
+};
+
+// Share of pixels in each NDVI stress zone
+const stressZonesExpression = ({ location, startDate, endDate, satellite, maxCloudCover, bufferMeters, thresholds }) => {
+  const config = SATELLITES[satellite];
+  const builder = new ExpressionBuilder();
+  const region = geometry(builder, location, bufferMeters);
+  const collection = filteredCollection(builder, config, region, startDate, endDate, maxCloudCover);
+
+  const ndvi = builder.invoke('ImageCollection.reduce', {
+    collection: builder.invoke('Collection.map', {
+      collection,
+      baseAlgorithm: builder.lambda('_MAPPING_VAR_0_0', image => ndviImage(builder, config, image))
+    }),
+    reducer: builder.invoke('Reducer.median', {})
+  });
+
+  const severe = builder.invoke('Image.lt', { image1: ndvi, image2: constantImage(builder, thresholds.severe) });
+  const healthy = builder.invoke('Image.gte', { image1: ndvi, image2: constantImage(builder, thresholds.healthy) });
+
+  const zones = builder.invoke('Image.rename', {
+    input: builder.invoke('Image.addBands', {
+      dstImg: builder.invoke('Image.addBands', { dstImg: ndvi, srcImg: severe }),
+      srcImg: healthy
+    }),
+    names: ['ndvi', 'severe', 'healthy']
+  });
+
+  const result = reduceRegion(builder, zones, builder.invoke('Reducer.mean', {}), region, config.scale);
+  return builder.build(result);
+};
+
+module.exports = {
+  SATELLITES,
+  indexNames,
+  ExpressionBuilder,
+  sceneListExpression,
+  ndviStatsExpression,
+  ndviTimeSeriesExpression,
+  stressZonesExpression
+};
@@ -0,0 +1,58 @@
+const nodemailer = require('nodemailer');
+
+class EmailService {
+  constructor() {
+    this.host = process.env.SMTP_HOST;
+    this.port = parseInt(process.env.SMTP_PORT || 587);
+    this.user = process.env.SMTP_USER;
+    this.password = process.env.SMTP_PASSWORD;
+    this.from = process.env.EMAIL_FROM || 'FarmSight <no-reply@farmsight.app>';
+
+    this.transporter = this.host
+      ? nodemailer.createTransport({
+        host: this.host,
+        port: this.port,
+        secure: this.port === 465,
+        auth: this.user ? { user: this.user, pass: this.password } : undefined
+      })
+      : null;
+  }
+
+  isConfigured() {
+    return Boolean(this.transporter);
+  }
+
+  // Send a plain-text email
+  async sendEmail(to, subject, text) {
+    try {
+      if (!this.isConfigured()) {
+        return { success: false, error: 'SMTP is not configured' };
+      }
+
+      if (!to) {
+        return { success: false, error: 'Missing email address' };
+      }
+
+      const info = await this.transporter.sendMail({
+        from: this.from,
+        to,
+        subject,
+        text
+      });
+
+      console.log(`📧 Email sent to ${to}: ${subject}`);
+      return {
+        success: true,
+        messageId: info.messageId
+      };
+    } catch (error) {
+      console.error('❌ Failed to send email:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = EmailService;
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { calculateCentroid } = require('../utils/geoJSON');
+const {
+  SatelliteProvider,
+  STRESS_ZONE_THRESHOLDS,
+  toDateString,
+  shiftDate
+} = require('./satelliteProvider');
+const { SECONDARY_INDICES, computeIndices } = require('../utils/vegetationIndices');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'satellite');
+
+// Scene dates fall on a fixed grid so any date range sees the same acquisitions
+const GRID_EPOCH = Date.UTC(2020, 0, 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Spread of pixel NDVI around the field mean, used for min/max and stress zones
+const PIXEL_SPREAD = 0.1;
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Deterministic PRNG (mulberry32) seeded from a string
+const seededRandom = (seed) => {
+  let state = parseInt(crypto.createHash('sha256').update(seed).digest('hex').substring(0, 8), 16);
+
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal CDF (Abramowitz-Stegun approximation)
+const normalCdf = (x) => {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const d = 0.3989423 * Math.exp(-x * x / 2);
+  const p = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
+  return x > 0 ? 1 - p : p;
+};
+
+// Reproducible NDVI from local files: a seasonal profile plus seeded per-location noise,
+// or explicit observations for locations that have their own fixture file
+class FixtureProvider extends SatelliteProvider {
+  constructor() {
+    super('fixture');
+    this.fixturesDir = process.env.SATELLITE_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+    this.seed = process.env.SATELLITE_FIXTURE_SEED || 'farmsight';
+    this.profile = this.loadFixture('default');
+
+    if (!this.profile) {
+      throw new Error(`Satellite fixture profile not found in ${this.fixturesDir}`);
+    }
+
+    this.satellite = this.profile.satellite || 'Sentinel-2';
+  }
+
+  loadFixture(name) {
+    const file = path.join(this.fixturesDir, `${name}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  }
+
+  // Stable key for a location: its point (or centroid) rounded to ~10 m
+  locationKey(location) {
+    const point = this.isPolygon(location) ? calculateCentroid(location) : this.parsePoint(location);
+
+    return `${point.latitude.toFixed(4)}_${point.longitude.toFixed(4)}`;
+  }
+
+  // Seasonal profile value for a date, interpolated between mid-month points
+  seasonalNDVI(date) {
+    const day = new Date(date);
+    const monthPosition = day.getUTCMonth() + (day.getUTCDate() - 15) / 30;
+    const months = this.profile.monthlyNDVI;
+    const lower = Math.floor(monthPosition);
+    const weight = monthPosition - lower;
+
+    const at = (index) => months[((index % 12) + 12) % 12];
+    return at(lower) * (1 - weight) + at(lower + 1) * weight;
+  }
+
+  // Secondary indices for an NDVI value, from synthetic band reflectances: red falls and NIR
+  // rises with vigour, SWIR and red edge follow NIR by the profile's ratios
+  indicesFor(ndvi, random) {
+    const model = this.profile.reflectance;
+    if (!model) {
+      return {};
+    }
+
+    const vigour = Math.min(0.95, Math.max(-0.5, ndvi));
+    const red = 0.12 - 0.09 * vigour;
+    const nir = red * (1 + vigour) / (1 - vigour);
+    const ratio = ({ intercept, slope }) => intercept + slope * vigour + (random() - 0.5) * 2 * (model.noise || 0);
+
+    const values = computeIndices({
+      blue: 0.7 * red,
+      red,
+      nir,
+      swir: nir * ratio(model.swirToNir),
+      redEdge: nir * ratio(model.redEdgeToNir)
+    });
+
+    return Object.fromEntries(SECONDARY_INDICES.map(index => [index, round(values[index])]));
+  }
+
+  // Every acquisition in the range, including cloudy ones
+  observations(location, startDate, endDate) {
+    const key = this.locationKey(location);
+    const override = this.loadFixture(key);
+    const start = toDateString(startDate);
+    const end = toDateString(endDate);
+
+    if (override && Array.isArray(override.observations)) {
+      return override.observations
+        .filter(observation => observation.date >= start && observation.date <= end)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    const revisit = this.profile.revisitDays || 5;
+    const locationOffset = (seededRandom(`${this.seed}:${key}`)() - 0.5) * 2 * (this.profile.locationVariation || 0);
+    const observations = [];
+
+    let index = Math.ceil((new Date(start).getTime() - GRID_EPOCH) / (revisit * DAY_MS));
+    let date = toDateString(GRID_EPOCH + index * revisit * DAY_MS);
+
+    while (date <= end) {
+      const random = seededRandom(`${this.seed}:${key}:${date}`);
+      const noise = (random() - 0.5) * 2 * (this.profile.noise || 0);
+      const cloudy = random() < (this.profile.cloudyShare || 0);
+
+      const cloudCover = round(cloudy ? 40 + random() * 60 : random() * 20, 1);
+      const ndvi = round(Math.min(1, Math.max(-1, this.seasonalNDVI(date) + locationOffset + noise)));
+      const quality = {
+        shadow: round(cloudCover * random() * 0.5, 1),
+        haze: round(random() * 15, 1),
+        coverage: round(1 - (cloudCover / 100) * random(), 2)
+      };
+
+      observations.push({
+        date,
+        ndvi,
+        indices: this.indicesFor(ndvi, random),
+        cloudCover,
+        quality
+      });
+
+      index++;
+      date = toDateString(GRID_EPOCH + index * revisit * DAY_MS);
+    }
+
+    return observations;
+  }
+
+  clearObservations(location, startDate, endDate) {
+    return this.observations(location, startDate, endDate)
+      .filter(observation => observation.cloudCover < this.maxCloudCover);
+  }
+
+  async getSatelliteImagery(location, startDate, endDate) {
+    const key = this.locationKey(location);
+    const scenes = this.clearObservations(location, startDate, endDate).map(observation => ({
+      id: `fixture_${key}_${observation.date}`,
+      date: observation.date,
+      cloudCover: observation.cloudCover
+    }));
+
+    return {
+      ...this.describeLocation(location),
+      dateRange: { startDate, endDate },
+      source: this.satellite,
+      collection: 'fixture',
+      bands: ['B2', 'B4', 'B5', 'B8', 'B11'], // Blue, red, red edge, NIR and SWIR for the indices
+      resolution: 10,
+      scenes,
+      status: scenes.length > 0 ? 'available' : 'unavailable'
+    };
+  }
+
+  // Clear observation closest to the requested date
+  async calculateNDVI(location, date) {
+    const candidates = this.clearObservations(
+      location,
+      shiftDate(date, -this.compositeWindowDays),
+      shiftDate(date, this.compositeWindowDays)
+    );
+
+    if (candidates.length === 0) {
+      return { ...this.noDataResult(location, date), satellite: this.satellite };
+    }
+
+    const target = new Date(date).getTime();
+    const [observation] = candidates.sort((a, b) => (
+      Math.abs(new Date(a.date).getTime() - target) - Math.abs(new Date(b.date).getTime() - target)
+    ));
+
+    return {
+      ...this.describeLocation(location),
+      date,
+      ndvi: observation.ndvi,
+      confidence: round(1 - observation.cloudCover / 100, 2),
+      status: this.classifyNDVI(observation.ndvi),
+      pixelCount: Math.max(1, Math.round(this.areaSize(location) / 100)),
+      averageNDVI: observation.ndvi,
+      indices: observation.indices || {},
+      minNDVI: round(Math.max(-1, observation.ndvi - 2 * PIXEL_SPREAD)),
+      maxNDVI: round(Math.min(1, observation.ndvi + 2 * PIXEL_SPREAD)),
+      satellite: this.satellite,
+      observedAt: observation.date,
+      sceneCount: candidates.length
+    };
+  }
+
+  async getTimeSeriesNDVI(location, startDate, endDate) {
+    return this.clearObservations(location, startDate, endDate).map(observation => ({
+      ...observation,
+      satellite: this.satellite
+    }));
+  }
+
+  // Zone shares assume pixel NDVI is normally distributed around the latest clear observation
+  async getAreaAnalysis(location, radius, date = Date.now()) {
+    const isPolygon = this.isPolygon(location);
+    const endDate = toDateString(date);
+    const recent = this.clearObservations(location, shiftDate(endDate, -2 * this.compositeWindowDays), endDate);
+    const latest = recent[recent.length - 1];
+
+    const shares = latest && {
+      severe: normalCdf((STRESS_ZONE_THRESHOLDS.severe - latest.ndvi) / PIXEL_SPREAD),
+      healthy: 1 - normalCdf((STRESS_ZONE_THRESHOLDS.healthy - latest.ndvi) / PIXEL_SPREAD)
+    };
+
+    return {
+      ...this.describeLocation(location),
+      radius: isPolygon ? undefined : radius,
+      areaSize: this.areaSize(location, radius),
+      averageNDVI: latest ? latest.ndvi : null,
+      satellite: this.satellite,
+      stressZones: this.buildStressZones(shares),
+      lastUpdated: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = FixtureProvider;
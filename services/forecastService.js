@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const NDVIData = require('../models/NDVIData');
+const NDVIForecast = require('../models/NDVIForecast');
+const Farm = require('../models/Farm');
+const ForecastAccuracy = require('../models/ForecastAccuracy');
+const cropCalendarService = require('./cropCalendarService');
+const { screenObservations } = require('../utils/ndviQuality');
+const { normalizeStressLevel } = require('../utils/stressClassification');
+const { backtest, calendarBaseline, scoreForecasts, toDay } = require('../utils/ndviForecast');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Forecast evaluation against the observations stored for a farm
+class ForecastService {
+  constructor() {
+    this.defaultHorizons = [7, 14, 30];
+    this.historyDays = 365;
+    // Lead-time buckets for scoring stored forecasts: up to 3 days, 4-7, 8-14 and 15-30
+    this.accuracyBuckets = [3, 7, 14, 30];
+    this.accuracyWindowDays = parseInt(process.env.FORECAST_ACCURACY_WINDOW_DAYS) || 90;
+    // A forecast is compared with the observation closest to its date within this many days
+    this.matchToleranceDays = 2;
+  }
+
+  // Crop type, planting date and calendar used by every forecast for the farm
+  async farmMetadata(farm) {
+    return {
+      cropType: farm.cropType,
+      plantingDate: farm.plantingDate,
+      calendar: await cropCalendarService.getCalendar(farm.cropType)
+    };
+  }
+
+  // Screened stored observations for the last `historyDays`
+  async loadObservations(farmId, historyDays = this.historyDays) {
+    const since = new Date(Date.now() - historyDays * 24 * 60 * 60 * 1000);
+    const stored = await NDVIData.find({ farm: farmId, ...NDVIData.OBSERVED, date: { $gte: since } })
+      .sort({ date: 1 })
+      .lean();
+
+    return screenObservations(stored);
+  }
+
+  // Rolling-origin backtest of the forecast model on a farm's stored history
+  async backtestFarm(farm, { horizons = this.defaultHorizons, historyDays = this.historyDays } = {}) {
+    const { observations, report } = await this.loadObservations(farm._id, historyDays);
+    const metadata = await this.farmMetadata(farm);
+
+    return {
+      farmId: farm._id,
+      cropType: farm.cropType,
+      ...backtest(observations, {
+        horizons,
+        baseline: calendarBaseline(metadata.calendar, metadata.plantingDate)
+      }),
+      observations: observations.length,
+      dataQuality: report
+    };
+  }
+
+  // Warn at startup while forecast points of earlier versions are still in NDVIData
+  async checkLegacyForecasts() {
+    // `forecast` is not in the NDVIData schema, so query the collection directly
+    const count = await NDVIData.collection.countDocuments({ forecast: true });
+
+    if (count > 0) {
+      console.warn(`⚠️ ${count} legacy forecast points are still in NDVIData; run migrations/move_ndvi_forecasts.js`);
+    }
+
+    return count;
+  }
+
+  // Store the points of a generated forecast (AIStressDetector.generateStressForecast) as one run
+  async storeForecastRun(farmId, forecast) {
+    if (!forecast?.forecast?.length) {
+      return null;
+    }
+
+    const runId = crypto.randomUUID();
+    const issuedAt = new Date();
+
+    await NDVIForecast.insertMany(forecast.forecast.map(point => ({
+      farm: farmId,
+      runId,
+      modelVersion: forecast.modelVersion,
+      method: forecast.method,
+      issuedAt,
+      date: new Date(point.date),
+      horizonDays: toDay(point.date) - toDay(issuedAt),
+      predictedNDVI: point.predictedNDVI,
+      lower80: point.lower80,
+      upper80: point.upper80,
+      lower95: point.lower95,
+      upper95: point.upper95,
+      expectedNDVI: point.expectedNDVI,
+      stressLevel: point.stressLevel,
+      growthStage: point.growthStage,
+      confidence: point.confidence
+    })));
+
+    return runId;
+  }
+
+  // Points of the farm's most recent forecast run, oldest date first
+  async getLatestForecast(farmId) {
+    const latest = await NDVIForecast.findOne({ farm: farmId }).sort({ issuedAt: -1 }).select('runId');
+    if (!latest) {
+      return null;
+    }
+
+    const points = await NDVIForecast.find({ runId: latest.runId }).sort({ date: 1 }).lean();
+    const [first] = points;
+
+    return {
+      runId: latest.runId,
+      modelVersion: first.modelVersion,
+      method: first.method,
+      issuedAt: first.issuedAt,
+      points: points.map(({ _id, __v, farm, runId, modelVersion, method, issuedAt, createdAt, ...point }) => point)
+    };
+  }
+
+  // Stored forecast points for dates in [since, until) from every run, with their lead time
+  async loadIssuedForecasts(farmId, since, until) {
+    const forecasts = await NDVIForecast.find({ farm: farmId, date: { $gte: since, $lt: until } })
+      .select('date predictedNDVI stressLevel horizonDays')
+      .lean();
+
+    return forecasts.map(forecast => ({
+      date: forecast.date,
+      ndvi: forecast.predictedNDVI,
+      stressLevel: normalizeStressLevel(forecast.stressLevel),
+      horizonDays: forecast.horizonDays
+    }));
+  }
+
+  // Forecast points of a farm paired with the closest screened observation
+  async matchFarmForecasts(farm, since, until) {
+    const forecasts = await this.loadIssuedForecasts(farm._id, since, until);
+    if (forecasts.length === 0) {
+      return [];
+    }
+
+    const tolerance = this.matchToleranceDays;
+    const stored = await NDVIData.find({
+      farm: farm._id,
+      ...NDVIData.OBSERVED,
+      date: { $gte: new Date(since.getTime() - tolerance * DAY_MS), $lt: new Date(until.getTime() + tolerance * DAY_MS) }
+    }).lean();
+    const { observations } = screenObservations(stored);
+    const stressByDate = new Map(stored.map(record => [record.date.getTime(), record.stressLevel]));
+    const samples = [];
+
+    forecasts.forEach(forecast => {
+      if (forecast.horizonDays < 1) return;
+
+      let closest = null;
+      observations.forEach(observation => {
+        const distance = Math.abs(toDay(observation.date) - toDay(forecast.date));
+        if (distance <= tolerance && (!closest || distance < closest.distance)) {
+          closest = { observation, distance };
+        }
+      });
+      if (!closest) return;
+
+      samples.push({
+        horizonDays: forecast.horizonDays,
+        predicted: forecast.ndvi,
+        observed: closest.observation.ndvi,
+        predictedStress: forecast.stressLevel,
+        observedStress: normalizeStressLevel(stressByDate.get(new Date(closest.observation.date).getTime()))
+      });
+    });
+
+    return samples;
+  }
+
+  // Replace the stored metrics of one farm (or, with farm null, one crop type)
+  async saveAccuracy({ farm = null, cropType }, metrics, period) {
+    const computedAt = new Date();
+
+    if (metrics.length > 0) {
+      await ForecastAccuracy.bulkWrite(metrics.map(metric => ({
+        updateOne: {
+          filter: { cropType, farm, horizonDays: metric.horizonDays },
+          update: { $set: { ...metric, ...period, computedAt } },
+          upsert: true
+        }
+      })));
+    }
+
+    await ForecastAccuracy.deleteMany({
+      cropType,
+      farm,
+      horizonDays: { $nin: metrics.map(metric => metric.horizonDays) }
+    });
+  }
+
+  // Score forecasts for dates in the last `accuracyWindowDays` against what was observed, per
+  // farm and per crop type
+  async computeAccuracy() {
+    const until = new Date(toDay(new Date()) * DAY_MS);
+    const since = new Date(until.getTime() - this.accuracyWindowDays * DAY_MS);
+    const period = { periodStart: since, periodEnd: until };
+    const farms = await Farm.find({ isActive: true }).select('cropType');
+    // Every crop of an active farm is saved, so one left without samples loses its old metrics
+    const byCrop = new Map(farms.map(farm => [farm.cropType, []]));
+    let farmsScored = 0;
+    let samplesScored = 0;
+
+    for (const farm of farms) {
+      try {
+        const samples = await this.matchFarmForecasts(farm, since, until);
+        await this.saveAccuracy({ farm: farm._id, cropType: farm.cropType }, scoreForecasts(samples, this.accuracyBuckets), period);
+
+        if (samples.length > 0) {
+          farmsScored++;
+          samplesScored += samples.length;
+          byCrop.get(farm.cropType).push(...samples);
+        }
+      } catch (error) {
+        console.error(`❌ Failed to score forecasts for farm ${farm._id}:`, error.message);
+      }
+    }
+
+    for (const [cropType, samples] of byCrop) {
+      await this.saveAccuracy({ cropType }, scoreForecasts(samples, this.accuracyBuckets), period);
+    }
+
+    // Crops no active farm grows any more
+    await ForecastAccuracy.deleteMany({ farm: null, cropType: { $nin: [...byCrop.keys()] } });
+
+    const cropTypes = [...byCrop].filter(([, samples]) => samples.length > 0).map(([cropType]) => cropType);
+
+    console.log(`📐 Scored ${samplesScored} forecast points across ${farmsScored} farms`);
+    return { success: true, farms: farms.length, farmsScored, samplesScored, cropTypes };
+  }
+
+  // Stored metrics for a farm, or per crop type (optionally one) when no farm is given
+  async getAccuracy({ farmId, cropType } = {}) {
+    const query = farmId ? { farm: farmId } : { farm: null, ...(cropType && { cropType }) };
+    return ForecastAccuracy.find(query).sort({ cropType: 1, horizonDays: 1 }).lean();
+  }
+}
+
+module.exports = new ForecastService();
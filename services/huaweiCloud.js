@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { classifyNDVI } = require('../utils/stressClassification');
 
 class HuaweiCloudService {
   constructor() {
@@ -56,10 +57,9 @@ class HuaweiCloudService {
     }
   }
 
+  // Kept for ModelArts callers; classification itself lives in utils/stressClassification
   detectStressType(ndvi) {
-    if (ndvi > 0.7) return 'healthy';
-    if (ndvi > 0.5) return 'moderate_stress';
-    return 'severe_stress';
+    return classifyNDVI(ndvi);
   }
 
   // GaussDB operations
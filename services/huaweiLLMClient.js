@@ -0,0 +1,98 @@
+const axios = require('axios');
+const OpenAICompatibleClient = require('./openAICompatibleClient');
+const { LLMError } = require('./llmClient');
+
+// IAM tokens are valid for 24 hours; renew well before that
+const IAM_TOKEN_TTL_MS = 23 * 60 * 60 * 1000;
+
+// Model served on Huawei Cloud ModelArts. Authenticates with an API key, or with an IAM token
+// obtained from the account credentials when no key is set.
+class HuaweiLLMClient extends OpenAICompatibleClient {
+  constructor() {
+    super('huawei_modelarts');
+    this.endpointUrl = process.env.HUAWEI_LLM_ENDPOINT;
+    this.apiKey = process.env.HUAWEI_LLM_API_KEY;
+    this.model = process.env.HUAWEI_LLM_MODEL || 'chatglm3-6b';
+    this.iamToken = null;
+    this.iamTokenExpiresAt = 0;
+  }
+
+  hasIAMCredentials() {
+    return Boolean(process.env.HUAWEI_ACCESS_KEY_ID && process.env.HUAWEI_SECRET_ACCESS_KEY && process.env.HUAWEI_REGION);
+  }
+
+  isConfigured() {
+    return Boolean(this.endpointUrl && (this.apiKey || this.hasIAMCredentials()));
+  }
+
+  get endpoint() {
+    return this.endpointUrl;
+  }
+
+  async getIAMToken() {
+    if (this.iamToken && this.iamTokenExpiresAt > Date.now()) {
+      return this.iamToken;
+    }
+
+    const response = await axios.post(
+      `https://iam.${process.env.HUAWEI_REGION}.myhuaweicloud.com/v3/auth/tokens`,
+      {
+        auth: {
+          identity: {
+            methods: ['password'],
+            password: {
+              user: {
+                name: process.env.HUAWEI_ACCESS_KEY_ID,
+                password: process.env.HUAWEI_SECRET_ACCESS_KEY,
+                domain: {
+                  name: 'HW_'
+                }
+              }
+            }
+          },
+          scope: {
+            project: {
+              name: process.env.HUAWEI_REGION
+            }
+          }
+        }
+      },
+      {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: this.timeoutMs
+      }
+    );
+
+    this.iamToken = response.headers['x-subject-token'];
+    this.iamTokenExpiresAt = Date.now() + IAM_TOKEN_TTL_MS;
+    return this.iamToken;
+  }
+
+  async getHeaders() {
+    if (this.apiKey) {
+      return super.getHeaders();
+    }
+
+    return {
+      'Content-Type': 'application/json',
+      'X-Auth-Token': await this.getIAMToken()
+    };
+  }
+
+  // ModelArts deployments do not all support response_format
+  buildRequest(options) {
+    const { response_format: responseFormat, ...request } = super.buildRequest(options);
+    return request;
+  }
+
+  // Chat completion format, or the result/content shapes of older ModelArts services
+  extractText(data) {
+    const text = data?.choices?.[0]?.message?.content ?? data?.result?.content ?? data?.content;
+    if (!text) {
+      throw new LLMError('invalid_response', 'ModelArts response has no message content', { retryable: true });
+    }
+    return text;
+  }
+}
+
+module.exports = HuaweiLLMClient;
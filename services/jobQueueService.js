@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const os = require('os');
+const Job = require('../models/Job');
+const JobTask = require('../models/JobTask');
+
+// MongoDB-backed work queue. Each instance runs up to `concurrency` tasks at a time; tasks are
+// claimed atomically, so several server instances can share the same queue.
+class JobQueueService {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.handlers = new Map();
+    this.concurrency = parseInt(process.env.JOB_QUEUE_CONCURRENCY) || 3;
+    this.maxAttempts = parseInt(process.env.JOB_QUEUE_MAX_ATTEMPTS) || 3;
+    this.retryBaseDelayMs = parseInt(process.env.JOB_QUEUE_RETRY_DELAY_MS) || 30 * 1000;
+    // A running task whose worker stops renewing within this window is handed to another worker
+    this.taskTimeoutMs = 10 * 60 * 1000;
+    this.heartbeatIntervalMs = this.taskTimeoutMs / 4;
+    this.pollIntervalMs = 2000;
+    this.active = 0;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  // Handler receives the task and returns its result; it may throw or return
+  // { success: false, error, retryable } to fail the attempt
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // Create a job with one task per item ({ farm, payload })
+  async enqueue(type, items, { requestedBy, params } = {}) {
+    const job = await new Job({
+      type,
+      params,
+      requestedBy,
+      total: items.length,
+      ...(items.length === 0 && { status: 'completed', finishedAt: new Date() })
+    }).save();
+
+    if (items.length > 0) {
+      await JobTask.insertMany(items.map(item => ({
+        job: job._id,
+        type,
+        farm: item.farm,
+        payload: item.payload,
+        maxAttempts: this.maxAttempts
+      })));
+    }
+
+    this.poll();
+    return job;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    console.log(`✅ Job queue started (concurrency ${this.concurrency}, instance ${this.instanceId})`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Fill free worker slots with claimable tasks
+  async poll() {
+    if (!this.timer || this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      await this.failExhaustedTasks();
+
+      while (this.active < this.concurrency) {
+        const task = await this.claimTask();
+        if (!task) {
+          break;
+        }
+
+        this.active++;
+        this.runTask(task).finally(() => {
+          this.active--;
+          this.poll();
+        });
+      }
+    } catch (error) {
+      console.error('❌ Job queue poll failed:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Pending tasks that are due, or running tasks abandoned by a crashed worker with attempts left
+  async claimTask() {
+    const now = new Date();
+
+    const task = await JobTask.findOneAndUpdate(
+      {
+        type: { $in: [...this.handlers.keys()] },
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'running', lockedUntil: { $lte: now } }
+        ],
+        $expr: { $lt: ['$attempts', '$maxAttempts'] }
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: this.instanceId,
+          lockedUntil: new Date(now.getTime() + this.taskTimeoutMs),
+          startedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+
+    if (task) {
+      await Job.updateOne(
+        { _id: task.job, status: 'queued' },
+        { status: 'running', startedAt: now }
+      );
+    }
+
+    return task;
+  }
+
+  // Abandoned running tasks whose last attempt was lost with its worker
+  async failExhaustedTasks() {
+    const now = new Date();
+    let task;
+
+    while ((task = await JobTask.findOneAndUpdate(
+      {
+        type: { $in: [...this.handlers.keys()] },
+        status: 'running',
+        lockedUntil: { $lte: now },
+        $expr: { $gte: ['$attempts', '$maxAttempts'] }
+      },
+      {
+        $set: { status: 'failed', finishedAt: now, lastError: 'Worker stopped during the last attempt' },
+        $unset: { lockedBy: 1, lockedUntil: 1 }
+      }
+    ))) {
+      await this.countOutcome(task, 'failed');
+    }
+  }
+
+  // Keep the claim on `task` while its handler runs
+  startHeartbeat(task) {
+    return setInterval(async () => {
+      try {
+        const renewed = await JobTask.updateOne(
+          { _id: task._id, lockedBy: this.instanceId, status: 'running' },
+          { $set: { lockedUntil: new Date(Date.now() + this.taskTimeoutMs) } }
+        );
+
+        if (renewed.matchedCount === 0) {
+          console.warn(`⚠️ Lost the lock on task ${task._id}; its result will be discarded`);
+        }
+      } catch (error) {
+        console.error(`❌ Failed to renew the lock on task ${task._id}:`, error.message);
+      }
+    }, this.heartbeatIntervalMs);
+  }
+
+  async runTask(task) {
+    const handler = this.handlers.get(task.type);
+    const heartbeat = this.startHeartbeat(task);
+    let result;
+    let error;
+
+    try {
+      result = await handler(task);
+      if (result && result.success === false) {
+        error = { message: result.error, retryable: Boolean(result.retryable) };
+      }
+    } catch (thrown) {
+      error = { message: thrown.message, retryable: true };
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    try {
+      if (!error) {
+        await this.completeTask(task, 'succeeded', { result });
+      } else if (error.retryable && task.attempts < task.maxAttempts) {
+        await this.scheduleRetry(task, error.message);
+      } else {
+        await this.completeTask(task, 'failed', { result, lastError: error.message });
+      }
+    } catch (saveError) {
+      console.error(`❌ Failed to record task ${task._id}:`, saveError.message);
+    }
+  }
+
+  // Exponential backoff: base, 2x base, 4x base, ...
+  async scheduleRetry(task, message) {
+    const delay = this.retryBaseDelayMs * 2 ** (task.attempts - 1);
+
+    await JobTask.updateOne(
+      { _id: task._id, lockedBy: this.instanceId, status: 'running' },
+      {
+        $set: {
+          status: 'pending',
+          lastError: message,
+          nextAttemptAt: new Date(Date.now() + delay)
+        },
+        $unset: { lockedBy: 1, lockedUntil: 1 }
+      }
+    );
+  }
+
+  async completeTask(task, status, fields) {
+    const updated = await JobTask.findOneAndUpdate(
+      { _id: task._id, lockedBy: this.instanceId, status: 'running' },
+      {
+        $set: { status, finishedAt: new Date(), ...fields },
+        $unset: { lockedBy: 1, lockedUntil: 1 }
+      }
+    );
+
+    // Another worker took the task over (or it was cancelled); it owns the outcome now
+    if (!updated) {
+      return;
+    }
+
+    await this.countOutcome(task, status);
+  }
+
+  async countOutcome(task, status) {
+    const job = await Job.findOneAndUpdate(
+      { _id: task.job },
+      { $inc: { processed: 1, [status]: 1 } },
+      { new: true }
+    );
+
+    if (job && job.status !== 'cancelled' && job.processed >= job.total) {
+      await Job.updateOne({ _id: job._id }, { status: 'completed', finishedAt: new Date() });
+    }
+  }
+
+  // Stop a job: tasks not yet started are dropped, running ones finish
+  async cancel(jobId) {
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, status: { $in: ['queued', 'running'] } },
+      { status: 'cancelled', finishedAt: new Date() },
+      { new: true }
+    );
+
+    if (job) {
+      await JobTask.updateMany({ job: job._id, status: 'pending' }, { status: 'cancelled' });
+    }
+
+    return job;
+  }
+
+  // Per-task results of a job, optionally filtered by task status
+  async getResults(jobId, { status, page = 1, limit = 50 } = {}) {
+    const query = { job: jobId };
+    if (status) {
+      query.status = status;
+    }
+
+    const [tasks, total] = await Promise.all([
+      JobTask.find(query)
+        .select('farm status attempts result lastError startedAt finishedAt')
+        .populate('farm', 'name cropType')
+        .sort({ createdAt: 1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      JobTask.countDocuments(query)
+    ]);
+
+    return {
+      results: tasks,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = new JobQueueService();
@@ -0,0 +1,171 @@
+const { validateSchema } = require('../utils/jsonSchema');
+
+// Why a call produced no usable answer; callers record it as the fallback reason
+const LLM_ERROR_REASONS = [
+  'not_configured',
+  'timeout',
+  'network_error',
+  'http_error',
+  'invalid_response',
+  'schema_validation'
+];
+
+class LLMError extends Error {
+  constructor(reason, message, { retryable = false, status } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.reason = reason;
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+// LLMError for a failed HTTP call (axios error)
+const fromHttpError = (error) => {
+  if (error instanceof LLMError) {
+    return error;
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new LLMError('timeout', 'LLM request timed out', { retryable: true });
+  }
+
+  const status = error.response?.status;
+  if (status) {
+    // Rate limits and server errors may pass; bad requests and auth failures will not
+    return new LLMError('http_error', `LLM request failed with status ${status}`, {
+      retryable: status === 429 || status >= 500,
+      status
+    });
+  }
+
+  return new LLMError('network_error', `LLM request failed: ${error.message}`, { retryable: true });
+};
+
+// First JSON object in a completion; models sometimes wrap it in prose or a code fence
+const extractJSON = (text) => {
+  if (typeof text !== 'string') {
+    throw new LLMError('invalid_response', 'LLM returned no text', { retryable: true });
+  }
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new LLMError('invalid_response', 'LLM response contains no JSON object', { retryable: true });
+  }
+
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new LLMError('invalid_response', `LLM response is not valid JSON: ${error.message}`, { retryable: true });
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Base class for LLM backends. Providers implement:
+ *
+ *   isConfigured()                                       -> boolean
+ *   complete({ system, prompt, input, maxTokens, temperature }) -> completion text
+ *
+ * `input` carries the structured facts the prompt was built from; remote models ignore it.
+ * generateJSON() adds JSON extraction, schema validation and bounded retries on top.
+ */
+class LLMClient {
+  constructor(name) {
+    this.name = name;
+    this.model = null;
+    this.timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS) || 30000;
+    this.maxAttempts = parseInt(process.env.LLM_MAX_ATTEMPTS) || 3;
+    this.retryDelayMs = parseInt(process.env.LLM_RETRY_DELAY_MS) || 1000;
+  }
+
+  isConfigured() {
+    return false;
+  }
+
+  async complete() {
+    throw new Error(`${this.name} LLM client does not implement complete`);
+  }
+
+  // Completion parsed as JSON and validated against `schema`. Returns
+  // { data, source, model, attempts }; throws an LLMError once attempts are exhausted.
+  async generateJSON({ system, prompt, schema, input, maxTokens = 500, temperature = 0.3 }) {
+    if (!this.isConfigured()) {
+      throw new LLMError('not_configured', `${this.name} LLM client is not configured`);
+    }
+
+    let lastError;
+    let attempt = 0;
+
+    while (attempt < this.maxAttempts) {
+      attempt++;
+
+      try {
+        const text = await this.complete({ system, prompt, input, maxTokens, temperature });
+        const data = extractJSON(text);
+        const errors = validateSchema(data, schema);
+
+        if (errors.length > 0) {
+          throw new LLMError('schema_validation', `LLM response does not match schema: ${errors.slice(0, 3).join('; ')}`, {
+            retryable: true
+          });
+        }
+
+        return { data, source: this.name, model: this.model, attempts: attempt };
+      } catch (error) {
+        lastError = fromHttpError(error);
+        console.error(`⚠️ ${this.name} LLM attempt ${attempt}/${this.maxAttempts} failed (${lastError.reason}): ${lastError.message}`);
+
+        if (!lastError.retryable) {
+          break;
+        }
+        if (attempt < this.maxAttempts) {
+          await sleep(this.retryDelayMs * 2 ** (attempt - 1));
+        }
+      }
+    }
+
+    lastError.attempts = attempt;
+    throw lastError;
+  }
+}
+
+const CLIENTS = {
+  huawei_modelarts: () => new (require('./huaweiLLMClient'))(),
+  openai: () => new (require('./openAICompatibleClient'))(),
+  local: () => new (require('./localLLMClient'))()
+};
+
+// LLM_PROVIDER=huawei_modelarts|openai|local; tests default to the local stand-in
+const createLLMClient = (name = process.env.LLM_PROVIDER) => {
+  const resolvedName = name || (process.env.NODE_ENV === 'test' ? 'local' : 'huawei_modelarts');
+
+  if (!CLIENTS[resolvedName]) {
+    throw new Error(`Unknown LLM provider: ${resolvedName}`);
+  }
+
+  return CLIENTS[resolvedName]();
+};
+
+let activeClient = null;
+
+// Client shared by the services of this process
+const getLLMClient = () => {
+  if (!activeClient) {
+    activeClient = createLLMClient();
+    console.log(`🧠 Using ${activeClient.name} LLM client${activeClient.isConfigured() ? '' : ' (not configured)'}`);
+  }
+  return activeClient;
+};
+
+module.exports = {
+  LLM_ERROR_REASONS,
+  LLMError,
+  LLMClient,
+  fromHttpError,
+  extractJSON,
+  createLLMClient,
+  getLLMClient
+};
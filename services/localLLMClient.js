@@ -0,0 +1,53 @@
+const { LLMClient } = require('./llmClient');
+const { t } = require('../utils/i18n');
+const {
+  classifyStress,
+  maxStressLevel,
+  upgradeStressLevel
+} = require('../utils/stressClassification');
+
+// Confidence of the canned answers per stress level; their text is in the message catalogs
+// (standIn.<level>), in the shape the stress analysis prompt asks for
+const STAND_IN_CONFIDENCE = { severe: 0.95, high: 0.85, moderate: 0.75, low: 0.8, healthy: 0.9 };
+
+// Deterministic stand-in for a language model, for development and tests without model access.
+// It answers from the structured `input` rather than the prompt text; results carry
+// source 'local' so they are never mistaken for a real model's answer.
+class LocalLLMClient extends LLMClient {
+  constructor() {
+    super('local');
+    this.model = 'local-stand-in';
+    this.maxAttempts = 1;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async complete({ input = {} }) {
+    const { latestNDVI = 0, trend = 0, growthStage = null, stressFactors = [], cropType = 'unknown', language } = input;
+
+    let { stressLevel } = classifyStress(latestNDVI, { calendarAssessment: growthStage });
+    stressFactors.forEach(factor => {
+      stressLevel = maxStressLevel(stressLevel, factor.stressLevel);
+    });
+    if (trend < -0.05) {
+      stressLevel = upgradeStressLevel(stressLevel);
+    }
+
+    return JSON.stringify({
+      stressLevel,
+      stressType: stressFactors[0]?.type || (stressLevel === 'healthy' ? 'none' : 'other'),
+      confidence: STAND_IN_CONFIDENCE[stressLevel],
+      recommendations: t(language, `standIn.${stressLevel}.recommendations`),
+      analysis: t(language, 'standIn.summary', {
+        crop: cropType,
+        ndvi: latestNDVI.toFixed(3),
+        analysis: t(language, `standIn.${stressLevel}.analysis`)
+      }),
+      riskFactors: t(language, `standIn.${stressLevel}.riskFactors`)
+    });
+  }
+}
+
+module.exports = LocalLLMClient;
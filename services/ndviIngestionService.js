@@ -0,0 +1,164 @@
+const Farm = require('../models/Farm');
+const NDVIData = require('../models/NDVIData');
+const { getSatelliteProvider, toDateString, shiftDate } = require('./satelliteProvider');
+const { assessObservation } = require('../utils/ndviQuality');
+const { assessAgainstCalendar } = require('../utils/cropCalendar');
+const cropCalendarService = require('./cropCalendarService');
+const { classifyStress } = require('../utils/stressClassification');
+
+// Providers leave measures they cannot compute undefined; keep them out of the stored document
+const definedFields = (object = {}) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined && value !== null)
+);
+
+class NDVIIngestionService {
+  constructor() {
+    this.provider = getSatelliteProvider();
+    // Upper bound on history pulled for a farm with no stored observations
+    this.maxBackfillDays = parseInt(process.env.NDVI_BACKFILL_MAX_DAYS) || 365;
+    this.running = false;
+  }
+
+  // Planting date, limited to the backfill window
+  getBackfillStartDate(farm) {
+    const earliestAllowed = shiftDate(Date.now(), -this.maxBackfillDays);
+    const plantingDate = farm.plantingDate ? toDateString(farm.plantingDate) : earliestAllowed;
+
+    return plantingDate > earliestAllowed ? plantingDate : earliestAllowed;
+  }
+
+  // First date to request: the day after the latest stored observation, else the planting date
+  async getStartDate(farm) {
+    const latest = await NDVIData.findOne({ farm: farm._id, ...NDVIData.OBSERVED })
+      .sort({ date: -1 })
+      .select('date');
+
+    return latest ? shiftDate(latest.date, 1) : this.getBackfillStartDate(farm);
+  }
+
+  // Pull new observations for one farm and store those not already recorded
+  async ingestFarm(farm, options = {}) {
+    const startDate = options.startDate || await this.getStartDate(farm);
+    const endDate = options.endDate || toDateString(Date.now());
+
+    if (startDate > endDate) {
+      return { farmId: farm._id, startDate, endDate, fetched: 0, inserted: 0 };
+    }
+
+    const observations = await this.provider.getTimeSeriesNDVI(farm.getGeometry(), startDate, endDate);
+    const coordinates = `${farm.coordinates.longitude},${farm.coordinates.latitude}`;
+    const calendar = await cropCalendarService.getCalendar(farm.cropType);
+
+    const documents = observations
+      .filter(observation => Number.isFinite(observation.ndvi))
+      .map(observation => {
+        const date = new Date(observation.date);
+        const { stressLevel, ruleset } = classifyStress(observation.ndvi, {
+          calendarAssessment: assessAgainstCalendar(observation.ndvi, calendar, farm.plantingDate, date)
+        });
+
+        return {
+          farm: farm._id,
+          date,
+          satellite: observation.satellite || this.provider.satellite,
+          ndvi: observation.ndvi,
+          indices: definedFields(observation.indices),
+          coordinates,
+          cloudCover: observation.cloudCover ?? 0,
+          // Flags are recorded for display; analysis re-assesses against current thresholds
+          quality: {
+            ...definedFields(observation.quality),
+            flags: assessObservation(observation).flags
+          },
+          stressLevel,
+          stressRuleset: ruleset
+        };
+      });
+
+    // bulkWrite upserts bypass schema validation; check each document against NDVIData first
+    const valid = documents.filter(document => {
+      const error = new NDVIData(document).validateSync();
+      if (error) {
+        console.warn(`⚠️ Skipping invalid NDVI observation of farm ${farm._id} on ${toDateString(document.date)}: ${error.message}`);
+      }
+      return !error;
+    });
+
+    const operations = valid.map(document => ({
+      updateOne: {
+        filter: { farm: document.farm, date: document.date, satellite: document.satellite, ...NDVIData.OBSERVED },
+        update: { $setOnInsert: document },
+        upsert: true
+      }
+    }));
+
+    // A concurrent run may insert the same observation first; the unique index keeps one copy.
+    // A legacy forecast point never stands in for an observation, but it holds the same key until
+    // migrations/move_ndvi_forecasts.js moves it, so that observation is skipped too.
+    const result = operations.length > 0
+      ? await NDVIData.bulkWrite(operations, { ordered: false }).catch(error => {
+        if (error.code === 11000 && error.result) return error.result;
+        throw error;
+      })
+      : { upsertedCount: 0 };
+
+    return {
+      farmId: farm._id,
+      startDate,
+      endDate,
+      fetched: observations.length,
+      rejected: documents.length - valid.length,
+      inserted: result.upsertedCount
+    };
+  }
+
+  // Full history from the planting date, used when a farm is registered
+  async backfillFarm(farm) {
+    const result = await this.ingestFarm(farm, { startDate: this.getBackfillStartDate(farm) });
+
+    console.log(`🛰️  Backfilled ${result.inserted} NDVI observations for farm ${farm._id}`);
+    return result;
+  }
+
+  // Ingest new observations for every active farm (the ndvi-ingestion scheduled job)
+  async ingestAllFarms() {
+    if (this.running) {
+      return { success: false, error: 'Ingestion already in progress' };
+    }
+
+    this.running = true;
+
+    try {
+      console.log('🛰️  Starting NDVI ingestion for all farms...');
+
+      const farms = await Farm.find({ isActive: true });
+      const results = [];
+
+      for (const farm of farms) {
+        try {
+          results.push({ success: true, ...await this.ingestFarm(farm) });
+        } catch (error) {
+          console.error(`❌ NDVI ingestion failed for farm ${farm._id}:`, error.message);
+          results.push({ success: false, farmId: farm._id, error: error.message });
+        }
+      }
+
+      const summary = {
+        totalFarms: farms.length,
+        succeeded: results.filter(r => r.success).length,
+        failed: results.filter(r => !r.success).length,
+        observationsInserted: results.reduce((sum, r) => sum + (r.inserted || 0), 0),
+        observationsRejected: results.reduce((sum, r) => sum + (r.rejected || 0), 0),
+        provider: this.provider.name,
+        timestamp: new Date().toISOString()
+      };
+
+      console.log('✅ NDVI ingestion completed:', summary);
+      return { success: true, summary, results };
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = NDVIIngestionService;
@@ -0,0 +1,166 @@
+const User = require('../models/User');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const SMSService = require('./smsService');
+const EmailService = require('./emailService');
+const PushService = require('./pushService');
+
+// Channels per alert urgency (utils/alertPolicy.js). Every `primary` channel the user can
+// receive is sent; the `fallback` channels are tried in order only when none of them delivered.
+// The in-app inbox always gets the alert.
+const CHANNEL_POLICY = {
+  critical: { primary: ['sms', 'push', 'email'], fallback: [] },
+  high: { primary: ['sms', 'push'], fallback: ['email'] },
+  medium: { primary: ['push'], fallback: ['sms', 'email'] },
+  low: { primary: ['push'], fallback: ['email'] }
+};
+
+// Sends a user's notifications over the channels their preferences and the urgency call for,
+// recording one NotificationDelivery per channel tried
+class NotificationDispatcher {
+  constructor() {
+    this.smsService = new SMSService();
+    this.emailService = new EmailService();
+    this.pushService = new PushService();
+
+    // Channel adapters: canReceive(user) and send(user, notification, context) -> { success, messageId, error }
+    this.channels = {
+      sms: {
+        canReceive: (user) => this.smsService.isConfigured() &&
+          Boolean(user.phoneVerified && user.preferences?.notifications?.sms),
+        send: (user, notification) => this.sendSMS(user, notification)
+      },
+      email: {
+        canReceive: (user) => this.emailService.isConfigured() &&
+          Boolean(user.email && user.preferences?.notifications?.email),
+        send: (user, notification) => this.emailService.sendEmail(user.email, notification.title, notification.body)
+      },
+      push: {
+        canReceive: (user) => this.pushService.isConfigured() &&
+          Boolean(user.preferences?.notifications?.push && user.pushTokens?.length),
+        send: (user, notification) => this.sendPush(user, notification)
+      },
+      in_app: {
+        // The stored Alert is the inbox entry (GET /api/alerts/my-alerts); without one there is none
+        canReceive: () => true,
+        send: async (user, notification, { alertId }) => (
+          alertId ? { success: true } : { success: false, error: 'Alert record was not stored' }
+        )
+      }
+    };
+  }
+
+  // Channels that would be tried for `user` at `urgency`, before any fallback
+  planChannels(user, urgency) {
+    const policy = CHANNEL_POLICY[urgency] || CHANNEL_POLICY.medium;
+    const primary = policy.primary.filter(channel => this.channels[channel].canReceive(user));
+    const fallback = policy.fallback.filter(channel => !primary.includes(channel) && this.channels[channel].canReceive(user));
+
+    return { primary, fallback };
+  }
+
+  // Deliver `notification` ({ title, body, summary, sms, urgency, data }) to `user`; `sms` is the
+  // short text for SMS, which gets `body` when it is missing. Resolves to
+  // { success, delivered, channels, deliveries }: `channels` lists the channels that delivered,
+  // `success` is true when any did and `delivered` when the user was actually reached: by an
+  // SMS, email or push channel, or by the inbox alone when they receive none of those.
+  async dispatch(user, notification, { alertId, farmId } = {}) {
+    const { primary, fallback } = this.planChannels(user, notification.urgency);
+    const deliveries = [];
+
+    const attempt = async (channel, isFallback) => {
+      let result;
+      try {
+        result = await this.channels[channel].send(user, notification, { alertId, farmId });
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+
+      deliveries.push({ channel, fallback: isFallback, success: result.success, error: result.error });
+      await this.recordDelivery({ user, alertId, farmId, channel, urgency: notification.urgency, fallback: isFallback, result });
+      return result.success;
+    };
+
+    const sent = await Promise.all(primary.map(channel => attempt(channel, false)));
+
+    if (!sent.some(Boolean)) {
+      for (const channel of fallback) {
+        if (await attempt(channel, true)) break;
+      }
+    }
+
+    await attempt('in_app', false);
+
+    // Policy order, whichever channel answered first
+    const order = [...primary, ...fallback, 'in_app'];
+    deliveries.sort((a, b) => order.indexOf(a.channel) - order.indexOf(b.channel));
+
+    const external = deliveries.filter(delivery => delivery.channel !== 'in_app');
+    const delivered = external.length > 0
+      ? external.some(delivery => delivery.success)
+      : deliveries.some(delivery => delivery.success);
+
+    return {
+      success: deliveries.some(delivery => delivery.success),
+      delivered,
+      channels: deliveries.filter(delivery => delivery.success).map(delivery => delivery.channel),
+      deliveries
+    };
+  }
+
+  async sendSMS(user, notification) {
+    const phoneNumber = this.smsService.formatPhoneNumber(user.phoneNumber || '');
+    if (!phoneNumber) {
+      return { success: false, error: 'Invalid phone number' };
+    }
+
+    return this.smsService.createCustomAlert(phoneNumber, notification.sms || notification.body, notification.urgency);
+  }
+
+  async sendPush(user, notification) {
+    const result = await this.pushService.sendToDevices(
+      user.pushTokens.map(pushToken => pushToken.token),
+      {
+        title: notification.title,
+        body: notification.summary || notification.body,
+        data: notification.data,
+        urgent: ['critical', 'high'].includes(notification.urgency)
+      }
+    );
+
+    // Uninstalled apps and expired browser subscriptions
+    if (result.staleTokens.length > 0) {
+      await User.updateOne(
+        { _id: user._id },
+        { $pull: { pushTokens: { token: { $in: result.staleTokens } } } }
+      );
+    }
+
+    return result;
+  }
+
+  async recordDelivery({ user, alertId, farmId, channel, urgency, fallback, result }) {
+    try {
+      await NotificationDelivery.create({
+        alert: alertId,
+        user: user._id,
+        farm: farmId,
+        channel,
+        status: result.success ? 'sent' : 'failed',
+        urgency,
+        fallback,
+        providerMessageId: result.messageId,
+        error: result.error,
+        sentAt: result.success ? new Date() : undefined
+      });
+    } catch (error) {
+      console.error(`❌ Failed to record ${channel} delivery:`, error.message);
+    }
+  }
+
+  // Delivery rows of an alert, in the order they were tried
+  async getDeliveries(alertId) {
+    return NotificationDelivery.find({ alert: alertId }).sort({ createdAt: 1 });
+  }
+}
+
+module.exports = new NotificationDispatcher();
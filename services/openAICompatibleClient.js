@@ -0,0 +1,60 @@
+const axios = require('axios');
+const { LLMClient, LLMError } = require('./llmClient');
+
+// Chat completions API of OpenAI or any compatible server (vLLM, Ollama, llama.cpp, ...)
+class OpenAICompatibleClient extends LLMClient {
+  constructor(name = 'openai') {
+    super(name);
+    this.baseUrl = (process.env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+    this.apiKey = process.env.LLM_API_KEY;
+    this.model = process.env.LLM_MODEL || 'gpt-4o-mini';
+  }
+
+  // Local servers usually accept requests without a key; the hosted API does not
+  isConfigured() {
+    return Boolean(this.model && (this.apiKey || !this.baseUrl.startsWith('https://api.openai.com')));
+  }
+
+  get endpoint() {
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  async getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+    };
+  }
+
+  buildRequest({ system, prompt, maxTokens, temperature }) {
+    return {
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      max_tokens: maxTokens,
+      temperature,
+      response_format: { type: 'json_object' }
+    };
+  }
+
+  extractText(data) {
+    const text = data?.choices?.[0]?.message?.content;
+    if (!text) {
+      throw new LLMError('invalid_response', 'LLM response has no message content', { retryable: true });
+    }
+    return text;
+  }
+
+  async complete(options) {
+    const response = await axios.post(this.endpoint, this.buildRequest(options), {
+      headers: await this.getHeaders(),
+      timeout: this.timeoutMs
+    });
+
+    return this.extractText(response.data);
+  }
+}
+
+module.exports = OpenAICompatibleClient;
@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const AlertService = require('./alertService');
+const EmailService = require('./emailService');
+const OTPService = require('./otpService');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Farm = require('../models/Farm');
+const NDVIData = require('../models/NDVIData');
+const {
+  STRESS_LEVELS,
+  normalizeStressLevel,
+  compareStressLevels,
+  isAtLeast
+} = require('../utils/stressClassification');
+
+class OrganizationService {
+  constructor() {
+    this.alertService = new AlertService();
+    this.emailService = new EmailService();
+    this.otpService = new OTPService();
+  }
+
+  // Create farmer accounts for an organization; each row succeeds or fails on its own
+  async bulkOnboardFarmers(organization, farmers) {
+    const results = [];
+
+    for (const [index, farmer] of farmers.entries()) {
+      const { username, email, fullName, phoneNumber } = farmer;
+
+      if (!username || !email || !fullName) {
+        results.push({ index, email, success: false, error: 'Username, email, and full name are required' });
+        continue;
+      }
+
+      try {
+        const existingUser = await User.findOne({
+          $or: [{ email: email.toLowerCase().trim() }, { username }]
+        });
+
+        if (existingUser) {
+          results.push({ index, email, success: false, error: 'User with this email or username already exists' });
+          continue;
+        }
+
+        // Without a password of their own, farmers choose one with a password reset code; the
+        // random one is never shown to anyone
+        const user = await new User({
+          username,
+          email,
+          password: farmer.password || crypto.randomBytes(24).toString('base64url'),
+          fullName,
+          phoneNumber,
+          role: 'farmer',
+          organization: organization._id
+        }).save();
+
+        let passwordSetup;
+        if (!farmer.password) {
+          const delivery = await this.otpService.requestCode(user, 'password_reset');
+          passwordSetup = delivery.success
+            ? { codeSent: true, channel: delivery.channel }
+            : { codeSent: false, error: delivery.error };
+        }
+
+        results.push({
+          index,
+          email: user.email,
+          success: true,
+          userId: user._id,
+          ...(passwordSetup && { passwordSetup })
+        });
+      } catch (error) {
+        results.push({ index, email, success: false, error: error.message });
+      }
+    }
+
+    return {
+      total: farmers.length,
+      created: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length,
+      results
+    };
+  }
+
+  // Aggregate the latest stress level of every farm in the organization
+  async buildStressReport(organization, days = 7) {
+    const farms = await Farm.find({ organization: organization._id, isActive: true })
+      .populate('owner', 'fullName phoneNumber');
+    const farmIds = farms.map(farm => farm._id);
+
+    const latestReadings = await NDVIData.aggregate([
+      { $match: { farm: { $in: farmIds }, ...NDVIData.OBSERVED } },
+      { $sort: { date: -1 } },
+      {
+        $group: {
+          _id: '$farm',
+          ndvi: { $first: '$ndvi' },
+          stressLevel: { $first: '$stressLevel' },
+          date: { $first: '$date' }
+        }
+      }
+    ]);
+
+    const readingsByFarm = new Map(latestReadings.map(reading => [reading._id.toString(), reading]));
+
+    const byStressLevel = {};
+    const byCropType = {};
+    const stressedFarms = [];
+    let farmsWithoutData = 0;
+
+    farms.forEach(farm => {
+      const reading = readingsByFarm.get(farm._id.toString());
+
+      byCropType[farm.cropType] = byCropType[farm.cropType] || { farms: 0, area: 0, stressed: 0 };
+      byCropType[farm.cropType].farms++;
+      byCropType[farm.cropType].area += farm.area;
+
+      if (!reading) {
+        farmsWithoutData++;
+        return;
+      }
+
+      // Records stored before the stress vocabulary was unified may still carry legacy labels
+      const stressLevel = normalizeStressLevel(reading.stressLevel) || 'healthy';
+      byStressLevel[stressLevel] = (byStressLevel[stressLevel] || 0) + 1;
+
+      if (isAtLeast(stressLevel, 'moderate')) {
+        byCropType[farm.cropType].stressed++;
+        stressedFarms.push({
+          farmId: farm._id,
+          farmName: farm.name,
+          owner: farm.owner?.fullName,
+          cropType: farm.cropType,
+          area: farm.area,
+          ndvi: reading.ndvi,
+          stressLevel,
+          observedAt: reading.date
+        });
+      }
+    });
+
+    stressedFarms.sort((a, b) => compareStressLevels(b.stressLevel, a.stressLevel));
+
+    const memberCount = await User.countDocuments({ organization: organization._id, isActive: true });
+    const alertStatistics = await this.alertService.getAlertStatistics(days, null, farmIds);
+
+    return {
+      organization: {
+        id: organization._id,
+        name: organization.name,
+        type: organization.type
+      },
+      periodDays: days,
+      members: memberCount,
+      totalFarms: farms.length,
+      totalArea: farms.reduce((sum, farm) => sum + farm.area, 0),
+      farmsWithoutData,
+      byStressLevel,
+      byCropType,
+      stressedFarms,
+      alertStatistics,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  // Plain-text summary used in report emails
+  formatStressReport(report) {
+    let text = `FarmSight stress report for ${report.organization.name}\n`;
+    text += `Period: last ${report.periodDays} days\n\n`;
+    text += `Farms: ${report.totalFarms} (${report.totalArea.toFixed(1)} ha), members: ${report.members}\n`;
+    text += `Farms without satellite data: ${report.farmsWithoutData}\n\n`;
+
+    text += `Latest stress levels:\n`;
+    STRESS_LEVELS.forEach(level => {
+      if (report.byStressLevel[level]) {
+        text += `• ${level}: ${report.byStressLevel[level]}\n`;
+      }
+    });
+
+    if (report.stressedFarms.length > 0) {
+      text += `\nFarms needing attention:\n`;
+      report.stressedFarms.slice(0, 20).forEach(farm => {
+        text += `• ${farm.farmName} (${farm.cropType}, ${farm.owner || 'unknown owner'}): ${farm.stressLevel}, NDVI ${farm.ndvi.toFixed(3)}\n`;
+      });
+    }
+
+    text += `\nAlerts sent: ${report.alertStatistics.totalAlerts || 0}, unacknowledged: ${report.alertStatistics.unacknowledged || 0}\n`;
+    return text;
+  }
+
+  // Email the aggregated report to every org admin of the organization
+  async sendStressReport(organization) {
+    const report = await this.buildStressReport(organization, organization.reportSettings?.reportDays || 7);
+    const admins = await User.find({ organization: organization._id, role: 'org_admin', isActive: true });
+
+    const subject = `FarmSight stress report: ${organization.name}`;
+    const text = this.formatStressReport(report);
+
+    const deliveries = [];
+    for (const admin of admins) {
+      const result = await this.emailService.sendEmail(admin.email, subject, text);
+      deliveries.push({ userId: admin._id, email: admin.email, ...result });
+    }
+
+    return {
+      report,
+      sent: deliveries.filter(d => d.success).length,
+      deliveries
+    };
+  }
+
+  // Send the stress report of every organization whose reportDays have passed since its last one
+  async sendDueStressReports(now = new Date()) {
+    const organizations = await Organization.find({ isActive: true, 'reportSettings.emailReports': { $ne: false } });
+    const summary = { organizations: organizations.length, sent: 0, skipped: 0, failed: 0 };
+
+    for (const organization of organizations) {
+      const periodMs = (organization.reportSettings?.reportDays || 7) * 24 * 60 * 60 * 1000;
+      const lastSentAt = organization.reportSettings?.lastSentAt;
+
+      // An hour of slack so a daily job that starts a little early still sends on time
+      if (lastSentAt && now - lastSentAt < periodMs - 60 * 60 * 1000) {
+        summary.skipped++;
+        continue;
+      }
+
+      try {
+        const { sent } = await this.sendStressReport(organization);
+
+        if (sent > 0) {
+          await Organization.updateOne({ _id: organization._id }, { 'reportSettings.lastSentAt': now });
+          summary.sent++;
+        } else {
+          console.warn(`⚠️ Stress report of organization ${organization.name} reached no admin`);
+          summary.failed++;
+        }
+      } catch (error) {
+        console.error(`❌ Failed to send stress report of organization ${organization.name}:`, error.message);
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = OrganizationService;
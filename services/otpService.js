@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const SMSService = require('./smsService');
+const EmailService = require('./emailService');
+const OneTimeCode = require('../models/OneTimeCode');
+const { t } = require('../utils/i18n');
+
+class OTPService {
+  constructor() {
+    this.smsService = new SMSService();
+    this.emailService = new EmailService();
+    this.codeLength = 6;
+    this.expiryMinutes = parseInt(process.env.OTP_EXPIRY_MINUTES || 10);
+    this.maxAttempts = parseInt(process.env.OTP_MAX_ATTEMPTS || 5);
+    this.resendInterval = parseInt(process.env.OTP_RESEND_SECONDS || 60) * 1000;
+  }
+
+  generateCode() {
+    return crypto.randomInt(0, 10 ** this.codeLength).toString().padStart(this.codeLength, '0');
+  }
+
+  hashCode(code) {
+    return crypto.createHash('sha256').update(String(code)).digest('hex');
+  }
+
+  // Phone verification must go over SMS; password reset prefers a verified phone, then email
+  getChannels(user, purpose) {
+    if (purpose === 'phone_verification') {
+      return ['sms'];
+    }
+
+    return user.phoneVerified ? ['sms', 'email'] : ['email'];
+  }
+
+  // Send via the first channel that succeeds, in the user's preferred language
+  async deliverCode(user, purpose, code) {
+    const language = user.preferences?.language;
+    const label = t(language, `otp.purposes.${purpose}`);
+    const message = t(language, 'otp.message', { purpose: label, code, minutes: this.expiryMinutes });
+
+    for (const channel of this.getChannels(user, purpose)) {
+      let result;
+      let destination;
+
+      if (channel === 'sms') {
+        destination = user.phoneNumber ? this.smsService.formatPhoneNumber(user.phoneNumber) : null;
+        result = destination
+          ? await this.smsService.createCustomAlert(destination, message, 'high')
+          : { success: false, error: 'Invalid phone number' };
+      } else {
+        destination = user.email;
+        result = await this.emailService.sendEmail(destination, t(language, 'otp.subject', { purpose: label }), message);
+      }
+
+      if (result.success) {
+        return { success: true, channel, destination };
+      }
+
+      console.warn(`⚠️ OTP delivery via ${channel} failed for user ${user._id}: ${result.error}`);
+    }
+
+    return { success: false, error: 'Unable to deliver verification code' };
+  }
+
+  // Issue a new code, replacing any pending code for the same purpose
+  async requestCode(user, purpose) {
+    const latest = await OneTimeCode.findOne({ user: user._id, purpose }).sort({ createdAt: -1 });
+
+    if (latest && Date.now() - latest.createdAt.getTime() < this.resendInterval) {
+      return {
+        success: false,
+        error: 'Please wait before requesting another code',
+        retryAfter: Math.ceil((this.resendInterval - (Date.now() - latest.createdAt.getTime())) / 1000)
+      };
+    }
+
+    const code = this.generateCode();
+    const delivery = await this.deliverCode(user, purpose, code);
+
+    if (!delivery.success) {
+      return delivery;
+    }
+
+    await OneTimeCode.deleteMany({ user: user._id, purpose, consumedAt: null });
+    await OneTimeCode.create({
+      user: user._id,
+      purpose,
+      codeHash: this.hashCode(code),
+      channel: delivery.channel,
+      destination: delivery.destination,
+      maxAttempts: this.maxAttempts,
+      expiresAt: new Date(Date.now() + this.expiryMinutes * 60 * 1000)
+    });
+
+    return {
+      success: true,
+      channel: delivery.channel,
+      expiresInMinutes: this.expiryMinutes
+    };
+  }
+
+  // Check a code; each wrong guess counts toward the attempt limit. Both the attempt count and
+  // consuming the code are conditional updates, so parallel guesses cannot get past the limit.
+  async verifyCode(user, purpose, code) {
+    const otp = await OneTimeCode.findOne({ user: user._id, purpose, consumedAt: null })
+      .sort({ createdAt: -1 });
+
+    if (!otp || !otp.isUsable()) {
+      return { success: false, error: 'Code expired or not found. Please request a new one.' };
+    }
+
+    const usable = {
+      _id: otp._id,
+      consumedAt: null,
+      attempts: { $lt: otp.maxAttempts },
+      expiresAt: { $gt: new Date() }
+    };
+
+    const expected = Buffer.from(otp.codeHash, 'hex');
+    const actual = Buffer.from(this.hashCode(code), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      const counted = await OneTimeCode.findOneAndUpdate(usable, { $inc: { attempts: 1 } }, { new: true });
+
+      if (!counted) {
+        return { success: false, error: 'Code expired or not found. Please request a new one.' };
+      }
+
+      return {
+        success: false,
+        error: 'Invalid code',
+        attemptsRemaining: Math.max(0, counted.maxAttempts - counted.attempts)
+      };
+    }
+
+    const consumed = await OneTimeCode.findOneAndUpdate(usable, { $set: { consumedAt: new Date() } }, { new: true });
+
+    if (!consumed) {
+      return { success: false, error: 'Code expired or not found. Please request a new one.' };
+    }
+
+    return { success: true, destination: consumed.destination };
+  }
+}
+
+module.exports = OTPService;
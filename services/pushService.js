@@ -0,0 +1,149 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+// Whether an FCM error means the device token will never work again: the app was uninstalled
+// (UNREGISTERED), or the request was rejected for the token itself. Other INVALID_ARGUMENT
+// errors are payload bugs and say nothing about the token.
+const isStaleTokenError = (error = {}) => {
+  const details = error.details || [];
+  const errorCode = details.find(detail => detail.errorCode)?.errorCode;
+
+  if (errorCode === 'UNREGISTERED') {
+    return true;
+  }
+
+  return errorCode === 'INVALID_ARGUMENT' && details.some(detail => (
+    (detail.fieldViolations || []).some(violation => violation.field === 'message.token')
+  ));
+};
+
+// FCM only accepts string data values
+const stringValues = (data) => Object.fromEntries(
+  Object.entries(data)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => [key, String(value)])
+);
+
+// Push notifications through Firebase Cloud Messaging (HTTP v1). One API serves web push
+// tokens from the browser app as well as Android and iOS devices.
+class PushService {
+  constructor() {
+    this.keyPath = process.env.FCM_SERVICE_ACCOUNT_KEY;
+    this.projectId = process.env.FCM_PROJECT_ID;
+    this.timeout = parseInt(process.env.FCM_TIMEOUT_MS) || 10000;
+    this.token = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.keyPath && fs.existsSync(path.resolve(this.keyPath)));
+  }
+
+  loadServiceAccount() {
+    if (!this.serviceAccount) {
+      this.serviceAccount = JSON.parse(fs.readFileSync(path.resolve(this.keyPath), 'utf8'));
+      this.projectId = this.projectId || this.serviceAccount.project_id;
+    }
+    return this.serviceAccount;
+  }
+
+  // Exchange a signed JWT assertion for an OAuth access token (cached until expiry)
+  async authenticate() {
+    if (this.token && this.token.expiresAt - 60 * 1000 > Date.now()) {
+      return this.token;
+    }
+
+    const account = this.loadServiceAccount();
+    const tokenUri = account.token_uri || 'https://oauth2.googleapis.com/token';
+    const now = Math.floor(Date.now() / 1000);
+
+    const assertion = jwt.sign(
+      {
+        iss: account.client_email,
+        scope: FCM_SCOPE,
+        aud: tokenUri,
+        iat: now,
+        exp: now + 3600
+      },
+      account.private_key,
+      { algorithm: 'RS256', keyid: account.private_key_id }
+    );
+
+    const response = await axios.post(
+      tokenUri,
+      new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion
+      }).toString(),
+      {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: this.timeout
+      }
+    );
+
+    this.token = {
+      accessToken: response.data.access_token,
+      expiresAt: Date.now() + response.data.expires_in * 1000
+    };
+
+    return this.token;
+  }
+
+  // Send to one device token
+  async sendToToken(deviceToken, { title, body, data = {}, urgent = false }) {
+    try {
+      const { accessToken } = await this.authenticate();
+
+      const response = await axios.post(
+        `https://fcm.googleapis.com/v1/projects/${this.projectId}/messages:send`,
+        {
+          message: {
+            token: deviceToken,
+            notification: { title, body },
+            data: stringValues(data),
+            android: { priority: urgent ? 'high' : 'normal' },
+            webpush: { headers: { Urgency: urgent ? 'high' : 'normal' } }
+          }
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: this.timeout
+        }
+      );
+
+      return { success: true, messageId: response.data.name };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || error.message,
+        staleToken: isStaleTokenError(error.response?.data?.error)
+      };
+    }
+  }
+
+  // Send to every device of a user. Succeeds when at least one device accepted it; tokens FCM
+  // reports as no longer valid are returned in `staleTokens` for removal.
+  async sendToDevices(deviceTokens, notification) {
+    if (!this.isConfigured()) {
+      return { success: false, error: 'FCM is not configured', staleTokens: [] };
+    }
+
+    const results = await Promise.all(deviceTokens.map(deviceToken => this.sendToToken(deviceToken, notification)));
+    const delivered = results.filter(result => result.success);
+
+    return {
+      success: delivered.length > 0,
+      messageId: delivered[0]?.messageId,
+      error: delivered.length > 0 ? undefined : results[0]?.error || 'No device tokens',
+      staleTokens: deviceTokens.filter((deviceToken, index) => results[index].staleToken)
+    };
+  }
+}
+
+module.exports = PushService;
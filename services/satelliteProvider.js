@@ -0,0 +1,196 @@
+const { calculateArea, calculateBBox, parseCoordinates, bufferPoint } = require('../utils/geoJSON');
+const { classifyNDVI, zoneThresholds } = require('../utils/stressClassification');
+
+// NDVI bounds used to split an area into stress zones (from the current stress ruleset)
+const STRESS_ZONE_THRESHOLDS = zoneThresholds();
+
+// Radius used when a bare point has to be treated as an area
+const DEFAULT_POINT_RADIUS = 100;
+
+const toDateString = (value) => new Date(value).toISOString().split('T')[0];
+
+// Calendar days in UTC, like toDateString; local time would skip or repeat a day across DST
+const shiftDate = (value, days) => {
+  const shifted = new Date(value);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return toDateString(shifted);
+};
+
+// A location that is neither a "lat,lng" string nor a GeoJSON geometry; routes answer 400
+class InvalidLocationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidLocationError';
+  }
+}
+
+/**
+ * Base class for satellite data sources. Every provider accepts a location as a
+ * "lat,lng" string or a GeoJSON geometry and returns results in the same shape:
+ *
+ *   getSatelliteImagery(location, startDate, endDate) -> { scenes, status, ... }
+ *   calculateNDVI(location, date)                     -> { ndvi, indices, confidence, status, ... }
+ *   getTimeSeriesNDVI(location, startDate, endDate)   -> [{ date, ndvi, indices, cloudCover, quality, satellite }]
+ *
+ * `indices` holds the other vegetation indices of the scene ({ evi, ndwi, ndre, savi }, see
+ * utils/vegetationIndices); an index the sensor cannot compute is left out.
+ *   getAreaAnalysis(location, radius, date)           -> { averageNDVI, stressZones, ... }
+ *
+ * getAreaAnalysis looks at the scenes of the few weeks up to `date` (default today).
+ */
+class SatelliteProvider {
+  constructor(name) {
+    this.name = name;
+    // Days either side of the requested date used to build a composite
+    this.compositeWindowDays = 8;
+    this.maxCloudCover = parseFloat(process.env.SATELLITE_MAX_CLOUD_COVER) || 30;
+  }
+
+  async getSatelliteImagery() {
+    throw new Error(`${this.name} provider does not implement getSatelliteImagery`);
+  }
+
+  async calculateNDVI() {
+    throw new Error(`${this.name} provider does not implement calculateNDVI`);
+  }
+
+  async getTimeSeriesNDVI() {
+    throw new Error(`${this.name} provider does not implement getTimeSeriesNDVI`);
+  }
+
+  async getAreaAnalysis() {
+    throw new Error(`${this.name} provider does not implement getAreaAnalysis`);
+  }
+
+  isGeometry(location) {
+    return Boolean(location && typeof location === 'object' && location.type && location.coordinates);
+  }
+
+  isPolygon(location) {
+    return this.isGeometry(location) && location.type !== 'Point';
+  }
+
+  // { latitude, longitude } of a "lat,lng" string or Point geometry
+  parsePoint(location) {
+    const point = this.isGeometry(location)
+      ? { latitude: location.coordinates[1], longitude: location.coordinates[0] }
+      : parseCoordinates(location);
+
+    const { latitude, longitude } = point || {};
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+        Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      throw new InvalidLocationError('Location must be "latitude,longitude" or a GeoJSON geometry');
+    }
+
+    return { latitude, longitude };
+  }
+
+  describeLocation(location) {
+    if (!this.isGeometry(location)) {
+      return { coordinates: location };
+    }
+
+    if (location.type === 'Point') {
+      const [lng, lat] = location.coordinates;
+      return { coordinates: `${lat},${lng}`, geometry: location };
+    }
+
+    return {
+      geometry: location,
+      bbox: calculateBBox(location)
+    };
+  }
+
+  // Polygon to analyse: the geometry itself, or a circle around a point
+  toPolygon(location, radius = DEFAULT_POINT_RADIUS) {
+    if (this.isPolygon(location)) {
+      return location;
+    }
+
+    if (this.isGeometry(location)) {
+      const [longitude, latitude] = location.coordinates;
+      return bufferPoint({ latitude, longitude }, radius);
+    }
+
+    return bufferPoint(parseCoordinates(location), radius);
+  }
+
+  // Area in square meters
+  areaSize(location, radius = DEFAULT_POINT_RADIUS) {
+    return this.isPolygon(location) ? calculateArea(location) : Math.PI * radius * radius;
+  }
+
+  classifyNDVI(ndvi) {
+    return classifyNDVI(ndvi);
+  }
+
+  // Stress zone breakdown from pixel shares (0-1) below the severe and above the healthy threshold
+  buildStressZones(shares) {
+    const toPercentage = (share) => Math.round(share * 1000) / 10;
+
+    if (!shares) {
+      return [
+        { type: 'healthy', percentage: 0, color: '#4CAF50' },
+        { type: 'moderate', percentage: 0, color: '#FFC107' },
+        { type: 'severe', percentage: 0, color: '#F44336' }
+      ];
+    }
+
+    return [
+      { type: 'healthy', percentage: toPercentage(shares.healthy), color: '#4CAF50' },
+      { type: 'moderate', percentage: toPercentage(Math.max(0, 1 - shares.severe - shares.healthy)), color: '#FFC107' },
+      { type: 'severe', percentage: toPercentage(shares.severe), color: '#F44336' }
+    ];
+  }
+
+  // Result returned by calculateNDVI when no usable scene covers the date
+  noDataResult(location, date, sceneCount = 0) {
+    return {
+      ...this.describeLocation(location),
+      date,
+      ndvi: null,
+      confidence: 0,
+      status: 'no_data',
+      pixelCount: 0,
+      sceneCount
+    };
+  }
+}
+
+const PROVIDERS = {
+  earth_engine: () => require('./earthEngine'),
+  stac: () => new (require('./stacProvider'))(),
+  fixture: () => new (require('./fixtureProvider'))()
+};
+
+// SATELLITE_PROVIDER=earth_engine|stac|fixture; tests default to the fixture provider
+const createSatelliteProvider = (name = process.env.SATELLITE_PROVIDER) => {
+  const resolvedName = name || (process.env.NODE_ENV === 'test' ? 'fixture' : 'earth_engine');
+
+  if (!PROVIDERS[resolvedName]) {
+    throw new Error(`Unknown satellite provider: ${resolvedName}`);
+  }
+
+  return PROVIDERS[resolvedName]();
+};
+
+let activeProvider = null;
+
+// Provider shared by the routes and services of this process
+const getSatelliteProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createSatelliteProvider();
+    console.log(`🛰️  Using ${activeProvider.name} satellite provider`);
+  }
+  return activeProvider;
+};
+
+module.exports = {
+  SatelliteProvider,
+  InvalidLocationError,
+  STRESS_ZONE_THRESHOLDS,
+  toDateString,
+  shiftDate,
+  createSatelliteProvider,
+  getSatelliteProvider
+};
@@ -0,0 +1,42 @@
+const scheduler = require('./schedulerService');
+const NDVIIngestionService = require('./ndviIngestionService');
+const forecastService = require('./forecastService');
+const OrganizationService = require('./organizationService');
+
+// Recurring jobs run by the in-process scheduler. Schedules are only the initial values:
+// once a job exists in MongoDB its schedule is edited through /api/scheduler.
+const registerScheduledJobs = ({ alertService }) => {
+  const ndviIngestionService = new NDVIIngestionService();
+  const organizationService = new OrganizationService();
+
+  scheduler.register('ndvi-ingestion', {
+    description: 'Pull new satellite scenes into NDVIData for every active farm',
+    schedule: process.env.NDVI_INGESTION_SCHEDULE || '0 1 * * *',
+    handler: async () => {
+      const { success, summary, error } = await ndviIngestionService.ingestAllFarms();
+      return { success, error, ...summary };
+    }
+  });
+
+  scheduler.register('analyze-all-farms', {
+    description: 'Queue stress analysis (and alerts) for every active farm',
+    schedule: process.env.FARM_ANALYSIS_SCHEDULE || '0 3 * * *',
+    handler: () => alertService.analyzeAllFarms()
+  });
+
+  scheduler.register('forecast-accuracy', {
+    description: 'Score past NDVI forecasts against later observations per farm and crop',
+    schedule: process.env.FORECAST_ACCURACY_SCHEDULE || '0 5 * * *',
+    handler: () => forecastService.computeAccuracy()
+  });
+
+  scheduler.register('org-stress-reports', {
+    description: 'Email organization admins their stress report once every reportDays',
+    schedule: process.env.ORG_REPORT_SCHEDULE || '0 6 * * *',
+    handler: () => organizationService.sendDueStressReports()
+  });
+
+  return scheduler;
+};
+
+module.exports = registerScheduledJobs;
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const os = require('os');
+const ScheduledJob = require('../models/ScheduledJob');
+const JobRun = require('../models/JobRun');
+const { getNextRun } = require('../utils/cron');
+
+// In-process cron scheduler. Job definitions live in MongoDB so every instance sees the
+// same schedule and pause state; a lock on the job document ensures only one instance runs it.
+class SchedulerService {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.handlers = new Map();
+    this.tickIntervalMs = 60 * 1000;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  // Register a job handler with the schedule used when the job is first created
+  register(name, { schedule, description, handler, lockTimeoutMinutes = 60 }) {
+    this.handlers.set(name, { schedule, description, handler, lockTimeoutMinutes });
+  }
+
+  // Create missing job documents; existing ones keep their (possibly edited) schedule
+  async syncDefinitions() {
+    for (const [name, definition] of this.handlers) {
+      const job = await ScheduledJob.findOneAndUpdate(
+        { name },
+        {
+          $setOnInsert: {
+            name,
+            description: definition.description,
+            schedule: definition.schedule,
+            lockTimeoutMinutes: definition.lockTimeoutMinutes,
+            nextRunAt: getNextRun(definition.schedule)
+          }
+        },
+        { upsert: true, new: true }
+      );
+
+      if (!job.nextRunAt) {
+        job.nextRunAt = getNextRun(job.schedule);
+        await job.save();
+      }
+    }
+  }
+
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    await this.syncDefinitions();
+
+    this.timer = setInterval(() => this.tick(), this.tickIntervalMs);
+    this.tick();
+
+    console.log(`✅ Scheduler started with ${this.handlers.size} jobs (instance ${this.instanceId})`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Start every due, unpaused job this instance manages to lock. Runs are not awaited, so a
+  // long job does not hold back the others.
+  async tick() {
+    if (this.ticking) {
+      return;
+    }
+    this.ticking = true;
+
+    try {
+      const now = new Date();
+      const dueJobs = await ScheduledJob.find({
+        name: { $in: [...this.handlers.keys()] },
+        isPaused: false,
+        nextRunAt: { $lte: now }
+      });
+
+      for (const job of dueJobs) {
+        const locked = await this.acquireLock(job, { advanceSchedule: true });
+        if (locked) {
+          this.startRun(locked, 'schedule');
+        }
+      }
+    } catch (error) {
+      console.error('❌ Scheduler tick failed:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Atomically take the job lock; scheduled runs also claim this occurrence by moving nextRunAt
+  async acquireLock(job, { advanceSchedule = false } = {}) {
+    const now = new Date();
+    const filter = {
+      _id: job._id,
+      $or: [{ 'lock.expiresAt': { $exists: false } }, { 'lock.expiresAt': null }, { 'lock.expiresAt': { $lte: now } }]
+    };
+    const update = {
+      lock: {
+        owner: this.instanceId,
+        lockedAt: now,
+        expiresAt: new Date(now.getTime() + job.lockTimeoutMinutes * 60 * 1000)
+      }
+    };
+
+    if (advanceSchedule) {
+      filter.nextRunAt = job.nextRunAt;
+      update.nextRunAt = getNextRun(job.schedule, now);
+    }
+
+    return ScheduledJob.findOneAndUpdate(filter, { $set: update }, { new: true });
+  }
+
+  // Push the lock expiry forward while the handler runs, so a run longer than
+  // lockTimeoutMinutes is not taken for abandoned and started again elsewhere
+  startHeartbeat(job) {
+    const timeoutMs = job.lockTimeoutMinutes * 60 * 1000;
+
+    return setInterval(async () => {
+      try {
+        const renewed = await ScheduledJob.updateOne(
+          { _id: job._id, 'lock.owner': this.instanceId },
+          { $set: { 'lock.expiresAt': new Date(Date.now() + timeoutMs) } }
+        );
+
+        if (renewed.matchedCount === 0) {
+          console.warn(`⚠️ Lost the lock on scheduled job ${job.name}`);
+        }
+      } catch (error) {
+        console.error(`❌ Failed to renew the lock on ${job.name}:`, error.message);
+      }
+    }, timeoutMs / 4);
+  }
+
+  async releaseLock(job, status) {
+    await ScheduledJob.updateOne(
+      { _id: job._id, 'lock.owner': this.instanceId },
+      {
+        $unset: { lock: 1 },
+        $set: { lastRunAt: new Date(), lastStatus: status }
+      }
+    );
+  }
+
+  // Record a run and execute the handler; returns the saved run and a promise for its completion
+  startRun(job, trigger, userId) {
+    const runPromise = new JobRun({
+      job: job._id,
+      jobName: job.name,
+      trigger,
+      triggeredBy: userId,
+      instanceId: this.instanceId
+    }).save();
+
+    const completion = runPromise.then(async (run) => {
+      const { handler } = this.handlers.get(job.name);
+      const heartbeat = this.startHeartbeat(job);
+      let status = 'succeeded';
+
+      try {
+        const result = await handler();
+
+        // Handlers report their own failures as { success: false, error }
+        if (result && result.success === false) {
+          status = 'failed';
+          run.error = result.error;
+        }
+        run.result = result;
+      } catch (error) {
+        console.error(`❌ Scheduled job ${job.name} failed:`, error.message);
+        status = 'failed';
+        run.error = error.message;
+      } finally {
+        clearInterval(heartbeat);
+      }
+
+      run.status = status;
+      run.finishedAt = new Date();
+      run.durationMs = run.finishedAt - run.startedAt;
+      await run.save();
+      await this.releaseLock(job, status);
+
+      return run;
+    }).catch(async (error) => {
+      console.error(`❌ Could not record run of ${job.name}:`, error.message);
+      // Nothing awaits a scheduled run, so this handler must not reject
+      await this.releaseLock(job, 'failed').catch(releaseError => {
+        console.error(`❌ Could not release the lock on ${job.name}:`, releaseError.message);
+      });
+    });
+
+    return { run: runPromise, completion };
+  }
+
+  // Run a job now, outside its schedule. Returns null if it is unknown, { locked: true } if running.
+  async trigger(name, userId) {
+    const job = await ScheduledJob.findOne({ name });
+    if (!job || !this.handlers.has(name)) {
+      return null;
+    }
+
+    const locked = await this.acquireLock(job);
+    if (!locked) {
+      return { locked: true, job };
+    }
+
+    const { run } = this.startRun(locked, 'manual', userId);
+    return { locked: false, job: locked, run: await run };
+  }
+
+  async pause(name, userId) {
+    return ScheduledJob.findOneAndUpdate(
+      { name },
+      { isPaused: true, pausedBy: userId, updatedAt: Date.now() },
+      { new: true }
+    );
+  }
+
+  // Resuming schedules the next occurrence from now instead of catching up missed runs
+  async resume(name) {
+    const job = await ScheduledJob.findOne({ name });
+    if (!job) {
+      return null;
+    }
+
+    job.isPaused = false;
+    job.pausedBy = undefined;
+    job.nextRunAt = getNextRun(job.schedule);
+    return job.save();
+  }
+
+  async updateSchedule(name, schedule) {
+    const job = await ScheduledJob.findOne({ name });
+    if (!job) {
+      return null;
+    }
+
+    job.schedule = schedule;
+    await job.validate();
+    job.nextRunAt = getNextRun(schedule);
+    return job.save();
+  }
+
+  async listJobs() {
+    const jobs = await ScheduledJob.find().sort({ name: 1 });
+    const now = new Date();
+
+    return jobs.map(job => ({
+      ...job.toObject(),
+      registered: this.handlers.has(job.name),
+      running: job.isLocked(now)
+    }));
+  }
+
+  async getRuns(name, limit = 20) {
+    return JobRun.find({ jobName: name })
+      .populate('triggeredBy', 'username fullName')
+      .sort({ startedAt: -1 })
+      .limit(limit);
+  }
+}
+
+module.exports = new SchedulerService();
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const crypto = require('crypto');
+const { t } = require('../utils/i18n');
 
 class SMSService {
   constructor() {
@@ -9,6 +10,10 @@ class SMSService {
     this.sender = 'FarmSight';
   }
 
+  isConfigured() {
+    return Boolean(this.endpoint && this.appKey && this.appSecret);
+  }
+
   // Generate Huawei SMS signature
   generateSignature(url, method, timestamp, nonce, body = '') {
     const canonicalUri = url.replace(/^https?:\/\/[^\/]+/, '');
@@ -22,14 +27,14 @@ class SMSService {
     return crypto.createHmac('sha256', this.appSecret).update(stringToSign).digest('base64');
   }
 
-  // Send SMS alert to farmer
-  async sendAlert(phoneNumber, farmerName, farmName, stressLevel, recommendations) {
+  // Send SMS alert to farmer; the stress level is written in the farmer's `language`
+  async sendAlert(phoneNumber, farmerName, farmName, stressLevel, recommendations, language) {
     try {
       const templateId = '8a5e0b8a1a0a4e5b8a1a0a1a1a1a1a1'; // Replace with your actual template ID
       const templateParas = [
         farmerName,
         farmName,
-        stressLevel,
+        t(language, `stressLevels.${stressLevel}`),
         recommendations.slice(0, 2).join(', ') // Limit to first 2 recommendations
       ];
 
@@ -82,7 +87,8 @@ class SMSService {
           farmer.fullName,
           farmer.farmName,
           farm.stressLevel,
-          farm.recommendations
+          farm.recommendations,
+          farmer.language
         );
         results.push({
           farmerId: farmer.farmerId,
@@ -104,10 +110,17 @@ class SMSService {
   }
 
   // Generate alert message based on stress level
-  generateAlertMessage(farmerName, farmName, stressLevel, ndviValue, recommendations) {
-    const urgency = stressLevel === 'severe' ? 'URGENT' : stressLevel === 'high' ? 'IMPORTANT' : 'INFO';
-
-    return `[${urgency}] FarmSight Alert: ${farmerName}, your farm "${farmName}" shows ${stressLevel} stress (NDVI: ${ndviValue.toFixed(3)}). ${recommendations.slice(0, 2).join('. ')}. Take action immediately!`;
+  generateAlertMessage(farmerName, farmName, stressLevel, ndviValue, recommendations, language) {
+    const urgency = t(language, `urgency.${['severe', 'high'].includes(stressLevel) ? stressLevel : 'default'}`);
+
+    return t(language, 'sms.alert', {
+      urgency,
+      name: farmerName,
+      farm: farmName,
+      level: t(language, `stressLevels.${stressLevel}`),
+      ndvi: ndviValue.toFixed(3),
+      recommendations: recommendations.slice(0, 2).join('. ')
+    });
   }
 
   // Create custom alert for specific events
@@ -0,0 +1,305 @@
+const axios = require('axios');
+const {
+  SatelliteProvider,
+  STRESS_ZONE_THRESHOLDS,
+  toDateString,
+  shiftDate
+} = require('./satelliteProvider');
+const { SECONDARY_INDICES } = require('../utils/vegetationIndices');
+
+const CRS84 = 'http://www.opengis.net/def/crs/OGC/1.3/CRS84';
+
+// ~10 m in degrees; Statistical API resolution is given in CRS units
+const RESOLUTION_DEGREES = 0.00009;
+
+// Sentinel-2 scene classification values masked out: cloud shadow, cloud (medium/high), cirrus
+const MASKED_SCL_CLASSES = [3, 8, 9, 10];
+
+// Evalscript emitting NDVI, the secondary indices (in SECONDARY_INDICES order), stress-zone
+// membership and a clear-sky data mask per pixel. Bands are L2A reflectance (0-1).
+const evalscript = (thresholds) => `//VERSION=3
+function setup() {
+  return {
+    input: [{ bands: ['B02', 'B04', 'B05', 'B08', 'B11', 'SCL', 'dataMask'] }],
+    output: [
+      { id: 'ndvi', bands: 1, sampleType: 'FLOAT32' },
+      { id: 'indices', bands: ${SECONDARY_INDICES.length}, sampleType: 'FLOAT32' },
+      { id: 'zones', bands: 2, sampleType: 'FLOAT32' },
+      { id: 'dataMask', bands: 1 }
+    ]
+  };
+}
+
+function nd(a, b) {
+  return (a - b) / (a + b);
+}
+
+function evaluatePixel(sample) {
+  const ndvi = nd(sample.B08, sample.B04);
+  const values = {
+    evi: 2.5 * (sample.B08 - sample.B04) / (sample.B08 + 6 * sample.B04 - 7.5 * sample.B02 + 1),
+    ndwi: nd(sample.B08, sample.B11),
+    ndre: nd(sample.B08, sample.B05),
+    savi: 1.5 * (sample.B08 - sample.B04) / (sample.B08 + sample.B04 + 0.5)
+  };
+  const clear = ${JSON.stringify(MASKED_SCL_CLASSES)}.indexOf(sample.SCL) === -1;
+  return {
+    ndvi: [ndvi],
+    indices: ${JSON.stringify(SECONDARY_INDICES)}.map(function (index) { return values[index]; }),
+    zones: [ndvi < ${thresholds.severe} ? 1 : 0, ndvi >= ${thresholds.healthy} ? 1 : 0],
+    dataMask: [sample.dataMask && clear ? 1 : 0]
+  };
+}`;
+
+// Sentinel Hub: STAC catalog for scene search, Statistical API for NDVI
+class StacProvider extends SatelliteProvider {
+  constructor() {
+    super('stac');
+    this.baseURL = process.env.SENTINEL_HUB_URL || 'https://services.sentinel-hub.com';
+    this.clientId = process.env.SENTINEL_HUB_CLIENT_ID;
+    this.clientSecret = process.env.SENTINEL_HUB_CLIENT_SECRET;
+    this.collection = process.env.STAC_COLLECTION || 'sentinel-2-l2a';
+    this.satellite = 'Sentinel-2';
+    this.timeout = 60000;
+    this.token = null;
+  }
+
+  // OAuth client-credentials token (cached until expiry)
+  async authenticate() {
+    if (this.token && this.token.expiresAt - 60 * 1000 > Date.now()) {
+      return this.token;
+    }
+
+    if (!this.clientId || !this.clientSecret) {
+      throw new Error('Sentinel Hub client credentials are not configured');
+    }
+
+    const response = await axios.post(
+      `${this.baseURL}/auth/realms/main/protocol/openid-connect/token`,
+      new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: this.clientId,
+        client_secret: this.clientSecret
+      }).toString(),
+      {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: this.timeout
+      }
+    );
+
+    this.token = {
+      accessToken: response.data.access_token,
+      expiresAt: Date.now() + response.data.expires_in * 1000
+    };
+
+    return this.token;
+  }
+
+  async request(path, body) {
+    const { accessToken } = await this.authenticate();
+
+    const response = await axios.post(`${this.baseURL}${path}`, body, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: this.timeout
+    });
+
+    return response.data;
+  }
+
+  // STAC item search, paging until every scene is collected
+  async searchScenes(location, startDate, endDate) {
+    const scenes = [];
+    let body = {
+      collections: [this.collection],
+      datetime: `${startDate}T00:00:00Z/${endDate}T23:59:59Z`,
+      intersects: this.toPolygon(location),
+      filter: `eo:cloud_cover < ${this.maxCloudCover}`,
+      'filter-lang': 'cql2-text',
+      limit: 100
+    };
+
+    while (body) {
+      const page = await this.request('/api/v1/catalog/1.0.0/search', body);
+
+      page.features.forEach(feature => {
+        scenes.push({
+          id: feature.id,
+          date: toDateString(feature.properties.datetime),
+          cloudCover: feature.properties['eo:cloud_cover']
+        });
+      });
+
+      // Catalog paging: context.next is the offset of the following page
+      const next = page.context?.next;
+      body = next !== undefined ? { ...body, next } : null;
+    }
+
+    return scenes.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  // Statistical API over the location, one interval per aggregation period
+  async statistics(location, startDate, endDate, interval, radius) {
+    const result = await this.request('/api/v1/statistics', {
+      input: {
+        bounds: {
+          geometry: this.toPolygon(location, radius),
+          properties: { crs: CRS84 }
+        },
+        data: [{
+          type: this.collection,
+          dataFilter: { maxCloudCoverage: this.maxCloudCover, mosaickingOrder: 'leastCC' }
+        }]
+      },
+      aggregation: {
+        timeRange: {
+          from: `${startDate}T00:00:00Z`,
+          to: `${endDate}T23:59:59Z`
+        },
+        aggregationInterval: { of: interval, lastIntervalBehavior: 'SHORTEN' },
+        evalscript: evalscript(STRESS_ZONE_THRESHOLDS),
+        resx: RESOLUTION_DEGREES,
+        resy: RESOLUTION_DEGREES
+      }
+    });
+
+    return (result.data || []).map(entry => {
+      const ndvi = entry.outputs.ndvi.bands.B0.stats;
+      const zones = entry.outputs.zones.bands;
+      const indexBands = entry.outputs.indices.bands;
+
+      return {
+        date: toDateString(entry.interval.from),
+        mean: ndvi.mean,
+        min: ndvi.min,
+        max: ndvi.max,
+        pixelCount: ndvi.sampleCount - ndvi.noDataCount,
+        sampleCount: ndvi.sampleCount,
+        severe: zones.B0.stats.mean,
+        healthy: zones.B1.stats.mean,
+        indices: Object.fromEntries(
+          SECONDARY_INDICES
+            .map((index, band) => [index, indexBands[`B${band}`].stats.mean])
+            .filter(([, value]) => Number.isFinite(value))
+        )
+      };
+    });
+  }
+
+  async getSatelliteImagery(location, startDate, endDate) {
+    try {
+      const scenes = await this.searchScenes(location, startDate, endDate);
+
+      return {
+        ...this.describeLocation(location),
+        dateRange: { startDate, endDate },
+        source: this.satellite,
+        collection: this.collection,
+        bands: ['B02', 'B04', 'B05', 'B08', 'B11'], // Blue, red, red edge, NIR and SWIR for the indices
+        resolution: 10,
+        scenes,
+        status: scenes.length > 0 ? 'available' : 'unavailable'
+      };
+    } catch (error) {
+      console.error('Failed to fetch satellite imagery:', error);
+      throw error;
+    }
+  }
+
+  // Least-cloudy mosaic NDVI (and the other indices) for scenes around the given date
+  async calculateNDVI(location, date) {
+    try {
+      const days = 2 * this.compositeWindowDays + 1;
+      const [stats] = await this.statistics(
+        location,
+        shiftDate(date, -this.compositeWindowDays),
+        shiftDate(date, this.compositeWindowDays),
+        `P${days}D`
+      );
+
+      if (!stats || !stats.pixelCount || !Number.isFinite(stats.mean)) {
+        return { ...this.noDataResult(location, date), satellite: this.satellite };
+      }
+
+      return {
+        ...this.describeLocation(location),
+        date,
+        ndvi: stats.mean,
+        confidence: stats.pixelCount / stats.sampleCount,
+        status: this.classifyNDVI(stats.mean),
+        pixelCount: stats.pixelCount,
+        averageNDVI: stats.mean,
+        minNDVI: stats.min,
+        maxNDVI: stats.max,
+        indices: stats.indices,
+        satellite: this.satellite
+      };
+    } catch (error) {
+      console.error('NDVI calculation failed:', error);
+      throw error;
+    }
+  }
+
+  // Daily statistics joined with the catalog's scene cloud cover
+  async getTimeSeriesNDVI(location, startDate, endDate) {
+    try {
+      const [scenes, daily] = await Promise.all([
+        this.searchScenes(location, startDate, endDate),
+        this.statistics(location, startDate, endDate, 'P1D')
+      ]);
+
+      const cloudCoverByDate = new Map(scenes.map(scene => [scene.date, scene.cloudCover]));
+
+      return daily
+        .filter(day => day.pixelCount > 0 && Number.isFinite(day.mean))
+        .map(day => ({
+          date: day.date,
+          ndvi: day.mean,
+          indices: day.indices,
+          cloudCover: cloudCoverByDate.get(day.date),
+          satellite: this.satellite,
+          // Clear-sky share of the field; cloud and shadow pixels are already masked out
+          quality: { coverage: day.pixelCount / day.sampleCount }
+        }));
+    } catch (error) {
+      console.error('Time series NDVI calculation failed:', error);
+      throw error;
+    }
+  }
+
+  // Polygon geometries are analysed over their own area; points use a radius
+  async getAreaAnalysis(location, radius, date = Date.now()) {
+    try {
+      const isPolygon = this.isPolygon(location);
+      const endDate = toDateString(date);
+      const days = 2 * this.compositeWindowDays;
+
+      const [stats] = await this.statistics(
+        location,
+        shiftDate(endDate, -days),
+        endDate,
+        `P${days + 1}D`,
+        radius
+      );
+
+      const hasData = Boolean(stats && stats.pixelCount && Number.isFinite(stats.mean));
+
+      return {
+        ...this.describeLocation(location),
+        radius: isPolygon ? undefined : radius,
+        areaSize: this.areaSize(location, radius),
+        averageNDVI: hasData ? stats.mean : null,
+        satellite: this.satellite,
+        stressZones: this.buildStressZones(hasData ? stats : null),
+        lastUpdated: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Area analysis failed:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = StacProvider;
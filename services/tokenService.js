@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+class TokenService {
+  constructor() {
+    this.accessTokenExpiresIn = process.env.JWT_EXPIRES_IN || '15m';
+    this.refreshTokenDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || 30);
+  }
+
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  // Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+  buildRefreshToken(sessionId, secret) {
+    return `${sessionId}.${secret}`;
+  }
+
+  parseRefreshToken(refreshToken) {
+    if (typeof refreshToken !== 'string') return null;
+
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+    return { sessionId, secret };
+  }
+
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { userId: user._id, username: user.username, role: user.role, sid: sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: this.accessTokenExpiresIn }
+    );
+  }
+
+  getRefreshExpiry() {
+    return new Date(Date.now() + this.refreshTokenDays * 24 * 60 * 60 * 1000);
+  }
+
+  // Start a new session and issue its first token pair
+  async issueTokens(user, meta = {}) {
+    const secret = crypto.randomBytes(48).toString('hex');
+
+    const session = await Session.create({
+      user: user._id,
+      tokenHash: this.hashSecret(secret),
+      userAgent: meta.userAgent,
+      ipAddress: meta.ipAddress,
+      expiresAt: this.getRefreshExpiry()
+    });
+
+    return {
+      accessToken: this.signAccessToken(user, session._id),
+      refreshToken: this.buildRefreshToken(session._id, secret),
+      expiresIn: this.accessTokenExpiresIn
+    };
+  }
+
+  // Exchange a refresh token for a new pair, invalidating the old refresh token
+  async rotateRefreshToken(refreshToken) {
+    const parsed = this.parseRefreshToken(refreshToken);
+    if (!parsed) {
+      return { success: false, error: 'Invalid refresh token' };
+    }
+
+    const session = await Session.findById(parsed.sessionId);
+    if (!session || !session.isActive()) {
+      return { success: false, error: 'Session expired or revoked' };
+    }
+
+    const secretHash = this.hashSecret(parsed.secret);
+
+    // A rotated-out token being replayed means it leaked: cut off every device
+    if (secretHash === session.previousTokenHash) {
+      await Session.revokeAllForUser(session.user, 'token_reuse');
+      console.warn(`⚠️ Refresh token reuse detected for user ${session.user}, all sessions revoked`);
+      return { success: false, error: 'Refresh token reuse detected' };
+    }
+
+    if (secretHash !== session.tokenHash) {
+      return { success: false, error: 'Invalid refresh token' };
+    }
+
+    const user = await User.findById(session.user).select('-password');
+    if (!user || !user.isActive) {
+      await Session.updateOne({ _id: session._id }, { revokedAt: new Date(), revokedReason: 'account_deactivated' });
+      return { success: false, error: 'Account is deactivated' };
+    }
+
+    // Swap the hash only if it is still the one presented, so two requests racing with the same
+    // token cannot both rotate it; the loser replayed a token that is no longer current
+    const secret = crypto.randomBytes(48).toString('hex');
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash: secretHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      {
+        previousTokenHash: secretHash,
+        tokenHash: this.hashSecret(secret),
+        lastUsedAt: new Date(),
+        expiresAt: this.getRefreshExpiry()
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      const current = await Session.findById(session._id);
+      if (!current || !current.isActive()) {
+        return { success: false, error: 'Session expired or revoked' };
+      }
+
+      await Session.revokeAllForUser(session.user, 'token_reuse');
+      console.warn(`⚠️ Refresh token reuse detected for user ${session.user}, all sessions revoked`);
+      return { success: false, error: 'Refresh token reuse detected' };
+    }
+
+    return {
+      success: true,
+      user,
+      accessToken: this.signAccessToken(user, session._id),
+      refreshToken: this.buildRefreshToken(session._id, secret),
+      expiresIn: this.accessTokenExpiresIn
+    };
+  }
+
+  async revokeSession(sessionId, reason = 'logout') {
+    return Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+  }
+
+  // Optionally keep one session (e.g. the device that changed the password)
+  async revokeAllSessions(userId, reason = 'logout_all', exceptSessionId = null) {
+    return Session.revokeAllForUser(userId, reason, exceptSessionId);
+  }
+}
+
+module.exports = new TokenService();
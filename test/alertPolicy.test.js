@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decideAlert } = require('../utils/alertPolicy');
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2025-06-15T03:00:00Z');
+const cooldowns = { critical: 6 * HOUR, high: 12 * HOUR, medium: 24 * HOUR, low: 48 * HOUR };
+
+const decide = (state, analysis, at = now) => decideAlert(state, { confidence: 0.9, ...analysis }, { now: at, cooldowns });
+
+const openState = (overrides = {}) => ({
+  status: 'open',
+  stressLevel: 'moderate',
+  lastAlertLevel: 'moderate',
+  peakStressLevel: 'moderate',
+  lastAlertAt: new Date(now.getTime() - 2 * HOUR),
+  alertCount: 1,
+  ...overrides
+});
+
+test('decideAlert ignores analyses without a stress level or with low confidence', () => {
+  assert.deepEqual(decide(null, { stressLevel: 'unknown' }), { event: null, reason: 'no_stress_level', update: null });
+  assert.deepEqual(decide(null, { stressLevel: 'severe', confidence: 0.5 }), { event: null, reason: 'low_confidence', update: null });
+});
+
+test('decideAlert stays quiet below the threshold when no alert is open', () => {
+  assert.deepEqual(decide(null, { stressLevel: 'low' }), { event: null, reason: 'below_threshold', update: null });
+
+  const resolved = decide({ status: 'resolved' }, { stressLevel: 'healthy' });
+  assert.equal(resolved.event, null);
+  assert.deepEqual(resolved.update, { stressLevel: 'healthy', lastAnalysisAt: now });
+});
+
+test('decideAlert opens an alert at the threshold', () => {
+  const decision = decide(null, { stressLevel: 'moderate' });
+
+  assert.equal(decision.event, 'opened');
+  assert.equal(decision.update.status, 'open');
+  assert.equal(decision.update.alertCount, 1);
+  assert.equal(decision.update.lastAlertLevel, 'moderate');
+  assert.equal(decision.update.peakStressLevel, 'moderate');
+  assert.equal(decision.update.openedAt, now);
+});
+
+test('decideAlert reopens a resolved alert with a fresh count', () => {
+  const decision = decide(openState({ status: 'resolved', alertCount: 4 }), { stressLevel: 'high' });
+
+  assert.equal(decision.event, 'opened');
+  assert.equal(decision.update.alertCount, 1);
+  assert.equal(decision.update.resolvedAt, null);
+});
+
+test('decideAlert escalates at once when stress worsens, even inside the cooldown', () => {
+  const decision = decide(openState(), { stressLevel: 'severe' });
+
+  assert.equal(decision.event, 'escalated');
+  assert.equal(decision.update.status, 'escalated');
+  assert.equal(decision.update.alertCount, 2);
+  assert.equal(decision.update.peakStressLevel, 'severe');
+  assert.equal(decision.update.escalatedAt, now);
+});
+
+test('decideAlert holds reminders until the cooldown of the current urgency is over', () => {
+  const quiet = decide(openState(), { stressLevel: 'moderate' });
+  assert.equal(quiet.event, null);
+  assert.equal(quiet.reason, 'cooldown');
+  assert.deepEqual(quiet.update, { stressLevel: 'moderate', lastAnalysisAt: now });
+
+  const later = new Date(now.getTime() + 23 * HOUR);
+  const reminder = decide(openState(), { stressLevel: 'moderate' }, later);
+  assert.equal(reminder.event, 'reminder');
+  assert.equal(reminder.update.alertCount, 2);
+  assert.equal(reminder.update.lastEvent, 'reminder');
+});
+
+test('decideAlert does not escalate when stress eases but stays above the threshold', () => {
+  const state = openState({ status: 'escalated', lastAlertLevel: 'severe', peakStressLevel: 'severe' });
+  const decision = decide(state, { stressLevel: 'high' });
+
+  assert.equal(decision.event, null);
+  assert.equal(decision.reason, 'cooldown');
+});
+
+test('decideAlert resolves an open alert once stress falls below the threshold', () => {
+  const decision = decide(openState(), { stressLevel: 'low' });
+
+  assert.equal(decision.event, 'recovered');
+  assert.equal(decision.update.status, 'resolved');
+  assert.equal(decision.update.resolvedAt, now);
+  assert.equal(decision.update.lastEvent, 'recovered');
+});
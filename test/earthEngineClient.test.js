@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const earthEngine = require('../services/earthEngine');
+const { RecordedEarthEngineClient, createEarthEngineClient, fixtureKey } = require('../services/earthEngineClient');
+
+// Reference point of the fixtures in fixtures/earthEngine (synthetic responses, see their "source")
+const LOCATION = '-6.5950,106.8166';
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'earthEngine');
+
+earthEngine.client = new RecordedEarthEngineClient({ fixturesDir: FIXTURES_DIR });
+
+test('createEarthEngineClient replays fixtures when asked to', () => {
+  assert.ok(createEarthEngineClient('recorded') instanceof RecordedEarthEngineClient);
+});
+
+test('every fixture is stored under the key of its expression', () => {
+  fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.json')).forEach(file => {
+    const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+    assert.equal(`${fixtureKey(fixture.expression)}.json`, file);
+  });
+});
+
+test('getSatelliteImagery lists the scenes of the period', async () => {
+  const imagery = await earthEngine.getSatelliteImagery(LOCATION, '2025-06-01', '2025-06-30');
+
+  assert.equal(imagery.source, 'Sentinel-2');
+  assert.equal(imagery.scenes.length, 4);
+  imagery.scenes.forEach(scene => {
+    assert.ok(scene.date >= '2025-06-01' && scene.date <= '2025-06-30');
+    assert.equal(typeof scene.cloudCover, 'number');
+  });
+});
+
+test('calculateNDVI summarizes the scenes around a date', async () => {
+  const result = await earthEngine.calculateNDVI(LOCATION, '2025-06-15');
+
+  assert.equal(result.ndvi, 0.6984);
+  assert.equal(result.status, 'healthy');
+  assert.ok(result.minNDVI <= result.ndvi && result.ndvi <= result.maxNDVI);
+  assert.ok(result.confidence > 0 && result.confidence <= 1);
+  assert.deepEqual(Object.keys(result.indices).sort(), ['evi', 'ndre', 'ndwi', 'savi']);
+});
+
+test('getTimeSeriesNDVI returns dated observations in order', async () => {
+  const series = await earthEngine.getTimeSeriesNDVI(LOCATION, '2025-04-01', '2025-06-30');
+
+  assert.equal(series.length, 11);
+  series.forEach((point, index) => {
+    assert.ok(Number.isFinite(point.ndvi));
+    assert.equal(point.satellite, 'Sentinel-2');
+    if (index > 0) assert.ok(point.date > series[index - 1].date);
+  });
+});
+
+test('getAreaAnalysis splits the area into stress zones', async () => {
+  const analysis = await earthEngine.getAreaAnalysis(LOCATION, 100, '2025-06-30');
+
+  assert.deepEqual(
+    analysis.stressZones.map(zone => [zone.type, zone.percentage]),
+    [['healthy', 83.2], ['moderate', 15.6], ['severe', 1.3]]
+  );
+});
+
+test('a request without a fixture fails instead of reaching the live API', async () => {
+  await assert.rejects(
+    earthEngine.client.compute({ unrecorded: true }),
+    /No recorded Earth Engine fixture/
+  );
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { forecastNDVI, backtest, horizonBucket } = require('../utils/ndviForecast');
+
+// One reading every 5 days from 1 April 2025, rising 0.01 per reading
+const risingSeries = (count, noise = 0) => Array.from({ length: count }, (_, i) => ({
+  date: new Date(Date.UTC(2025, 3, 1 + 5 * i)).toISOString().split('T')[0],
+  ndvi: 0.3 + 0.01 * i + (i % 2 ? noise : -noise)
+}));
+
+test('forecastNDVI needs at least three readings', () => {
+  assert.equal(forecastNDVI(risingSeries(2), 7), null);
+});
+
+test('forecastNDVI follows the trend with nested intervals that widen with the horizon', () => {
+  const observations = risingSeries(12);
+  const last = observations[observations.length - 1];
+  const forecast = forecastNDVI(observations, 30, { from: last.date });
+
+  assert.equal(forecast.points.length, 30);
+  assert.equal(forecast.points[0].date, '2025-05-27');
+  assert.equal(forecast.method, 'damped_trend');
+  assert.ok(forecast.trend > 0);
+  assert.ok(forecast.points[29].predictedNDVI > last.ndvi);
+
+  forecast.points.forEach(point => {
+    assert.ok(point.lower95 <= point.lower80);
+    assert.ok(point.lower80 <= point.predictedNDVI);
+    assert.ok(point.predictedNDVI <= point.upper80);
+    assert.ok(point.upper80 <= point.upper95);
+  });
+
+  const width = point => point.upper80 - point.lower80;
+  assert.ok(width(forecast.points[29]) > width(forecast.points[0]));
+});
+
+test('backtest scores each horizon from every origin after minHistory readings', () => {
+  const result = backtest(risingSeries(12));
+
+  assert.equal(result.origins, 6);
+  assert.deepEqual(result.horizons.map(horizon => horizon.horizonDays), [7, 14, 30]);
+
+  const [week, fortnight, month] = result.horizons;
+  assert.equal(week.count, 6);
+  assert.equal(fortnight.count, 4);
+  assert.equal(month.count, 1);
+
+  // A clean linear series is forecast closely, and longer horizons err more
+  assert.ok(week.mae < 0.01);
+  assert.ok(week.mae <= fortnight.mae && fortnight.mae <= month.mae);
+  assert.equal(week.coverage80, 1);
+  assert.equal(week.coverage95, 1);
+});
+
+test('backtest reports empty horizons when the history is too short', () => {
+  const result = backtest(risingSeries(5));
+
+  assert.equal(result.origins, 0);
+  result.horizons.forEach(horizon => {
+    assert.equal(horizon.count, 0);
+    assert.equal(horizon.mae, null);
+    assert.equal(horizon.coverage80, null);
+  });
+});
+
+test('backtest does not score a reading taken on the origin day', () => {
+  const observations = risingSeries(10);
+  const originDate = new Date(observations[7].date);
+  // A second satellite observing the origin day, and one more reading three days later
+  observations.push({ ...observations[7] });
+  observations.push({
+    date: new Date(originDate.getTime() + 3 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+    ndvi: observations[7].ndvi + 0.006
+  });
+
+  // Both copies of the origin are scored against the reading three days later (not against each
+  // other), and that reading against the next one two days after it
+  const result = backtest(observations, { horizons: [2] });
+
+  assert.equal(result.horizons[0].count, 3);
+  assert.ok(result.horizons[0].mae < 0.01);
+});
+
+test('horizonBucket picks the first bucket that covers the lead time', () => {
+  assert.equal(horizonBucket(3, [7, 14, 30]), 7);
+  assert.equal(horizonBucket(8, [7, 14, 30]), 14);
+  assert.equal(horizonBucket(31, [7, 14, 30]), null);
+});
@@ -0,0 +1,19 @@
+// Daylight saving time starts on 9 March 2025 here; dates must still move by whole UTC days
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { shiftDate } = require('../services/satelliteProvider');
+
+test('shiftDate moves a date by calendar days', () => {
+  assert.equal(shiftDate('2025-06-15', 5), '2025-06-20');
+  assert.equal(shiftDate('2025-03-01', -1), '2025-02-28');
+  assert.equal(shiftDate('2024-12-31', 1), '2025-01-01');
+});
+
+test('shiftDate is not thrown off by a daylight saving change in local time', () => {
+  assert.equal(shiftDate('2025-03-08', 1), '2025-03-09');
+  assert.equal(shiftDate('2025-03-09', 1), '2025-03-10');
+  assert.equal(shiftDate('2025-03-10', -2), '2025-03-08');
+  assert.equal(shiftDate('2025-11-02T23:30:00Z', 1), '2025-11-03');
+});
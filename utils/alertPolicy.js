@@ -0,0 +1,125 @@
+// Alert state machine of a farm. Each analysis moves the farm's alert state and decides
+// whether anyone is notified:
+//
+//   (none | resolved) --stress at ALERT_THRESHOLD or worse--> open        notify 'opened'
+//   open | escalated  --stress worse than last alerted-----> escalated   notify 'escalated' at once
+//   open | escalated  --same or milder stress, cooldown over-> unchanged   notify 'reminder'
+//   open | escalated  --stress below ALERT_THRESHOLD-------> resolved    notify 'recovered'
+//
+// Analyses below MIN_CONFIDENCE or without a stress level ('unknown') change nothing. The
+// cooldown depends on the urgency of the current stress level.
+const { STRESS_LEVELS, compareStressLevels, isAtLeast, maxStressLevel } = require('./stressClassification');
+
+const ALERT_STATUSES = ['open', 'escalated', 'resolved'];
+const ALERT_EVENTS = ['opened', 'escalated', 'reminder', 'recovered'];
+
+// Lowest stress level that opens an alert
+const ALERT_THRESHOLD = 'moderate';
+const MIN_CONFIDENCE = 0.7;
+
+// Alert urgency (Alert.urgency) per stress level
+const URGENCY_BY_STRESS = {
+  healthy: 'low',
+  low: 'low',
+  moderate: 'medium',
+  high: 'high',
+  severe: 'critical'
+};
+
+const hours = (name, fallback) => (parseFloat(process.env[name]) || fallback) * 60 * 60 * 1000;
+
+// Minimum time between alerts at the same or a milder stress level, per urgency
+const defaultCooldowns = () => ({
+  critical: hours('ALERT_COOLDOWN_HOURS_CRITICAL', 6),
+  high: hours('ALERT_COOLDOWN_HOURS_HIGH', 12),
+  medium: hours('ALERT_COOLDOWN_HOURS_MEDIUM', 24),
+  low: hours('ALERT_COOLDOWN_HOURS_LOW', 48)
+});
+
+const urgencyOf = (stressLevel) => URGENCY_BY_STRESS[stressLevel] || 'medium';
+
+const isActive = (state) => Boolean(state && state.status !== 'resolved');
+
+// Next move for a farm whose alert state is `state` (null before its first alert). Returns
+// { event, reason, update }: `event` is the notification to send (null for none) and `update`
+// the fields to persist on the state (null when nothing changes).
+const decideAlert = (state, analysis, { now = new Date(), cooldowns = defaultCooldowns() } = {}) => {
+  const { stressLevel, confidence = 0 } = analysis;
+
+  if (!STRESS_LEVELS.includes(stressLevel)) {
+    return { event: null, reason: 'no_stress_level', update: null };
+  }
+  if (confidence < MIN_CONFIDENCE) {
+    return { event: null, reason: 'low_confidence', update: null };
+  }
+
+  const observed = { stressLevel, lastAnalysisAt: now };
+
+  if (!isAtLeast(stressLevel, ALERT_THRESHOLD)) {
+    if (!isActive(state)) {
+      return { event: null, reason: 'below_threshold', update: state ? observed : null };
+    }
+
+    return {
+      event: 'recovered',
+      reason: 'recovered',
+      update: { ...observed, status: 'resolved', resolvedAt: now, lastAlertAt: now, lastEvent: 'recovered' }
+    };
+  }
+
+  const alerted = {
+    ...observed,
+    lastAlertAt: now,
+    lastAlertLevel: stressLevel,
+    alertCount: (isActive(state) ? state.alertCount || 0 : 0) + 1
+  };
+
+  if (!isActive(state)) {
+    return {
+      event: 'opened',
+      reason: 'opened',
+      update: {
+        ...alerted,
+        status: 'open',
+        openedAt: now,
+        escalatedAt: null,
+        resolvedAt: null,
+        peakStressLevel: stressLevel,
+        lastEvent: 'opened'
+      }
+    };
+  }
+
+  // Worse than anyone was last told: no cooldown
+  if (compareStressLevels(stressLevel, state.lastAlertLevel) > 0) {
+    return {
+      event: 'escalated',
+      reason: 'escalated',
+      update: {
+        ...alerted,
+        status: 'escalated',
+        escalatedAt: now,
+        peakStressLevel: maxStressLevel(state.peakStressLevel || stressLevel, stressLevel),
+        lastEvent: 'escalated'
+      }
+    };
+  }
+
+  const cooldown = cooldowns[urgencyOf(stressLevel)];
+  if (now - new Date(state.lastAlertAt) < cooldown) {
+    return { event: null, reason: 'cooldown', update: observed };
+  }
+
+  return { event: 'reminder', reason: 'reminder', update: { ...alerted, lastEvent: 'reminder' } };
+};
+
+module.exports = {
+  ALERT_STATUSES,
+  ALERT_EVENTS,
+  ALERT_THRESHOLD,
+  MIN_CONFIDENCE,
+  URGENCY_BY_STRESS,
+  defaultCooldowns,
+  urgencyOf,
+  decideAlert
+};
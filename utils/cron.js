@@ -0,0 +1,118 @@
+// Minimal five-field cron expressions: "minute hour day-of-month month day-of-week"
+// Supports *, numbers, lists (1,15), ranges (1-5) and steps (*/15, 0-30/10). Times are UTC.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+// Give up searching after this many minutes (a little over four years)
+const MAX_SEARCH_MINUTES = 4 * 366 * 24 * 60;
+
+const parseField = (text, { name, min, max }) => {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+
+    let start;
+    let end;
+    if (rangeText === '*') {
+      start = min;
+      end = max;
+    } else if (rangeText.includes('-')) {
+      [start, end] = rangeText.split('-').map(value => parseInt(value, 10));
+    } else {
+      start = parseInt(rangeText, 10);
+      end = stepText === undefined ? start : max;
+    }
+
+    if ([start, end, step].some(Number.isNaN) || start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name} field: ${text}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  });
+
+  return values;
+};
+
+// Parse an expression into sets of allowed values per field
+const parseCron = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields: ${expression}`);
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field);
+  });
+
+  // Standard cron: when both day fields are restricted, either may match
+  schedule.restrictsDayOfMonth = parts[2] !== '*';
+  schedule.restrictsDayOfWeek = parts[4] !== '*';
+
+  return schedule;
+};
+
+const isValidCron = (expression) => {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const matchesDay = (schedule, date) => {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getUTCDay());
+
+  if (schedule.restrictsDayOfMonth && schedule.restrictsDayOfWeek) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+};
+
+// First matching minute strictly after `from`
+const getNextRun = (expression, from = new Date()) => {
+  const schedule = parseCron(expression);
+  const candidate = new Date(from);
+  candidate.setUTCSeconds(0, 0);
+  candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+
+  for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+    if (!schedule.month.has(candidate.getUTCMonth() + 1) || !matchesDay(schedule, candidate)) {
+      // Skip to the start of the next day
+      candidate.setUTCHours(24, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.hour.has(candidate.getUTCHours())) {
+      candidate.setUTCHours(candidate.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (schedule.minute.has(candidate.getUTCMinutes())) {
+      return candidate;
+    }
+
+    candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+  }
+
+  throw new Error(`Cron expression never matches: ${expression}`);
+};
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  getNextRun
+};
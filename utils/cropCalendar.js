@@ -0,0 +1,100 @@
+// Crop calendar arithmetic: growth stage on a date, expected NDVI on the calendar curve and stress
+// as the shortfall below it. Calendars are stored in the CropCalendar collection (defaults in
+// config/cropCalendars.json); each stage has a linear NDVI segment and deviation thresholds.
+
+const { STRESS_LEVELS } = require('./stressClassification');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deviation levels, mildest first; a shortfall below `low` is healthy
+const DEVIATION_LEVELS = STRESS_LEVELS.filter(level => level !== 'healthy');
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const daysAfterPlanting = (plantingDate, date) => (
+  Math.floor((new Date(date).getTime() - new Date(plantingDate).getTime()) / DAY_MS)
+);
+
+const seasonLength = (calendar) => calendar.stages[calendar.stages.length - 1].endDay;
+
+// Stage on a date, or null before planting and after the last stage (perennial calendars repeat)
+const getGrowthStage = (calendar, plantingDate, date = new Date()) => {
+  if (!calendar || !calendar.stages?.length || !plantingDate) {
+    return null;
+  }
+
+  const dayAfterPlanting = daysAfterPlanting(plantingDate, date);
+  if (dayAfterPlanting < 0) {
+    return null;
+  }
+
+  const seasonDay = calendar.perennial ? dayAfterPlanting % seasonLength(calendar) : dayAfterPlanting;
+  const stage = calendar.stages.find(candidate => seasonDay >= candidate.startDay && seasonDay < candidate.endDay);
+
+  if (!stage) {
+    return null;
+  }
+
+  return {
+    name: stage.name,
+    dayAfterPlanting,
+    seasonDay,
+    progress: round((seasonDay - stage.startDay) / (stage.endDay - stage.startDay), 2),
+    stage
+  };
+};
+
+// NDVI the calendar expects for a growth stage position
+const expectedNDVIFor = ({ stage, seasonDay }) => {
+  const progress = (seasonDay - stage.startDay) / (stage.endDay - stage.startDay);
+  return stage.ndvi.start + (stage.ndvi.end - stage.ndvi.start) * progress;
+};
+
+// Expected NDVI on a date; after the last stage of an annual crop the curve stays at its final
+// value, before planting there is none
+const expectedNDVIOn = (calendar, plantingDate, date) => {
+  const growthStage = getGrowthStage(calendar, plantingDate, date);
+  if (growthStage) {
+    return expectedNDVIFor(growthStage);
+  }
+
+  if (!calendar || !calendar.stages?.length || !plantingDate || daysAfterPlanting(plantingDate, date) < 0) {
+    return null;
+  }
+
+  return calendar.stages[calendar.stages.length - 1].ndvi.end;
+};
+
+// Stress from the shortfall below the expected curve; null when the date is outside the calendar.
+// NDVI above the curve is never stress.
+const assessAgainstCalendar = (ndvi, calendar, plantingDate, date) => {
+  const growthStage = getGrowthStage(calendar, plantingDate, date);
+  if (!growthStage || !Number.isFinite(ndvi)) {
+    return null;
+  }
+
+  const expectedNDVI = expectedNDVIFor(growthStage);
+  const deviation = expectedNDVI - ndvi;
+  const { thresholds } = growthStage.stage;
+  const stressLevel = [...DEVIATION_LEVELS].reverse().find(level => deviation >= thresholds[level]) || 'healthy';
+
+  return {
+    stressLevel,
+    expectedNDVI: round(expectedNDVI),
+    deviation: round(deviation),
+    growthStage: {
+      name: growthStage.name,
+      dayAfterPlanting: growthStage.dayAfterPlanting,
+      progress: growthStage.progress
+    }
+  };
+};
+
+module.exports = {
+  DEVIATION_LEVELS,
+  daysAfterPlanting,
+  getGrowthStage,
+  expectedNDVIFor,
+  expectedNDVIOn,
+  assessAgainstCalendar
+};
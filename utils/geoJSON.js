@@ -0,0 +1,189 @@
+// GeoJSON helpers for farm boundaries
+
+const EARTH_RADIUS = 6378137; // WGS84 equatorial radius in meters
+const SQUARE_METERS_PER_HECTARE = 10000;
+
+const BOUNDARY_TYPES = ['Polygon', 'MultiPolygon'];
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Check a single [longitude, latitude] position
+const isValidPosition = (position) => {
+  if (!Array.isArray(position) || position.length < 2) return false;
+
+  const [lng, lat] = position;
+  return (
+    typeof lng === 'number' && Number.isFinite(lng) && lng >= -180 && lng <= 180 &&
+    typeof lat === 'number' && Number.isFinite(lat) && lat >= -90 && lat <= 90
+  );
+};
+
+// Validate a linear ring and close it if the last position is missing
+const normalizeRing = (ring) => {
+  if (!Array.isArray(ring) || !ring.every(isValidPosition)) {
+    throw new Error('Boundary rings must be arrays of [longitude, latitude] positions');
+  }
+
+  const positions = ring.map(([lng, lat]) => [lng, lat]);
+  const first = positions[0];
+  const last = positions[positions.length - 1];
+
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+    positions.push([first[0], first[1]]);
+  }
+
+  if (positions.length < 4) {
+    throw new Error('Boundary rings need at least three distinct positions');
+  }
+
+  return positions;
+};
+
+const normalizePolygon = (rings) => {
+  if (!Array.isArray(rings) || rings.length === 0) {
+    throw new Error('Polygon boundaries need at least one ring');
+  }
+  return rings.map(normalizeRing);
+};
+
+// Parse a GeoJSON Geometry or Feature into a normalized Polygon/MultiPolygon
+const parseBoundary = (input) => {
+  try {
+    let geometry = input;
+
+    if (typeof geometry === 'string') {
+      geometry = JSON.parse(geometry);
+    }
+
+    if (geometry && geometry.type === 'Feature') {
+      geometry = geometry.geometry;
+    }
+
+    if (!geometry || !BOUNDARY_TYPES.includes(geometry.type)) {
+      throw new Error('Boundary must be a GeoJSON Polygon or MultiPolygon');
+    }
+
+    let coordinates;
+    if (geometry.type === 'Polygon') {
+      coordinates = normalizePolygon(geometry.coordinates);
+    } else {
+      if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+        throw new Error('MultiPolygon boundaries need at least one polygon');
+      }
+      coordinates = geometry.coordinates.map(normalizePolygon);
+    }
+
+    return {
+      geometry: { type: geometry.type, coordinates }
+    };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+// Signed ring area on the sphere (square meters)
+const ringArea = (ring) => {
+  let area = 0;
+
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[i + 1];
+    area += toRadians(lng2 - lng1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+  }
+
+  return (area * EARTH_RADIUS * EARTH_RADIUS) / 2;
+};
+
+// Outer ring area minus holes (square meters)
+const polygonArea = (rings) => {
+  const [outer, ...holes] = rings;
+  const holeArea = holes.reduce((sum, hole) => sum + Math.abs(ringArea(hole)), 0);
+  return Math.max(0, Math.abs(ringArea(outer)) - holeArea);
+};
+
+const getPolygons = (geometry) => (
+  geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates
+);
+
+// Geodesic area of a boundary in square meters
+const calculateArea = (geometry) => (
+  getPolygons(geometry).reduce((sum, rings) => sum + polygonArea(rings), 0)
+);
+
+const calculateAreaHectares = (geometry) => (
+  Math.round((calculateArea(geometry) / SQUARE_METERS_PER_HECTARE) * 100) / 100
+);
+
+// Area-weighted centroid of the outer rings, as { latitude, longitude }
+const calculateCentroid = (geometry) => {
+  let totalWeight = 0;
+  let sumLng = 0;
+  let sumLat = 0;
+
+  getPolygons(geometry).forEach((rings) => {
+    const outer = rings[0].slice(0, -1);
+    const weight = polygonArea(rings) || 1;
+    const lng = outer.reduce((sum, p) => sum + p[0], 0) / outer.length;
+    const lat = outer.reduce((sum, p) => sum + p[1], 0) / outer.length;
+
+    sumLng += lng * weight;
+    sumLat += lat * weight;
+    totalWeight += weight;
+  });
+
+  return {
+    latitude: sumLat / totalWeight,
+    longitude: sumLng / totalWeight
+  };
+};
+
+// Bounding box as [minLng, minLat, maxLng, maxLat]
+const calculateBBox = (geometry) => {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+
+  getPolygons(geometry).forEach((rings) => {
+    rings[0].forEach(([lng, lat]) => {
+      bbox[0] = Math.min(bbox[0], lng);
+      bbox[1] = Math.min(bbox[1], lat);
+      bbox[2] = Math.max(bbox[2], lng);
+      bbox[3] = Math.max(bbox[3], lat);
+    });
+  });
+
+  return bbox;
+};
+
+// Parse a "lat,lng" string or { latitude, longitude } object
+const parseCoordinates = (coordinates) => {
+  if (typeof coordinates === 'string') {
+    const [latitude, longitude] = coordinates.split(',').map(coord => parseFloat(coord.trim()));
+    return { latitude, longitude };
+  }
+  return coordinates;
+};
+
+// Approximate circle around a point as a Polygon (for APIs that need an area)
+const bufferPoint = ({ latitude, longitude }, radiusMeters, steps = 32) => {
+  const ring = [];
+  const latRadius = (radiusMeters / EARTH_RADIUS) * (180 / Math.PI);
+  const lngRadius = latRadius / Math.cos(toRadians(latitude));
+
+  for (let i = 0; i < steps; i++) {
+    const angle = (2 * Math.PI * i) / steps;
+    ring.push([longitude + lngRadius * Math.cos(angle), latitude + latRadius * Math.sin(angle)]);
+  }
+  ring.push(ring[0]);
+
+  return { type: 'Polygon', coordinates: [ring] };
+};
+
+module.exports = {
+  BOUNDARY_TYPES,
+  parseBoundary,
+  parseCoordinates,
+  calculateArea,
+  calculateAreaHectares,
+  calculateCentroid,
+  calculateBBox,
+  bufferPoint
+};
@@ -0,0 +1,61 @@
+// Farmer-facing text (alerts, SMS, recommendations) in the user's preferred language.
+//
+// Catalogs live in config/locales/<code>.json. A language without its own catalog, or a key
+// missing from one, falls back along `fallback` (Javanese and Sundanese readers are served
+// Indonesian until their catalogs exist). Adding a language means adding it here and, once
+// translated, dropping its catalog next to the others.
+
+const LANGUAGES = {
+  en: { name: 'English', catalog: require('../config/locales/en.json') },
+  id: { name: 'Bahasa Indonesia', catalog: require('../config/locales/id.json'), fallback: 'en' },
+  jv: { name: 'Basa Jawa (Javanese)', fallback: 'id' },
+  su: { name: 'Basa Sunda (Sundanese)', fallback: 'id' }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+// Supported language for a user preference such as 'id' or 'id-ID'; the default otherwise
+const resolveLanguage = (language) => {
+  const code = String(language || '').toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+};
+
+const languageName = (language) => LANGUAGES[resolveLanguage(language)].name;
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+const interpolate = (text, params) => text.replace(/\{(\w+)\}/g, (match, name) => (
+  params[name] !== undefined ? String(params[name]) : match
+));
+
+// Message `key` (dot path) in `language` with {placeholders} filled from `params`. Lists are
+// returned as arrays; an unknown key is returned as is.
+const t = (language, key, params = {}) => {
+  let code = resolveLanguage(language);
+
+  while (code) {
+    const { catalog, fallback } = LANGUAGES[code];
+    const message = catalog && lookup(catalog, key);
+
+    if (typeof message === 'string') {
+      return interpolate(message, params);
+    }
+    if (Array.isArray(message)) {
+      return message.map(item => interpolate(item, params));
+    }
+
+    code = fallback;
+  }
+
+  console.warn(`⚠️ Missing message: ${key}`);
+  return key;
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  resolveLanguage,
+  languageName,
+  t
+};
@@ -0,0 +1,68 @@
+// Validation against the subset of JSON Schema used for LLM output: type (including a list of
+// types), enum, required, properties, additionalProperties: false, items, minimum/maximum,
+// minLength/maxLength and minItems/maxItems.
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+// List of "path: problem" messages; empty when the value is valid
+const validateSchema = (value, schema, path = '$') => {
+  const errors = [];
+  const types = schema.type ? [].concat(schema.type) : null;
+
+  if (types && !types.some(type => matchesType(value, type))) {
+    return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: must have at most ${schema.maxLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push(`${path}.${key}: is required`));
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        errors.push(...validateSchema(child, childSchema, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+module.exports = {
+  validateSchema
+};
@@ -0,0 +1,299 @@
+// Deterministic NDVI forecasting: a damped-trend exponential smoothing model (additive Holt with
+// damping) fitted to a regular series, optionally on top of a seasonal baseline such as the crop
+// calendar's expected NDVI curve. With a baseline the model forecasts the departure from the
+// curve, so the forecast follows the expected phenology while the departure decays.
+//
+// Observations are screened readings ({ date, ndvi, weight }). The same inputs always give the
+// same forecast.
+
+const { expectedNDVIOn } = require('./cropCalendar');
+
+const MODEL_VERSION = 'damped-trend-1';
+
+// Spacing of the regular series (about one Sentinel-2 revisit)
+const STEP_DAYS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Smoothing parameters are chosen from this grid by one-step-ahead squared error
+const PARAMETER_GRID = {
+  alpha: [0.2, 0.4, 0.6, 0.8],
+  beta: [0.05, 0.1, 0.2, 0.4]
+};
+const PHI = 0.9;
+
+// Floor on the one-step error, roughly the noise of a single clear-sky NDVI reading
+const MIN_SIGMA = 0.03;
+
+const Z_SCORES = { 80: 1.2816, 95: 1.96 };
+
+const MIN_OBSERVATIONS = 3;
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+const clamp = (value) => Math.max(-1, Math.min(1, value));
+const toDay = (date) => Math.floor(new Date(date).getTime() / DAY_MS);
+const dayToDateString = (day) => new Date(day * DAY_MS).toISOString().split('T')[0];
+
+// Series on a STEP_DAYS grid ending at the latest observation (index 0 is the oldest step);
+// readings in a step are averaged by quality weight, empty steps are linearly interpolated
+const toRegularSeries = (observations, baseline) => {
+  const lastDay = toDay(observations[observations.length - 1].date);
+  const steps = new Map();
+
+  observations.forEach(observation => {
+    const day = toDay(observation.date);
+    const stepsBack = Math.floor((lastDay - day) / STEP_DAYS);
+    const offset = baseline ? baseline(day) : 0;
+    const weight = observation.weight ?? 1;
+    const step = steps.get(stepsBack) || { sum: 0, weight: 0 };
+
+    step.sum += (observation.ndvi - offset) * weight;
+    step.weight += weight;
+    steps.set(stepsBack, step);
+  });
+
+  const length = Math.max(...steps.keys()) + 1;
+  const values = new Array(length).fill(null);
+  steps.forEach((step, stepsBack) => {
+    values[length - 1 - stepsBack] = step.sum / step.weight;
+  });
+
+  // Interpolate gaps between the known steps (the first and last step are always known)
+  let previous = 0;
+  for (let i = 1; i < length; i++) {
+    if (values[i] === null) continue;
+    for (let j = previous + 1; j < i; j++) {
+      values[j] = values[previous] + (values[i] - values[previous]) * (j - previous) / (i - previous);
+    }
+    previous = i;
+  }
+
+  return { values, lastDay };
+};
+
+// Error-correction form: level += phi * trend + alpha * e, trend = phi * trend + alpha * beta * e
+const fitDampedTrend = (values, { alpha, beta, phi }) => {
+  let level = values[0];
+  let trend = values.length > 1 ? values[1] - values[0] : 0;
+  let sse = 0;
+
+  for (let t = 1; t < values.length; t++) {
+    const error = values[t] - (level + phi * trend);
+    sse += error * error;
+    level = level + phi * trend + alpha * error;
+    trend = phi * trend + alpha * beta * error;
+  }
+
+  return { alpha, beta, phi, level, trend, sse, errorCount: values.length - 1 };
+};
+
+const selectModel = (values) => {
+  let best = null;
+
+  PARAMETER_GRID.alpha.forEach(alpha => {
+    PARAMETER_GRID.beta.forEach(beta => {
+      const fit = fitDampedTrend(values, { alpha, beta, phi: PHI });
+      if (!best || fit.sse < best.sse) {
+        best = fit;
+      }
+    });
+  });
+
+  return best;
+};
+
+// Sum of phi^1..phi^h (h may be fractional)
+const dampedSteps = (phi, h) => phi * (1 - phi ** h) / (1 - phi);
+
+// Forecast variance h steps ahead for the damped-trend model
+const forecastVariance = ({ alpha, beta, phi }, sigma, h) => {
+  let variance = 1;
+  for (let j = 1; j < Math.ceil(h); j++) {
+    const c = alpha * (1 + beta * dampedSteps(phi, j));
+    variance += c * c;
+  }
+  return sigma * sigma * variance;
+};
+
+/**
+ * Forecast NDVI for every day from `from` + 1 to `from` + `days`.
+ *
+ * options.baseline(dayNumber) -> expected NDVI or null; days before the baseline starts are
+ * ignored when fitting. Returns null when fewer than MIN_OBSERVATIONS readings can be used.
+ */
+const forecastNDVI = (observations, days, { from = new Date(), baseline = null } = {}) => {
+  let usable = [...observations].sort((a, b) => new Date(a.date) - new Date(b.date));
+  let seasonal = null;
+
+  if (baseline) {
+    const inSeason = usable.filter(observation => baseline(toDay(observation.date)) !== null);
+    if (inSeason.length >= MIN_OBSERVATIONS) {
+      usable = inSeason;
+      seasonal = baseline;
+    }
+  }
+
+  if (usable.length < MIN_OBSERVATIONS) {
+    return null;
+  }
+
+  const { values, lastDay } = toRegularSeries(usable, seasonal);
+  const model = selectModel(values);
+  const sigma = Math.max(MIN_SIGMA, model.errorCount > 0 ? Math.sqrt(model.sse / model.errorCount) : 0);
+  const startDay = toDay(from);
+  const points = [];
+
+  for (let i = 1; i <= days; i++) {
+    const day = startDay + i;
+    const h = Math.max(1, (day - lastDay) / STEP_DAYS);
+    const offset = seasonal ? seasonal(day) ?? 0 : 0;
+    const mean = offset + model.level + dampedSteps(model.phi, h) * model.trend;
+    const spread = Math.sqrt(forecastVariance(model, sigma, h));
+
+    points.push({
+      date: dayToDateString(day),
+      predictedNDVI: round(clamp(mean)),
+      lower80: round(clamp(mean - Z_SCORES[80] * spread)),
+      upper80: round(clamp(mean + Z_SCORES[80] * spread)),
+      lower95: round(clamp(mean - Z_SCORES[95] * spread)),
+      upper95: round(clamp(mean + Z_SCORES[95] * spread)),
+      ...(seasonal && { expectedNDVI: round(offset) })
+    });
+  }
+
+  return {
+    points,
+    method: seasonal ? 'phenology_damped_trend' : 'damped_trend',
+    modelVersion: MODEL_VERSION,
+    parameters: {
+      alpha: model.alpha,
+      beta: model.beta,
+      phi: model.phi,
+      sigma: round(sigma, 4),
+      stepDays: STEP_DAYS
+    },
+    // Trend per day of the fitted series (departure from the baseline when there is one)
+    trend: round(model.trend / STEP_DAYS, 4),
+    currentNDVI: usable[usable.length - 1].ndvi,
+    lastObservationDate: dayToDateString(lastDay),
+    observationsUsed: usable.length
+  };
+};
+
+// Baseline from a crop calendar's expected NDVI curve; null when the farm has no calendar
+const calendarBaseline = (calendar, plantingDate) => {
+  if (!calendar || !plantingDate) {
+    return null;
+  }
+  return (day) => expectedNDVIOn(calendar, plantingDate, new Date(day * DAY_MS));
+};
+
+const meanOf = (samples, pick) => (
+  samples.length > 0 ? round(samples.reduce((sum, sample) => sum + pick(sample), 0) / samples.length, 4) : null
+);
+
+// Count, MAE, bias (forecast minus observed) and RMSE of samples with an `error`
+const summarizeErrors = (samples) => {
+  const squared = samples.reduce((sum, sample) => sum + sample.error * sample.error, 0);
+  return {
+    count: samples.length,
+    mae: meanOf(samples, sample => Math.abs(sample.error)),
+    bias: meanOf(samples, sample => sample.error),
+    rmse: samples.length > 0 ? round(Math.sqrt(squared / samples.length), 4) : null
+  };
+};
+
+/**
+ * Rolling-origin backtest: refit at each stored observation (after `minHistory` readings) and
+ * compare the forecast with the readings that followed. A reading counts for a horizon when it
+ * lies within half a step of it.
+ */
+const backtest = (observations, { horizons = [7, 14, 30], minHistory = 6, baseline = null } = {}) => {
+  const sorted = [...observations].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const tolerance = Math.floor(STEP_DAYS / 2);
+  const maxHorizon = Math.max(...horizons) + tolerance;
+  const errors = Object.fromEntries(horizons.map(horizon => [horizon, []]));
+  let origins = 0;
+
+  for (let k = minHistory - 1; k < sorted.length - 1; k++) {
+    const originDay = toDay(sorted[k].date);
+    const result = forecastNDVI(sorted.slice(0, k + 1), maxHorizon, { from: sorted[k].date, baseline });
+    if (!result) continue;
+    origins++;
+
+    horizons.forEach(horizon => {
+      // Several satellites can observe the origin's own day; only later days are forecast
+      const actual = sorted.slice(k + 1).find(observation => (
+        toDay(observation.date) > originDay &&
+        Math.abs(toDay(observation.date) - originDay - horizon) <= tolerance
+      ));
+      if (!actual) return;
+
+      const point = result.points[toDay(actual.date) - originDay - 1];
+      if (!point) return;
+
+      errors[horizon].push({
+        error: point.predictedNDVI - actual.ndvi,
+        in80: actual.ndvi >= point.lower80 && actual.ndvi <= point.upper80,
+        in95: actual.ndvi >= point.lower95 && actual.ndvi <= point.upper95
+      });
+    });
+  }
+
+  return {
+    modelVersion: MODEL_VERSION,
+    origins,
+    horizons: horizons.map(horizon => {
+      const samples = errors[horizon];
+      return {
+        horizonDays: horizon,
+        ...summarizeErrors(samples),
+        coverage80: meanOf(samples, sample => (sample.in80 ? 1 : 0)),
+        coverage95: meanOf(samples, sample => (sample.in95 ? 1 : 0))
+      };
+    })
+  };
+};
+
+// Horizon bucket (upper bound in days) a forecast lead time falls in, or null beyond the last
+const horizonBucket = (horizonDays, buckets) => buckets.find(bucket => horizonDays <= bucket) ?? null;
+
+/**
+ * Accuracy of forecast points already matched to observations: each sample is
+ * { horizonDays, predicted, observed, predictedStress, observedStress }. Returns one summary per
+ * bucket that has samples.
+ */
+const scoreForecasts = (samples, buckets) => {
+  const grouped = new Map();
+
+  samples.forEach(sample => {
+    const bucket = horizonBucket(sample.horizonDays, buckets);
+    if (bucket === null) return;
+    if (!grouped.has(bucket)) grouped.set(bucket, []);
+    grouped.get(bucket).push({ ...sample, error: sample.predicted - sample.observed });
+  });
+
+  return buckets
+    .filter(bucket => grouped.has(bucket))
+    .map(bucket => {
+      const bucketSamples = grouped.get(bucket);
+      const withStress = bucketSamples.filter(sample => sample.predictedStress && sample.observedStress);
+
+      return {
+        horizonDays: bucket,
+        ...summarizeErrors(bucketSamples),
+        stressHitRate: meanOf(withStress, sample => (sample.predictedStress === sample.observedStress ? 1 : 0))
+      };
+    });
+};
+
+module.exports = {
+  MODEL_VERSION,
+  STEP_DAYS,
+  MIN_OBSERVATIONS,
+  toDay,
+  calendarBaseline,
+  forecastNDVI,
+  backtest,
+  horizonBucket,
+  scoreForecasts
+};
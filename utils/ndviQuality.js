@@ -0,0 +1,122 @@
+// Quality screening for NDVI observations: flags cloudy, shadowed, hazy or partially covered
+// readings, drops the unusable ones and down-weights the marginal ones.
+
+const QUALITY_FLAGS = ['cloud', 'shadow', 'haze', 'partial_coverage'];
+
+// Smallest weight a marginal (but still usable) observation can get
+const MIN_WEIGHT = 0.2;
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Percentages for cloud, shadow and haze; coverage is the share (0-1) of the field with valid pixels.
+// Below `downweight` an observation counts fully, above `max` it is dropped, in between it is
+// weighted down linearly.
+const getQualityThresholds = () => ({
+  cloud: {
+    downweight: envNumber('NDVI_CLOUD_DOWNWEIGHT', 10),
+    max: envNumber('NDVI_CLOUD_MAX', 40)
+  },
+  shadow: {
+    downweight: envNumber('NDVI_SHADOW_DOWNWEIGHT', 5),
+    max: envNumber('NDVI_SHADOW_MAX', 25)
+  },
+  haze: {
+    downweight: envNumber('NDVI_HAZE_DOWNWEIGHT', 10),
+    max: envNumber('NDVI_HAZE_MAX', 40)
+  },
+  coverage: {
+    downweight: envNumber('NDVI_COVERAGE_DOWNWEIGHT', 0.9),
+    min: envNumber('NDVI_COVERAGE_MIN', 0.6)
+  }
+});
+
+// Weight for a "lower is better" measure such as cloud cover
+const penalty = (value, { downweight, max }) => {
+  if (value === undefined || value === null || value <= downweight) return 1;
+  if (value > max) return 0;
+  return 1 - (1 - MIN_WEIGHT) * ((value - downweight) / (max - downweight));
+};
+
+const coverageWeight = (coverage, { downweight, min }) => {
+  if (coverage === undefined || coverage === null || coverage >= downweight) return 1;
+  if (coverage < min) return 0;
+  return 1 - (1 - MIN_WEIGHT) * ((downweight - coverage) / (downweight - min));
+};
+
+// Quality of one observation: { flags, weight, usable }
+const assessObservation = (observation, thresholds = getQualityThresholds()) => {
+  const quality = observation.quality || {};
+  const factors = {
+    cloud: penalty(observation.cloudCover, thresholds.cloud),
+    shadow: penalty(quality.shadow, thresholds.shadow),
+    haze: penalty(quality.haze, thresholds.haze),
+    partial_coverage: coverageWeight(quality.coverage, thresholds.coverage)
+  };
+
+  const flags = QUALITY_FLAGS.filter(flag => factors[flag] < 1);
+  const weight = Object.values(factors).reduce((product, factor) => product * factor, 1);
+  const usable = Number.isFinite(observation.ndvi) && weight > 0;
+
+  return {
+    flags,
+    weight: usable ? Math.round(weight * 1000) / 1000 : 0,
+    usable
+  };
+};
+
+// Usable observations (oldest first, each with a weight) and a report of what was dropped
+const screenObservations = (observations, thresholds = getQualityThresholds()) => {
+  const usable = [];
+  const droppedByFlag = {};
+  let dropped = 0;
+  let downweighted = 0;
+
+  [...observations]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .forEach(observation => {
+      const assessment = assessObservation(observation, thresholds);
+
+      if (!assessment.usable) {
+        dropped++;
+        const reasons = assessment.flags.length > 0 ? assessment.flags : ['invalid'];
+        reasons.forEach(flag => {
+          droppedByFlag[flag] = (droppedByFlag[flag] || 0) + 1;
+        });
+        return;
+      }
+
+      if (assessment.weight < 1) {
+        downweighted++;
+      }
+
+      usable.push({
+        date: observation.date,
+        ndvi: observation.ndvi,
+        indices: observation.indices,
+        cloudCover: observation.cloudCover,
+        weight: assessment.weight,
+        flags: assessment.flags
+      });
+    });
+
+  return {
+    observations: usable,
+    report: {
+      total: observations.length,
+      used: usable.length,
+      dropped,
+      downweighted,
+      droppedByFlag
+    }
+  };
+};
+
+module.exports = {
+  QUALITY_FLAGS,
+  getQualityThresholds,
+  assessObservation,
+  screenObservations
+};
@@ -0,0 +1,98 @@
+// Single source of truth for crop stress levels. Every model, route and service classifies and
+// compares stress through this module so stored records, alerts and API responses share one
+// vocabulary.
+//
+// NDVI cutoffs live in versioned rulesets. Changing a cutoff means adding a new version and
+// pointing CURRENT_RULESET at it; older versions stay so stored classifications can be
+// explained and re-run (migrations/normalize_stress_levels.js).
+
+// Mildest first
+const STRESS_LEVELS = ['healthy', 'low', 'moderate', 'high', 'severe'];
+
+// Labels written by earlier code: NDVIData used 'none', the satellite providers used the
+// huaweiCloud status labels
+const LEGACY_LEVELS = {
+  none: 'healthy',
+  moderate_stress: 'moderate',
+  severe_stress: 'severe'
+};
+
+// A reading below `below` has at least `level`; above every cutoff it is healthy
+const RULESETS = {
+  '2024.1': {
+    description: 'Fixed NDVI cutoffs',
+    ndvi: [
+      { level: 'severe', below: 0.2 },
+      { level: 'high', below: 0.3 },
+      { level: 'moderate', below: 0.4 },
+      { level: 'low', below: 0.5 }
+    ]
+  }
+};
+
+const CURRENT_RULESET = '2024.1';
+
+const getRuleset = (version = CURRENT_RULESET) => {
+  const ruleset = RULESETS[version];
+  if (!ruleset) {
+    throw new Error(`Unknown stress ruleset: ${version}`);
+  }
+  return ruleset;
+};
+
+// Canonical level for a current or legacy label; null for anything else (e.g. 'unknown')
+const normalizeStressLevel = (level) => {
+  if (STRESS_LEVELS.includes(level)) return level;
+  return LEGACY_LEVELS[level] || null;
+};
+
+const stressRank = (level) => STRESS_LEVELS.indexOf(normalizeStressLevel(level));
+
+// Negative when a is milder than b, 0 when equal, positive when more severe
+const compareStressLevels = (a, b) => stressRank(a) - stressRank(b);
+
+const isAtLeast = (level, minimum) => stressRank(level) >= stressRank(minimum);
+
+const maxStressLevel = (a, b) => (compareStressLevels(a, b) >= 0 ? a : b);
+
+// One step more severe (capped at severe)
+const upgradeStressLevel = (level) => STRESS_LEVELS[Math.min(stressRank(level) + 1, STRESS_LEVELS.length - 1)];
+
+// Stress level of an NDVI value under a ruleset's fixed cutoffs
+const classifyNDVI = (ndvi, version = CURRENT_RULESET) => {
+  const rule = getRuleset(version).ndvi.find(candidate => ndvi < candidate.below);
+  return rule ? rule.level : 'healthy';
+};
+
+// NDVI bounds of the stress zones in area analyses: below `severe` is high or severe stress,
+// at or above `healthy` is no stress
+const zoneThresholds = (version = CURRENT_RULESET) => {
+  const cutoffs = Object.fromEntries(getRuleset(version).ndvi.map(rule => [rule.level, rule.below]));
+  return { severe: cutoffs.high, healthy: cutoffs.low };
+};
+
+// Classification of a reading: the crop calendar assessment (utils/cropCalendar) when there is
+// one, otherwise the ruleset's NDVI cutoffs
+const classifyStress = (ndvi, { calendarAssessment = null, version = CURRENT_RULESET } = {}) => {
+  if (calendarAssessment) {
+    return { stressLevel: calendarAssessment.stressLevel, method: 'crop_calendar', ruleset: version };
+  }
+
+  return { stressLevel: classifyNDVI(ndvi, version), method: 'ndvi_thresholds', ruleset: version };
+};
+
+module.exports = {
+  STRESS_LEVELS,
+  LEGACY_LEVELS,
+  RULESETS,
+  CURRENT_RULESET,
+  getRuleset,
+  normalizeStressLevel,
+  compareStressLevels,
+  isAtLeast,
+  maxStressLevel,
+  upgradeStressLevel,
+  classifyNDVI,
+  zoneThresholds,
+  classifyStress
+};
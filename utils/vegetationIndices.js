@@ -0,0 +1,76 @@
+// Vegetation indices computed for every scene, alongside NDVI.
+//
+//   ndvi  (NIR - Red) / (NIR + Red)
+//   evi   2.5 (NIR - Red) / (NIR + 6 Red - 7.5 Blue + 1)
+//   ndwi  (NIR - SWIR) / (NIR + SWIR)      Gao's leaf-water index (SWIR at ~1.6 µm)
+//   ndre  (NIR - RedEdge) / (NIR + RedEdge) red edge at ~705 nm; Sentinel-2 only
+//   savi  1.5 (NIR - Red) / (NIR + Red + 0.5)
+//
+// Reflectances are surface reflectance on a 0-1 scale.
+
+const VEGETATION_INDICES = {
+  ndvi: {
+    name: 'Normalized Difference Vegetation Index',
+    description: 'Overall canopy vigour; saturates in dense canopies such as rice at heading'
+  },
+  evi: {
+    name: 'Enhanced Vegetation Index',
+    description: 'Vigour in dense canopies where NDVI saturates; corrects for soil and atmosphere'
+  },
+  ndwi: {
+    name: 'Normalized Difference Water Index',
+    description: 'Canopy water content; drops under drought stress'
+  },
+  ndre: {
+    name: 'Normalized Difference Red Edge',
+    description: 'Chlorophyll and nitrogen status; drops under nutrient stress'
+  },
+  savi: {
+    name: 'Soil Adjusted Vegetation Index',
+    description: 'Vigour in sparse or young canopies where bare soil dominates the signal'
+  }
+};
+
+const INDEX_NAMES = Object.keys(VEGETATION_INDICES);
+
+// Indices stored next to NDVI on each observation
+const SECONDARY_INDICES = INDEX_NAMES.filter(index => index !== 'ndvi');
+
+const normalizedDifference = (a, b) => (a + b === 0 ? null : (a - b) / (a + b));
+
+// All indices from band reflectances; indices whose bands are missing are left out
+const computeIndices = ({ blue, red, redEdge, nir, swir }) => {
+  const indices = {
+    ndvi: normalizedDifference(nir, red),
+    evi: blue !== undefined ? 2.5 * (nir - red) / (nir + 6 * red - 7.5 * blue + 1) : undefined,
+    ndwi: swir !== undefined ? normalizedDifference(nir, swir) : undefined,
+    ndre: redEdge !== undefined ? normalizedDifference(nir, redEdge) : undefined,
+    savi: 1.5 * (nir - red) / (nir + red + 0.5)
+  };
+
+  return Object.fromEntries(
+    Object.entries(indices).filter(([, value]) => Number.isFinite(value))
+  );
+};
+
+// Index levels below which a reading points to a specific stress; NDRE is only read as
+// nitrogen stress when canopy water (NDWI) is adequate
+const INDEX_STRESS_THRESHOLDS = {
+  drought: { index: 'ndwi', moderate: 0.1, high: 0.0 },
+  nitrogen: { index: 'ndre', moderate: 0.15, high: 0.1 }
+};
+
+// Value of an index on an observation ({ ndvi, indices: { evi, ... } }), or null
+const indexValue = (observation, index) => {
+  const value = index === 'ndvi' ? observation.ndvi : observation.indices?.[index];
+  return Number.isFinite(value) ? value : null;
+};
+
+module.exports = {
+  VEGETATION_INDICES,
+  INDEX_NAMES,
+  SECONDARY_INDICES,
+  INDEX_STRESS_THRESHOLDS,
+  computeIndices,
+  indexValue
+};